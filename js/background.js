@@ -1,130 +1,744 @@
+import StorageManager from './storage.js';
+import TimerEngine from './timer.js';
+import Pomodoro from './pomodoro.js';
+import Reminders from './reminders.js';
+import DateUtils from './dateUtils.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
 /**
  * 扩展后台服务工作线程
- * 处理后台任务、持久化计时器状态、监听扩展事件
+ * 独占维护计时器状态机、持久化计时器状态、监听扩展事件
+ * 服务线程随时可能被挂起：计时只依赖存储中的时间戳，周期任务交给chrome.alarms
  */
 
+// 定时任务名称
+const ALARMS = {
+    TICK: 'timeTracker_tick',
+    POMODORO: 'timeTracker_pomodoro',
+    REMINDERS: 'timeTracker_reminders'
+};
+
+// 已提醒状态保存在会话存储中，浏览器重启后重新计算
+const REMINDER_SESSION_KEY = 'timeTracker_reminderState';
+
+// 通知ID前缀，ID中携带按钮对应的操作，如 timeTracker|stop|1642780800000
+const NOTIFICATION_PREFIX = 'timeTracker';
+
+// 周期任务间隔（分钟）
+const TICK_PERIOD_MINUTES = 1;
+
+// 工具栏徽标颜色
+const BADGE_COLORS = {
+    running: { background: '#34a853', text: '#ffffff' },
+    paused: { background: '#fbbc04', text: '#333333' },
+    break: { background: '#4285f4', text: '#ffffff' }
+};
+
+// 扩展默认标题
+const DEFAULT_ACTION_TITLE = '时间管理助手';
+
 // 确保chrome.runtime存在
 if (chrome && chrome.runtime) {
-  // 监听扩展安装事件
-  if (chrome.runtime.onInstalled) {
-chrome.runtime.onInstalled.addListener(() => {
-    console.log('时间管理助手扩展已安装');
-    // 初始化存储
-    chrome.storage.local.get(['timeTracker_settings'], (result) => {
-        if (!result.timeTracker_settings) {
-            chrome.storage.local.set({
-                timeTracker_settings: {
-                    workTypes: ['工作', '生活', '运动', '学习'],
-                    notifications: true
-                }
+    // 监听扩展安装事件
+    if (chrome.runtime.onInstalled) {
+        chrome.runtime.onInstalled.addListener(() => {
+            console.log('时间管理助手扩展已安装');
+            // 初始化存储
+            StorageManager.init();
+            restoreAlarms();
+            syncReminderAlarm();
+            syncIdleDetection();
+        });
+    }
+
+    // 浏览器重启后根据存储中的计时状态恢复定时任务
+    if (chrome.runtime.onStartup) {
+        chrome.runtime.onStartup.addListener(() => {
+            restoreAlarms();
+            syncReminderAlarm();
+            syncIdleDetection();
+        });
+    }
+
+    // 监听消息事件
+    if (chrome.runtime.onMessage) {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            const handler = messageHandlers[message.type];
+            if (!handler) {
+                // 广播类消息（如 SETTINGS_UPDATED）由页面自行处理
+                return false;
+            }
+            handler(message.data || {})
+                .then(sendResponse)
+                .catch(error => sendResponse({ status: 'error', message: error.message || String(error) }));
+            return true; // 保持消息通道开放
+        });
+    }
+}
+
+// 监听定时任务，需在顶层注册以便唤醒被挂起的服务线程
+if (chrome && chrome.alarms) {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+        const handler = alarmHandlers[alarm.name];
+        if (handler) handler(alarm);
+    });
+}
+
+// 监听快捷键命令，与弹窗按钮共用同一套计时逻辑
+if (chrome && chrome.commands) {
+    chrome.commands.onCommand.addListener((command) => {
+        const handler = commandHandlers[command];
+        if (!handler) return;
+        handler().catch(error => console.error(`快捷键命令失败 (${command}):`, error));
+    });
+}
+
+// 设置变化时重新安排提醒检查
+if (chrome && chrome.storage && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[StorageManager.STORAGE_KEYS.SETTINGS]) {
+            syncReminderAlarm();
+            syncIdleDetection();
+        }
+    });
+}
+
+// 监听系统空闲/锁屏状态，计时中离开电脑时记录空闲时段
+if (chrome && chrome.idle) {
+    chrome.idle.onStateChanged.addListener((newState) => {
+        onIdleStateChanged(newState).catch(error => console.error('处理空闲状态失败:', error));
+    });
+}
+
+// 通知按钮：停止计时 / 开始计时
+if (chrome && chrome.notifications) {
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+        const [prefix, actions] = notificationId.split('|');
+        if (prefix !== NOTIFICATION_PREFIX || !actions) return;
+        const action = notificationActions[actions.split(',')[buttonIndex]];
+        if (!action) return;
+        action.run()
+            .catch(error => console.error('通知操作失败:', error))
+            .finally(() => chrome.notifications.clear(notificationId));
+    });
+}
+
+// 定时任务处理函数
+const alarmHandlers = {
+    [ALARMS.TICK]: () => onTick(),
+    [ALARMS.POMODORO]: () => completePomodoroPhase(),
+    [ALARMS.REMINDERS]: () => checkReminders()
+};
+
+// 通知按钮操作
+const notificationActions = {
+    stop: { title: '停止计时', run: () => endActiveTimer() },
+    start: { title: '开始计时', run: () => startIdleTimer() }
+};
+
+// 计时器命令处理函数，返回值作为消息响应
+const messageHandlers = {
+    START_TIMER: data => startTimer(data),
+    PAUSE_TIMER: () => runTimerCommand('paused', (state, now) => TimerEngine.pause(state, now)),
+    RESUME_TIMER: () => runTimerCommand('resumed', (state, now) => TimerEngine.resume(state, now)),
+    UPDATE_TIMER: data => runTimerCommand('updated', state => TimerEngine.update(state, data)),
+    END_TIMER: data => endTimer(data),
+    SWITCH_TIMER: data => switchTimer(data),
+    RESOLVE_IDLE: data => resolveIdle(data),
+    RESTORE_TIMER: data => restoreTimer(data),
+    RENAME_TIMER_TYPE: data => runTimerCommand('updated', state => renameTimerType(state, data)),
+    RENAME_TIMER_PROJECT: data => runTimerCommand('updated', state => renameTimerProject(state, data)),
+    RENAME_TIMER_TAG: data => runTimerCommand('updated', state => renameTimerTag(state, data)),
+    GET_TIMER_STATUS: () => getTimerStatus()
+};
+
+// 快捷键命令处理函数
+const commandHandlers = {
+    'toggle-timer': () => toggleTimer(),
+    'end-timer': () => endActiveTimer(),
+    'next-work-type': () => switchToNextWorkType()
+};
+
+// 命令队列，保证状态读改写按顺序执行
+let commandQueue = Promise.resolve();
+
+/**
+ * 将命令排入队列依次执行
+ * @param {Function} task - 返回Promise的操作
+ * @returns {Promise<any>} 操作结果
+ */
+function enqueueCommand(task) {
+    const run = commandQueue.then(task, task);
+    commandQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * 读取计时器状态
+ * @returns {Promise<Object>} 计时器状态
+ */
+async function loadTimerState() {
+    return TimerEngine.normalize(await StorageManager.getCurrentTimer());
+}
+
+/**
+ * 执行一次计时器状态转换并持久化
+ * @param {string} status - 响应状态
+ * @param {Function} transition - (state, now) => newState
+ * @returns {Promise<Object>} 响应对象
+ */
+function runTimerCommand(status, transition) {
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        const state = transition(await loadTimerState(), now);
+        await StorageManager.saveCurrentTimer(state);
+        await syncAlarms(state);
+        return broadcastTimer(status, state, now);
+    });
+}
+
+/**
+ * 开始计时，启用番茄钟时从第一轮专注开始
+ * @param {Object} data - 计时数据，包含 type、project、tags，以任务开始时包含 taskId 和 content
+ * @returns {Promise<Object>} 响应对象
+ */
+async function startTimer(data) {
+    const settings = await StorageManager.getSettings();
+    const pomodoro = Pomodoro.isEnabled(settings)
+        ? Pomodoro.createPhase(Pomodoro.getConfig(settings), Pomodoro.PHASES.FOCUS, 1, data.type)
+        : null;
+    return runTimerCommand('started', (state, now) => TimerEngine.start(state, { ...data, pomodoro }, now));
+}
+
+/**
+ * 结束计时并保存记录
+ * 弹窗关闭时也可由后台直接完成一次计时
+ * @param {Object} data - 结束时附带的字段，如 type
+ * @returns {Promise<Object>} 响应对象，包含新记录（跨午夜时为多条，未记录的休息阶段为空）
+ */
+function endTimer(data) {
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        const state = TimerEngine.stop(TimerEngine.update(await loadTimerState(), data), now);
+        const records = await saveTimerRecords(state);
+        await StorageManager.clearCurrentTimer();
+        const idleState = TimerEngine.createIdleState();
+        await syncAlarms(idleState);
+        const response = broadcastTimer('ended', idleState, now);
+        return { ...response, records };
+    });
+}
+
+/**
+ * 切换计时：在同一时刻结束当前计时并开始新的计时，前后两条记录首尾相接
+ * 没有进行中的计时时等同于开始计时；启用番茄钟时新计时从第一轮专注开始
+ * @param {Object} data - 新计时的数据，包含 type、project、tags、content，可选 taskId；
+ *                        current 为结束前要更新到当前计时的字段，如 content
+ * @returns {Promise<Object>} 响应对象，包含上一段计时的记录
+ */
+async function switchTimer(data) {
+    const settings = await StorageManager.getSettings();
+    const pomodoro = Pomodoro.isEnabled(settings)
+        ? Pomodoro.createPhase(Pomodoro.getConfig(settings), Pomodoro.PHASES.FOCUS, 1, data.type)
+        : null;
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        const current = await loadTimerState();
+        const records = TimerEngine.isActive(current)
+            ? await saveTimerRecords(TimerEngine.stop(TimerEngine.update(current, data.current), now))
+            : [];
+        const state = TimerEngine.start(TimerEngine.createIdleState(), { ...data, pomodoro }, now);
+        await StorageManager.saveCurrentTimer(state);
+        await syncAlarms(state);
+        const response = broadcastTimer('switched', state, now);
+        return { ...response, records };
+    });
+}
+
+/**
+ * 保存已结束计时的记录，跨越午夜的计时按自然日拆分
+ * 番茄钟专注和休息阶段使用各自的内容，休息阶段仅在设置允许时记录
+ * @param {Object} state - 已结束的计时状态
+ * @returns {Promise<Array<Object>>} 新记录数组，未记录时为空
+ */
+async function saveTimerRecords(state) {
+    const dayStartHour = await StorageManager.getDayStartHour();
+    let records = TimerEngine.toRecords(state, dayStartHour);
+    if (state.pomodoro) {
+        if (Pomodoro.isBreak(state.pomodoro)) {
+            const config = Pomodoro.getConfig(await StorageManager.getSettings());
+            if (!config.recordBreaks) return [];
+        }
+        // 休息时间不计入项目、标签和任务；以任务开始的专注沿用任务名称
+        const isBreak = Pomodoro.isBreak(state.pomodoro);
+        const content = (!isBreak && state.content) || `番茄钟${Pomodoro.PHASE_LABELS[state.pomodoro.phase]}`;
+        const labels = isBreak ? { project: '', tags: [], taskId: null } : {};
+        records = records.map(record => ({ ...record, content, ...labels }));
+    }
+    return StorageManager.addRecords(records);
+}
+
+/**
+ * 番茄钟阶段到时：保存本阶段记录，通知用户并无缝开始下一阶段
+ * @returns {Promise<void>}
+ */
+function completePomodoroPhase() {
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        const state = await loadTimerState();
+        if (state.status !== TimerEngine.STATUS.RUNNING || !state.pomodoro) {
+            await syncAlarms(state);
+            return;
+        }
+        // 闹钟可能因服务线程挂起而延迟触发，以阶段应结束的时刻为准
+        const remaining = Pomodoro.getRemaining(state, now);
+        if (remaining > 1000) {
+            await syncAlarms(state);
+            return;
+        }
+        const phaseEnd = now - (TimerEngine.getElapsed(state, now) - state.pomodoro.duration);
+
+        const finished = TimerEngine.stop(state, phaseEnd);
+        await saveTimerRecords(finished);
+
+        const settings = await StorageManager.getSettings();
+        const config = Pomodoro.getConfig(settings);
+        // 专注阶段中途切换过类型时，下一轮专注沿用最新类型
+        const current = Pomodoro.isBreak(state.pomodoro) ? state.pomodoro : { ...state.pomodoro, focusType: state.type };
+        const next = Pomodoro.nextPhase(current, config);
+        const type = Pomodoro.isBreak(next) ? config.breakType : next.focusType;
+        // 项目、标签和任务在各阶段间保留，供下一轮专注沿用
+        const nextState = TimerEngine.start(TimerEngine.createIdleState(), {
+            type,
+            project: state.project,
+            tags: state.tags,
+            taskId: state.taskId,
+            content: state.content,
+            pomodoro: next
+        }, phaseEnd);
+
+        await StorageManager.saveCurrentTimer(nextState);
+        await syncAlarms(nextState);
+        broadcastTimer('phase', nextState, now);
+
+        const minutes = Math.round(next.duration / (1000 * 60));
+        await notify(
+            `${Pomodoro.PHASE_LABELS[state.pomodoro.phase]}结束`,
+            `开始${Pomodoro.describe(next)}，时长 ${minutes} 分钟`
+        );
+    });
+}
+
+/**
+ * 获取空闲检测配置
+ * @param {Object} settings - 用户设置
+ * @returns {Object} 空闲检测配置
+ */
+function getIdleDetectionConfig(settings) {
+    return { ...StorageManager.DEFAULT_SETTINGS.idleDetection, ...settings.idleDetection };
+}
+
+/**
+ * 按设置更新系统空闲检测阈值
+ * @returns {Promise<void>}
+ */
+async function syncIdleDetection() {
+    if (!chrome.idle) return;
+    await StorageManager.init();
+    const config = getIdleDetectionConfig(await StorageManager.getSettings());
+    // chrome.idle 的最小检测间隔为15秒
+    chrome.idle.setDetectionInterval(Math.max(15, Math.round(config.thresholdMinutes * 60)));
+}
+
+/**
+ * 系统空闲状态变化：空闲或锁屏时标记空闲开始，恢复活动时生成待处理的空闲时段
+ * @param {string} newState - active / idle / locked
+ * @returns {Promise<void>}
+ */
+function onIdleStateChanged(newState) {
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        const settings = await StorageManager.getSettings();
+        const config = getIdleDetectionConfig(settings);
+        const state = await loadTimerState();
+        if (!config.enabled || !TimerEngine.isActive(state)) return;
+
+        let next;
+        if (newState === 'active') {
+            next = TimerEngine.markActive(state, now);
+        } else {
+            // idle 状态在无操作满阈值后才触发，实际空闲从阈值之前开始；锁屏立即生效
+            const since = newState === 'idle' ? now - config.thresholdMinutes * 60 * 1000 : now;
+            next = TimerEngine.markIdle(state, since);
+        }
+        if (next === state) return;
+
+        await StorageManager.saveCurrentTimer(next);
+        broadcastTimer('idle', next, now);
+
+        if (next.idlePeriods.length > state.idlePeriods.length) {
+            const period = next.idlePeriods[next.idlePeriods.length - 1];
+            const minutes = Math.round((period.end - period.start) / (1000 * 60));
+            await notify('检测到空闲', `计时期间离开了约 ${minutes} 分钟，打开弹窗选择保留、丢弃或拆分为单独记录`);
+        }
+    });
+}
+
+/**
+ * 处理待处理的空闲时段
+ * keep: 计入当前计时；discard: 从当前计时中扣除；split: 扣除并另存为一条记录
+ * @param {Object} data - { action, type }，type 为拆分记录的选择类型
+ * @returns {Promise<Object>} 响应对象，拆分时包含新记录
+ */
+function resolveIdle(data) {
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        let state = await loadTimerState();
+        const periods = state.idlePeriods || [];
+        if (!periods.length) throw new Error('没有待处理的空闲时间');
+
+        state = { ...state, idlePeriods: [] };
+        let records = [];
+        if (data.action === 'discard' || data.action === 'split') {
+            const removed = [];
+            periods.forEach(period => {
+                const result = TimerEngine.removeInterval(state, period.start, period.end);
+                state = result.state;
+                removed.push(...result.removed);
             });
+
+            if (data.action === 'split' && removed.length) {
+                records = await StorageManager.addRecords(TimerEngine.buildRecords(removed, {
+                    content: '空闲时间',
+                    type: data.type || state.type
+                }, await StorageManager.getDayStartHour()));
+            }
         }
+
+        await StorageManager.saveCurrentTimer(state);
+        await syncAlarms(state);
+        return { ...broadcastTimer('idleResolved', state, now), records };
     });
-});
-
-// 监听消息事件
-if (chrome.runtime && chrome.runtime.onMessage) {
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    switch (message.type) {
-        case 'START_TIMER':
-            startTimer(message.data);
-            sendResponse({ status: 'started' });
-            break;
-        case 'PAUSE_TIMER':
-            pauseTimer();
-            sendResponse({ status: 'paused' });
-            break;
-        case 'CLEAR_TIMER':
-            clearTimer();
-            sendResponse({ status: 'cleared' });
-            break;
-        case 'GET_TIMER_STATUS':
-            getTimerStatus(sendResponse);
-            return true; // 保持消息通道开放
-        default:
-            sendResponse({ status: 'unknown command' });
+}
+
+/**
+ * 快捷键：空闲时开始计时，运行时暂停，暂停时继续
+ * @returns {Promise<Object>} 响应对象
+ */
+async function toggleTimer() {
+    const state = await loadTimerState();
+    if (state.status === TimerEngine.STATUS.RUNNING) {
+        return messageHandlers.PAUSE_TIMER();
     }
-});
+    if (state.status === TimerEngine.STATUS.PAUSED) {
+        return messageHandlers.RESUME_TIMER();
+    }
+    const settings = await StorageManager.getSettings();
+    const workTypes = WorkTypes.getNames(settings.workTypes);
+    const type = workTypes.includes(settings.lastWorkType) ? settings.lastWorkType : workTypes[0];
+    // 沿用上次选择的项目和标签，已删除的不再使用
+    const project = Projects.getNames(settings.projects).includes(settings.lastProject) ? settings.lastProject : '';
+    const tags = (settings.lastTags || []).filter(tag => (settings.tags || []).includes(tag));
+    return messageHandlers.START_TIMER({ type, project, tags });
 }
+
+/**
+ * 空闲时以上次选择的类型开始计时
+ * @returns {Promise<Object|null>} 响应对象，已有进行中的计时时为null
+ */
+async function startIdleTimer() {
+    const state = await loadTimerState();
+    if (TimerEngine.isActive(state)) return null;
+    return toggleTimer();
 }
 
-// 计时器状态
-let timerInterval = null;
-let timerState = {
-    isRunning: false,
-    startTime: 0,
-    elapsedTime: 0
-};
+/**
+ * 快捷键：结束进行中的计时并保存记录
+ * @returns {Promise<Object|null>} 响应对象，没有进行中的计时时为null
+ */
+async function endActiveTimer() {
+    const state = await loadTimerState();
+    if (!TimerEngine.isActive(state)) return null;
+    return endTimer({});
+}
 
 /**
- * 开始计时器
- * @param {Object} data - 计时器初始数据
+ * 快捷键：切换到下一个选择类型
+ * 计时进行中时同步更新当前计时的类型，并记住该类型作为下次开始的默认值
+ * @returns {Promise<void>}
  */
-function startTimer(data) {
-    if (timerInterval) clearInterval(timerInterval);
+async function switchToNextWorkType() {
+    const [state, settings] = await Promise.all([loadTimerState(), StorageManager.getSettings()]);
+    const workTypes = WorkTypes.getNames(settings.workTypes);
+    if (!workTypes.length) return;
 
-    timerState = {
-        isRunning: true,
-        startTime: data.startTime || Date.now(),
-        elapsedTime: data.elapsedTime || 0
-    };
+    const currentType = TimerEngine.isActive(state) ? state.type : settings.lastWorkType;
+    const nextType = workTypes[(workTypes.indexOf(currentType) + 1) % workTypes.length];
+
+    await StorageManager.updateSetting('lastWorkType', nextType);
+    if (TimerEngine.isActive(state)) {
+        await messageHandlers.UPDATE_TIMER({ type: nextType });
+    }
+}
+
+/**
+ * 设置页重命名、合并或删除类型后，同步修改进行中计时的类型和番茄钟的专注类型
+ * @param {Object} state - 计时器状态
+ * @param {Object} data - 包含 from（原类型名称数组）和 to（新类型名称）
+ * @returns {Object} 新状态
+ */
+function renameTimerType(state, data) {
+    const next = data.from.includes(state.type) ? TimerEngine.update(state, { type: data.to }) : state;
+    if (next.pomodoro && data.from.includes(next.pomodoro.focusType)) {
+        return { ...next, pomodoro: { ...next.pomodoro, focusType: data.to } };
+    }
+    return next;
+}
+
+/**
+ * 设置页重命名或删除项目后，同步修改进行中计时的项目
+ * @param {Object} state - 计时器状态
+ * @param {Object} data - 包含 from（原项目名称）和 to（新项目名称，删除时为空字符串）
+ * @returns {Object} 新状态
+ */
+function renameTimerProject(state, data) {
+    return state.project === data.from ? TimerEngine.update(state, { project: data.to }) : state;
+}
+
+/**
+ * 设置页重命名或删除标签后，同步修改进行中计时的标签
+ * @param {Object} state - 计时器状态
+ * @param {Object} data - 包含 from（原标签）和 to（新标签，删除时为空字符串）
+ * @returns {Object} 新状态
+ */
+function renameTimerTag(state, data) {
+    const tags = state.tags || [];
+    if (!tags.includes(data.from)) return state;
+    return TimerEngine.update(state, { tags: Projects.normalizeTags(tags.map(tag => (tag === data.from ? data.to : tag))) });
+}
+
+/**
+ * 从备份恢复计时状态，已有进行中的计时时不覆盖
+ * @param {Object} data - 包含 timer（备份中的计时器状态）
+ * @returns {Promise<Object>} 响应对象
+ */
+function restoreTimer(data) {
+    return enqueueCommand(async () => {
+        const now = Date.now();
+        if (TimerEngine.isActive(await loadTimerState())) {
+            throw new Error('当前有进行中的计时，未恢复备份中的计时');
+        }
+        const state = TimerEngine.normalize(data.timer);
+        await StorageManager.saveCurrentTimer(state);
+        await syncAlarms(state);
+        return broadcastTimer('restored', state, now);
+    });
+}
 
-    // 每秒更新一次计时器状态
-    timerInterval = setInterval(() => {
-        timerState.elapsedTime = Date.now() - timerState.startTime;
-        // 保存状态到本地存储
-        chrome.storage.local.set({ timeTracker_currentTimer: timerState });
-    }, 1000);
+/**
+ * 获取当前计时器状态快照
+ * @returns {Promise<Object>} 计时器快照
+ */
+async function getTimerStatus() {
+    return TimerEngine.snapshot(await loadTimerState(), Date.now());
+}
 
-    // 立即保存初始状态
-    chrome.storage.local.set({ timeTracker_currentTimer: timerState });
+/**
+ * 通知已打开的页面计时器状态已变化，并刷新工具栏徽标
+ * @param {string} status - 响应状态
+ * @param {Object} state - 计时器状态
+ * @param {number} now - 当前时间戳
+ * @returns {Object} 响应对象
+ */
+function broadcastTimer(status, state, now) {
+    const timer = TimerEngine.snapshot(state, now);
+    updateBadge(timer);
+    // 没有打开的页面时发送会失败，忽略即可
+    chrome.runtime.sendMessage({ type: 'TIMER_UPDATED', timer }).catch(() => {});
+    return { status, timer };
 }
 
 /**
- * 暂停计时器
+ * 根据计时状态创建或清除周期任务
+ * 仅在计时运行时需要周期刷新，暂停和空闲时不唤醒服务线程
+ * @param {Object} state - 计时器状态
+ * @returns {Promise<void>}
  */
-function pauseTimer() {
-    if (timerInterval) {
-        clearInterval(timerInterval);
-        timerInterval = null;
+async function syncAlarms(state) {
+    if (!chrome.alarms) return;
+    if (state.status === TimerEngine.STATUS.RUNNING) {
+        const existing = await chrome.alarms.get(ALARMS.TICK);
+        if (!existing) {
+            await chrome.alarms.create(ALARMS.TICK, {
+                delayInMinutes: TICK_PERIOD_MINUTES,
+                periodInMinutes: TICK_PERIOD_MINUTES
+            });
+        }
+    } else {
+        await chrome.alarms.clear(ALARMS.TICK);
     }
 
-    if (timerState.isRunning) {
-        timerState.isRunning = false;
-        timerState.elapsedTime = Date.now() - timerState.startTime;
-        chrome.storage.local.set({ timeTracker_currentTimer: timerState });
+    // 番茄钟阶段结束闹钟：暂停时清除，继续时按剩余时长重新设置
+    if (state.status === TimerEngine.STATUS.RUNNING && state.pomodoro) {
+        await chrome.alarms.create(ALARMS.POMODORO, {
+            when: Date.now() + Pomodoro.getRemaining(state, Date.now())
+        });
+    } else {
+        await chrome.alarms.clear(ALARMS.POMODORO);
     }
 }
 
 /**
- * 清除计时器
+ * 从存储中的计时状态恢复定时任务
+ * @returns {Promise<void>}
  */
-function clearTimer() {
-    pauseTimer();
-    timerState = {
-        isRunning: false,
-        startTime: 0,
-        elapsedTime: 0
-    };
-    chrome.storage.local.remove('timeTracker_currentTimer');
+async function restoreAlarms() {
+    await StorageManager.init();
+    const state = await loadTimerState();
+    await syncAlarms(state);
+    updateBadge(TimerEngine.snapshot(state, Date.now()));
 }
 
 /**
- * 获取当前计时器状态
- * @param {Function} sendResponse - 响应回调函数
+ * 周期任务：根据存储的时间戳刷新徽标和已打开页面的计时显示
+ * @returns {Promise<void>}
  */
-function getTimerStatus(sendResponse) {
-    chrome.storage.local.get(['timeTracker_currentTimer'], (result) => {
-        if (result.timeTracker_currentTimer) {
-            timerState = result.timeTracker_currentTimer;
-            // 如果计时器应该运行但未运行，则恢复计时
-            if (timerState.isRunning && !timerInterval) {
-                startTimer(timerState);
-            }
-            sendResponse(timerState);
-        } else {
-            sendResponse(timerState);
+async function onTick() {
+    const state = await loadTimerState();
+    if (state.status !== TimerEngine.STATUS.RUNNING) {
+        await syncAlarms(state);
+        return;
+    }
+    broadcastTimer('tick', state, Date.now());
+}
+
+/**
+ * 根据提醒设置创建或清除提醒检查任务
+ * @returns {Promise<void>}
+ */
+async function syncReminderAlarm() {
+    if (!chrome.alarms) return;
+    await StorageManager.init();
+    const settings = await StorageManager.getSettings();
+    if (Reminders.hasEnabled(settings)) {
+        const existing = await chrome.alarms.get(ALARMS.REMINDERS);
+        if (!existing) {
+            await chrome.alarms.create(ALARMS.REMINDERS, { periodInMinutes: TICK_PERIOD_MINUTES });
         }
+    } else {
+        await chrome.alarms.clear(ALARMS.REMINDERS);
+    }
+}
+
+/**
+ * 定时任务：检查计时过久、工作时段空闲和每日目标提醒
+ * @returns {Promise<void>}
+ */
+async function checkReminders() {
+    const settings = await StorageManager.getSettings();
+    if (!Reminders.hasEnabled(settings)) {
+        await chrome.alarms.clear(ALARMS.REMINDERS);
+        return;
+    }
+
+    const today = DateUtils.getToday(parseInt(settings.dayStartHour) || 0);
+    const [state, todayMinutes, session] = await Promise.all([
+        loadTimerState(),
+        StorageManager.getTotalTimeByDate(today),
+        chrome.storage.session.get(REMINDER_SESSION_KEY)
+    ]);
+    const { reminders, sent } = Reminders.evaluate({
+        settings,
+        state,
+        todayMinutes,
+        today,
+        sent: session[REMINDER_SESSION_KEY] || {},
+        now: Date.now()
     });
+
+    await chrome.storage.session.set({ [REMINDER_SESSION_KEY]: sent });
+    for (const reminder of reminders) {
+        await notify(reminder.title, reminder.message, reminder.actions);
+    }
 }
-}
\ No newline at end of file
+
+/**
+ * 发送桌面通知，遵循用户的通知设置
+ * @param {string} title - 标题
+ * @param {string} message - 内容
+ * @param {Array<string>} actions - 按钮操作，见 notificationActions
+ * @returns {Promise<void>}
+ */
+async function notify(title, message, actions = []) {
+    if (!chrome.notifications) return;
+    const settings = await StorageManager.getSettings();
+    if (settings.notifications === false) return;
+
+    const options = {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title,
+        message
+    };
+    if (actions.length) {
+        options.buttons = actions.map(action => ({ title: notificationActions[action].title }));
+    }
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}|${actions.join(',')}|${Date.now()}`, options);
+}
+
+/**
+ * 在工具栏徽标上显示已计时长，并在标题中显示类型和开始时间
+ * 运行中为绿色，暂停为黄色，番茄钟休息为蓝色，空闲时清空
+ * 番茄钟模式下显示本阶段剩余时长
+ * @param {Object} timer - 计时器快照
+ */
+function updateBadge(timer) {
+    if (!chrome.action) return;
+
+    if (!TimerEngine.isActive(timer)) {
+        chrome.action.setBadgeText({ text: '' });
+        chrome.action.setTitle({ title: DEFAULT_ACTION_TITLE });
+        return;
+    }
+
+    const paused = timer.status === TimerEngine.STATUS.PAUSED;
+    let colors = paused ? BADGE_COLORS.paused : BADGE_COLORS.running;
+    let text;
+    let detail;
+
+    if (timer.pomodoro) {
+        // 倒计时向上取整到分钟，避免最后一分钟显示为0:00
+        text = formatBadgeDuration(Math.max(0, timer.pomodoro.duration - timer.elapsed) + 59999);
+        detail = `${Pomodoro.describe(timer.pomodoro)} · ${timer.type || '未分类'}\n剩余 ${text}`;
+        if (!paused && Pomodoro.isBreak(timer.pomodoro)) colors = BADGE_COLORS.break;
+    } else {
+        const startText = DateUtils.formatTime(timer.startedAt);
+        text = formatBadgeDuration(timer.elapsed);
+        detail = `${timer.type || '未分类'} · 开始于 ${startText}\n已计时 ${text}`;
+    }
+
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color: colors.background });
+    if (chrome.action.setBadgeTextColor) {
+        chrome.action.setBadgeTextColor({ color: colors.text });
+    }
+    chrome.action.setTitle({
+        title: `${DEFAULT_ACTION_TITLE}\n${detail}${paused ? '（已暂停）' : ''}`
+    });
+}
+
+/**
+ * 格式化徽标时长为 H:MM，超过10小时只显示小时数以适应徽标宽度
+ * @param {number} ms - 毫秒数
+ * @returns {string} 格式化后的时长
+ */
+function formatBadgeDuration(ms) {
+    const totalMinutes = Math.floor(ms / (1000 * 60));
+    const hours = Math.floor(totalMinutes / 60);
+    if (hours >= 10) return `${hours}h`;
+    return `${hours}:${(totalMinutes % 60).toString().padStart(2, '0')}`;
+}
+
+// 服务线程被唤醒时确保存储已初始化
+StorageManager.init();
@@ -0,0 +1,223 @@
+import StorageManager from './storage.js';
+import TimerEngine from './timer.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
+/**
+ * 备份模块
+ * 将 StorageManager.STORAGE_KEYS 下的全部数据导出为带版本号的JSON，并支持覆盖或合并恢复
+ * 恢复旧版本的备份时依次执行 MIGRATIONS 中的迁移，升级到当前版本后再写入
+ */
+const Backup = {
+    // 备份文件标识
+    FORMAT: 'timeTracker-backup',
+
+    // 当前备份格式版本
+    VERSION: 1,
+
+    // 恢复方式
+    MODES: {
+        REPLACE: 'replace',
+        MERGE: 'merge'
+    },
+
+    /**
+     * 版本迁移，键为源版本号，返回升级一个版本后的备份
+     * 版本0：没有标识和版本号的存储原始数据，即 {timeTracker_records, timeTracker_settings, ...}
+     */
+    MIGRATIONS: {
+        0: raw => {
+            const data = {};
+            Object.values(StorageManager.STORAGE_KEYS).forEach(key => {
+                if (key in raw) data[key] = raw[key];
+            });
+            // 旧记录没有完整时间戳，按日期、时间和备份中的"一天开始于"补齐
+            const records = data[StorageManager.STORAGE_KEYS.RECORDS];
+            const dayStartHour = parseInt((data[StorageManager.STORAGE_KEYS.SETTINGS] || {}).dayStartHour) || 0;
+            if (Array.isArray(records)) {
+                data[StorageManager.STORAGE_KEYS.RECORDS] = records.map(record => {
+                    if (record.start && record.end) return record;
+                    const { start, end } = StorageManager.getRecordInterval(record, dayStartHour);
+                    return isFinite(start) && isFinite(end) ? { ...record, start, end } : record;
+                });
+            }
+            return { format: Backup.FORMAT, version: 1, exportedAt: null, data };
+        }
+    },
+
+    /**
+     * 读取当前全部数据并生成备份
+     * @returns {Promise<Object>} 备份对象
+     */
+    async create() {
+        await StorageManager.init();
+        const data = await StorageManager.read(Object.values(StorageManager.STORAGE_KEYS));
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: Date.now(),
+            data
+        };
+    },
+
+    /**
+     * 解析备份文件内容并升级到当前版本
+     * @param {string} text - 备份文件内容
+     * @returns {Object} 当前版本的备份对象
+     */
+    parse(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('备份文件不是有效的JSON');
+        }
+        if (!backup || typeof backup !== 'object') {
+            throw new Error('不是有效的备份文件');
+        }
+
+        // 没有标识时视为存储原始数据（版本0）
+        let version = 0;
+        if (backup.format !== undefined) {
+            if (backup.format !== this.FORMAT) throw new Error('不是有效的备份文件');
+            version = Number(backup.version) || 0;
+        } else if (!Object.values(StorageManager.STORAGE_KEYS).some(key => key in backup)) {
+            throw new Error('不是有效的备份文件');
+        }
+        if (version > this.VERSION) {
+            throw new Error('备份文件来自更新的版本，请先升级插件');
+        }
+
+        while (version < this.VERSION) {
+            backup = this.MIGRATIONS[version](backup);
+            version = backup.version;
+        }
+
+        const records = backup.data[StorageManager.STORAGE_KEYS.RECORDS];
+        if (records !== undefined && !Array.isArray(records)) {
+            throw new Error('备份中的记录格式无效');
+        }
+        return backup;
+    },
+
+    /**
+     * 汇总备份内容，用于恢复前确认
+     * @param {Object} backup - 备份对象
+     * @returns {{recordCount: number, hasSettings: boolean, hasTimer: boolean, exportedAt: number|null}}
+     */
+    describe(backup) {
+        const { RECORDS, SETTINGS, CURRENT_TIMER } = StorageManager.STORAGE_KEYS;
+        return {
+            recordCount: (backup.data[RECORDS] || []).length,
+            hasSettings: !!backup.data[SETTINGS],
+            hasTimer: TimerEngine.isActive(TimerEngine.normalize(backup.data[CURRENT_TIMER])),
+            exportedAt: backup.exportedAt
+        };
+    },
+
+    /**
+     * 恢复记录和设置
+     * 覆盖：以备份为准替换全部记录、回收站、任务和设置；合并：按ID合并记录、回收站和任务（已存在的保留当前版本），设置以当前为准、合并选择类型
+     * 计时状态由后台维护，通过 getRestorableTimer 取得后交给后台恢复
+     * @param {Object} backup - 当前版本的备份对象
+     * @param {string} mode - 恢复方式
+     * @returns {Promise<{records: number, added: number}>} 恢复后的记录总数和新增数量
+     */
+    restore(backup, mode) {
+        const { RECORDS, SETTINGS, TRASH, TASKS } = StorageManager.STORAGE_KEYS;
+        return StorageManager.enqueue(async () => {
+            const current = await StorageManager.read([RECORDS, SETTINGS, TRASH, TASKS]);
+            const currentRecords = current[RECORDS] || [];
+            const backupRecords = assignMissingIds(backup.data[RECORDS] || [], currentRecords);
+            const backupSettings = backup.data[SETTINGS];
+            const backupTrash = backup.data[TRASH] || [];
+            const backupTasks = backup.data[TASKS] || [];
+            const updates = {};
+
+            if (mode === this.MODES.REPLACE) {
+                updates[RECORDS] = backupRecords;
+                updates[TRASH] = backupTrash;
+                updates[TASKS] = backupTasks;
+                if (backupSettings) {
+                    updates[SETTINGS] = {
+                        ...StorageManager.DEFAULT_SETTINGS,
+                        ...backupSettings,
+                        workTypes: WorkTypes.normalize(backupSettings.workTypes ?? StorageManager.DEFAULT_SETTINGS.workTypes),
+                        projects: Projects.normalize(backupSettings.projects)
+                    };
+                }
+            } else {
+                const existingIds = new Set(currentRecords.map(record => record.id));
+                updates[RECORDS] = currentRecords.concat(backupRecords.filter(record => !existingIds.has(record.id)));
+                const currentTrash = current[TRASH] || [];
+                const trashIds = new Set(currentTrash.map(record => record.id));
+                updates[TRASH] = currentTrash.concat(backupTrash.filter(record => !trashIds.has(record.id)));
+                const currentTasks = current[TASKS] || [];
+                const taskIds = new Set(currentTasks.map(task => task.id));
+                updates[TASKS] = currentTasks.concat(backupTasks.filter(task => !taskIds.has(task.id)));
+                if (backupSettings) {
+                    const settings = current[SETTINGS] || {};
+                    // 按名称合并选择类型，同名时保留当前的颜色和标记
+                    const workTypes = WorkTypes.normalize(settings.workTypes ?? StorageManager.DEFAULT_SETTINGS.workTypes);
+                    WorkTypes.normalize(backupSettings.workTypes || []).forEach(type => {
+                        if (workTypes.some(item => item.name === type.name)) return;
+                        const id = workTypes.some(item => item.id === type.id) ? WorkTypes.create(type.name).id : type.id;
+                        workTypes.push({ ...type, id });
+                    });
+                    // 项目和标签同样按名称合并
+                    const projects = Projects.normalize(settings.projects);
+                    Projects.normalize(backupSettings.projects).forEach(project => {
+                        if (projects.some(item => item.name === project.name)) return;
+                        const id = projects.some(item => item.id === project.id) ? Projects.create(project.name).id : project.id;
+                        projects.push({ ...project, id });
+                    });
+                    const tags = Projects.normalizeTags((settings.tags || []).concat(backupSettings.tags || []));
+                    updates[SETTINGS] = { ...StorageManager.DEFAULT_SETTINGS, ...backupSettings, ...settings, workTypes, projects, tags };
+                }
+            }
+
+            await StorageManager.write(updates);
+            return {
+                records: updates[RECORDS].length,
+                added: mode === this.MODES.REPLACE
+                    ? backupRecords.length
+                    : updates[RECORDS].length - currentRecords.length
+            };
+        });
+    },
+
+    /**
+     * 获取备份中可恢复的计时状态
+     * 备份时正在运行的计时在备份时刻暂停，避免把备份之后的时间计入
+     * @param {Object} backup - 当前版本的备份对象
+     * @returns {Object|null} 计时器状态，备份中没有进行中的计时时为null
+     */
+    getRestorableTimer(backup) {
+        let state = TimerEngine.normalize(backup.data[StorageManager.STORAGE_KEYS.CURRENT_TIMER]);
+        if (!TimerEngine.isActive(state)) return null;
+        if (state.status === TimerEngine.STATUS.RUNNING) {
+            const lastStart = state.segments[state.segments.length - 1].start;
+            state = TimerEngine.pause(state, Math.max(lastStart, backup.exportedAt || lastStart));
+        }
+        return { ...state, idleStart: null };
+    }
+};
+
+/**
+ * 为缺少ID的记录分配不与现有记录冲突的ID
+ * @param {Array<Object>} records - 备份中的记录
+ * @param {Array<Object>} existing - 当前记录
+ * @returns {Array<Object>} 记录数组
+ */
+function assignMissingIds(records, existing) {
+    const usedIds = new Set(existing.concat(records).map(record => record.id));
+    let id = Date.now();
+    return records.map(record => {
+        if (record.id !== undefined && record.id !== null) return record;
+        while (usedIds.has(id)) id++;
+        usedIds.add(id);
+        return { ...record, id };
+    });
+}
+
+export default Backup;
@@ -0,0 +1,218 @@
+import DateUtils from './dateUtils.js';
+
+/**
+ * 图表模块
+ * 生成SVG图表的标记字符串，可直接插入页面，也可嵌入导出的HTML报告
+ * 不依赖外部库，所有文本均经过转义
+ */
+const Charts = {
+    // 选择类型的默认配色，按类型顺序循环使用
+    PALETTE: ['#4285f4', '#34a853', '#fbbc04', '#ea4335', '#9c27b0', '#00acc1', '#ff7043', '#8d6e63', '#5c6bc0', '#9e9d24'],
+
+    // 设置中允许保存的颜色格式，颜色会直接写入页面样式和SVG属性
+    COLOR_PATTERN: /^#[0-9a-f]{6}$/i,
+
+    // 热力图的颜色等级，从无记录到最多
+    HEATMAP_COLORS: ['#ebedf0', '#c6dbfb', '#8ab4f8', '#4285f4', '#1a57c4'],
+
+    /**
+     * 为选择类型分配颜色
+     * @param {Array<string>} types - 选择类型
+     * @returns {Object} 类型到颜色的映射
+     */
+    getColors(types) {
+        return types.reduce((colors, type, index) => {
+            colors[type] = this.PALETTE[index % this.PALETTE.length];
+            return colors;
+        }, {});
+    },
+
+    /**
+     * 按类型堆叠的柱状图
+     * @param {Object} options - 图表参数
+     * @param {Array<{label: string, title: string, values: Object}>} options.categories - 每根柱子的标签、提示和各类型分钟数
+     * @param {Array<string>} options.series - 堆叠顺序（选择类型）
+     * @param {Object} options.colors - 类型到颜色的映射
+     * @param {number} [options.width] - 宽度
+     * @param {number} [options.height] - 高度
+     * @returns {string} SVG标记
+     */
+    stackedBar({ categories, series, colors, width = 700, height = 260 }) {
+        const padding = { top: 10, right: 10, bottom: 28, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const totals = categories.map(category =>
+            series.reduce((total, type) => total + (category.values[type] || 0), 0));
+        const { max, step } = niceHourScale(Math.max(0, ...totals));
+        const y = minutes => padding.top + plotHeight - (minutes / max) * plotHeight;
+
+        const parts = [];
+        // 纵轴刻度（小时）
+        for (let value = 0; value <= max; value += step) {
+            parts.push(`<line x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e0e0e0"/>`);
+            parts.push(`<text x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#757575">${value / 60}h</text>`);
+        }
+
+        const slot = plotWidth / Math.max(1, categories.length);
+        const barWidth = Math.max(2, slot * 0.6);
+        // 柱子较多时间隔显示标签
+        const labelEvery = Math.ceil(categories.length / 16);
+        categories.forEach((category, index) => {
+            const x = padding.left + slot * index + (slot - barWidth) / 2;
+            let base = 0;
+            series.forEach(type => {
+                const minutes = category.values[type] || 0;
+                if (!minutes) return;
+                const top = y(base + minutes);
+                parts.push(`<rect x="${x}" y="${top}" width="${barWidth}" height="${y(base) - top}" fill="${colors[type]}">` +
+                    `<title>${escapeXml(`${category.title} ${type}：${formatMinutes(minutes)}`)}</title></rect>`);
+                base += minutes;
+            });
+            if (index % labelEvery === 0) {
+                parts.push(`<text x="${x + barWidth / 2}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#757575">${escapeXml(category.label)}</text>`);
+            }
+        });
+
+        return svg(width, height, parts);
+    },
+
+    /**
+     * 环形图
+     * @param {Object} options - 图表参数
+     * @param {Array<{label: string, value: number, color: string}>} options.items - 各部分
+     * @param {number} [options.size] - 直径
+     * @param {number} [options.thickness] - 环的宽度
+     * @returns {string} SVG标记
+     */
+    donut({ items, size = 200, thickness = 36 }) {
+        const radius = (size - thickness) / 2;
+        const center = size / 2;
+        const circumference = 2 * Math.PI * radius;
+        const total = items.reduce((sum, item) => sum + item.value, 0);
+        const parts = [
+            `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#f0f0f0" stroke-width="${thickness}"/>`
+        ];
+
+        // 用描边虚线绘制每一段，从12点方向顺时针排列
+        let offset = 0;
+        items.filter(item => item.value > 0).forEach(item => {
+            const length = (item.value / total) * circumference;
+            const percent = Math.round((item.value / total) * 1000) / 10;
+            parts.push(`<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="${item.color}" stroke-width="${thickness}" ` +
+                `stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${center} ${center})">` +
+                `<title>${escapeXml(`${item.label}：${formatMinutes(item.value)}（${percent}%）`)}</title></circle>`);
+            offset += length;
+        });
+
+        parts.push(`<text x="${center}" y="${center - 2}" text-anchor="middle" font-size="18" font-weight="bold" fill="#333">${Math.round(total / 6) / 10}h</text>`);
+        parts.push(`<text x="${center}" y="${center + 16}" text-anchor="middle" font-size="11" fill="#757575">合计</text>`);
+        return svg(size, size, parts);
+    },
+
+    /**
+     * 日历热力图，每列为一周（周一在上），颜色深浅表示当天记录的分钟数
+     * @param {Object} options - 图表参数
+     * @param {Object} options.values - 日期键到分钟数的映射
+     * @param {string} options.startDate - 开始日期
+     * @param {string} options.endDate - 结束日期
+     * @param {number} [options.cell] - 格子边长
+     * @returns {string} SVG标记
+     */
+    heatmap({ values, startDate, endDate, cell = 14 }) {
+        const gap = 3;
+        const left = 24;
+        const top = 16;
+        const firstMonday = DateUtils.getWeekStart(startDate);
+        const max = Math.max(0, ...Object.values(values));
+        const parts = [];
+
+        ['一', '三', '五'].forEach((label, index) => {
+            parts.push(`<text x="0" y="${top + (index * 2) * (cell + gap) + cell - 3}" font-size="10" fill="#757575">${label}</text>`);
+        });
+
+        let week = 0;
+        let lastMonth = null;
+        for (let date = firstMonday; date <= endDate; date = DateUtils.addDays(date, 1)) {
+            const weekday = (DateUtils.parseDateKey(date).getDay() + 6) % 7;
+            if (weekday === 0 && date !== firstMonday) week++;
+            const x = left + week * (cell + gap);
+
+            // 每月第一周的上方标注月份
+            const month = DateUtils.parseDateKey(date).getMonth();
+            if (weekday === 0 && month !== lastMonth) {
+                parts.push(`<text x="${x}" y="10" font-size="10" fill="#757575">${month + 1}月</text>`);
+                lastMonth = month;
+            }
+
+            if (date < startDate) continue;
+            const minutes = values[date] || 0;
+            const level = minutes && max ? Math.min(4, Math.ceil((minutes / max) * 4)) : 0;
+            parts.push(`<rect x="${x}" y="${top + weekday * (cell + gap)}" width="${cell}" height="${cell}" rx="2" fill="${this.HEATMAP_COLORS[level]}">` +
+                `<title>${escapeXml(`${date}：${formatMinutes(minutes)}`)}</title></rect>`);
+        }
+
+        return svg(left + (week + 1) * (cell + gap), top + 7 * (cell + gap), parts);
+    },
+
+    /**
+     * 图例
+     * @param {Array<string>} types - 选择类型
+     * @param {Object} colors - 类型到颜色的映射
+     * @returns {string} HTML标记
+     */
+    legend(types, colors) {
+        return `<div class="chart-legend">${types.map(type =>
+            `<span class="chart-legend-item"><i style="display:inline-block;width:10px;height:10px;border-radius:2px;background:${colors[type]};margin-right:4px;"></i>${escapeXml(type)}</span>`
+        ).join(' ')}</div>`;
+    }
+};
+
+/**
+ * 生成SVG根元素
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Array<string>} parts - 子元素
+ * @returns {string} SVG标记
+ */
+function svg(width, height, parts) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
+
+/**
+ * 计算以小时为单位的纵轴范围和刻度间隔
+ * @param {number} maxMinutes - 最大分钟数
+ * @returns {{max: number, step: number}} 以分钟表示的最大值和刻度间隔
+ */
+function niceHourScale(maxMinutes) {
+    const hours = Math.max(1, Math.ceil(maxMinutes / 60));
+    const stepHours = [1, 2, 4, 6, 12, 24].find(step => hours / step <= 5) || Math.ceil(hours / 5);
+    return { max: Math.ceil(hours / stepHours) * stepHours * 60, step: stepHours * 60 };
+}
+
+/**
+ * 将分钟数格式化为 x小时y分钟
+ * @param {number} minutes - 分钟数
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    if (!hours) return `${rest}分钟`;
+    return rest ? `${hours}小时${rest}分钟` : `${hours}小时`;
+}
+
+/**
+ * 转义XML特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+export default Charts;
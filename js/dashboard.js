@@ -0,0 +1,395 @@
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+import Charts from './charts.js';
+import TimerEngine from './timer.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
+// 统计周期
+const PERIODS = {
+    WEEK: 'week',
+    MONTH: 'month'
+};
+
+// 热力图覆盖的周数
+const HEATMAP_WEEKS = 26;
+
+/**
+ * 统计面板页面脚本
+ * 按周或按月展示每日用时柱状图、类型占比、与上一周期的对比和日历热力图
+ */
+class DashboardManager {
+    constructor() {
+        // DOM元素
+        this.periodBtns = document.querySelectorAll('[data-period]');
+        this.prevBtn = document.getElementById('prev-period');
+        this.nextBtn = document.getElementById('next-period');
+        this.currentBtn = document.getElementById('current-period');
+        this.periodLabel = document.getElementById('period-label');
+        this.totalEl = document.getElementById('summary-total');
+        this.averageEl = document.getElementById('summary-average');
+        this.changeEl = document.getElementById('summary-change');
+        this.activeDaysEl = document.getElementById('summary-active-days');
+        this.dailyChart = document.getElementById('daily-chart');
+        this.typeChart = document.getElementById('type-chart');
+        this.comparisonTitle = document.getElementById('comparison-title');
+        this.comparisonBody = document.getElementById('comparison-body');
+        this.projectChart = document.getElementById('project-chart');
+        this.tagBody = document.getElementById('tag-body');
+        this.heatmapChart = document.getElementById('heatmap-chart');
+
+        // 当前周期和用于定位周期的日期
+        this.period = PERIODS.WEEK;
+        this.anchorDate = null;
+        this.settings = {};
+
+        // 初始化
+        this.init();
+    }
+
+    /**
+     * 初始化统计面板
+     */
+    async init() {
+        await StorageManager.init();
+        this.settings = await StorageManager.getSettings();
+        this.anchorDate = this.getToday();
+        this.bindEvents();
+        this.render();
+    }
+
+    /**
+     * 绑定事件处理函数
+     */
+    bindEvents() {
+        this.periodBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.period = btn.dataset.period;
+                this.render();
+            });
+        });
+        this.prevBtn.addEventListener('click', () => this.shiftPeriod(-1));
+        this.nextBtn.addEventListener('click', () => this.shiftPeriod(1));
+        this.currentBtn.addEventListener('click', () => {
+            this.anchorDate = this.getToday();
+            this.render();
+        });
+
+        // 其他页面修改记录或设置后刷新
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'SETTINGS_UPDATED') {
+                StorageManager.getSettings().then(settings => {
+                    this.settings = settings;
+                    this.render();
+                });
+            } else if (message.type === 'RECORDS_UPDATED') {
+                this.render();
+            } else if (message.type === 'TIMER_UPDATED' && message.timer.status === TimerEngine.STATUS.IDLE) {
+                // 计时结束后有新记录
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * 获取今天的日期键
+     * @returns {string} yyyy-MM-dd
+     */
+    getToday() {
+        return DateUtils.getToday(parseInt(this.settings.dayStartHour) || 0);
+    }
+
+    /**
+     * 前后切换周期
+     * @param {number} direction - -1 为上一周期，1 为下一周期
+     */
+    shiftPeriod(direction) {
+        if (this.period === PERIODS.WEEK) {
+            this.anchorDate = DateUtils.addDays(this.anchorDate, direction * 7);
+        } else {
+            this.anchorDate = DateUtils.getMonthRange(this.anchorDate, direction).start;
+        }
+        this.render();
+    }
+
+    /**
+     * 获取包含指定日期的周期范围
+     * @param {string} date - 日期键
+     * @param {number} offset - 周期偏移，-1 为上一周期
+     * @returns {{start: string, end: string}} 日期键区间（含两端）
+     */
+    getRange(date, offset = 0) {
+        if (this.period === PERIODS.WEEK) {
+            const start = DateUtils.addDays(DateUtils.getWeekStart(date), offset * 7);
+            return { start, end: DateUtils.addDays(start, 6) };
+        }
+        return DateUtils.getMonthRange(date, offset);
+    }
+
+    /**
+     * 渲染当前周期的全部统计
+     */
+    async render() {
+        const range = this.getRange(this.anchorDate);
+        const previousRange = this.getRange(this.anchorDate, -1);
+        const heatmapStart = DateUtils.addDays(DateUtils.getWeekStart(range.end), -(HEATMAP_WEEKS - 1) * 7);
+
+        const [current, previous, heatmap, labels] = await Promise.all([
+            StorageManager.getDailyTypeTotals(range.start, range.end),
+            StorageManager.getDailyTypeTotals(previousRange.start, previousRange.end),
+            StorageManager.getDailyTypeTotals(heatmapStart, range.end),
+            StorageManager.getProjectTagTotals(range.start, range.end)
+        ]);
+
+        const currentByType = sumByType(current);
+        const previousByType = sumByType(previous);
+        const types = this.getSeries(currentByType, previousByType);
+        const colors = WorkTypes.getColors(this.settings.workTypes, types);
+
+        this.periodBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.period === this.period));
+        this.currentBtn.textContent = this.period === PERIODS.WEEK ? '本周' : '本月';
+        this.periodLabel.textContent = `${this.formatDate(range.start)} ~ ${this.formatDate(range.end)}`;
+        this.nextBtn.disabled = range.end >= this.getToday();
+
+        this.renderSummary(current, previous);
+        this.renderDailyChart(current, types, colors);
+        this.renderTypeChart(currentByType, types, colors);
+        this.renderComparison(currentByType, previousByType, types, colors);
+        this.renderProjectChart(labels.projects);
+        this.renderTagTable(labels.tags, sumValues(currentByType));
+        this.heatmapChart.innerHTML = Charts.heatmap({
+            values: sumByDate(heatmap),
+            startDate: heatmapStart,
+            endDate: range.end
+        });
+    }
+
+    /**
+     * 确定类型顺序：设置中的类型在前，已删除但仍有记录的类型在后
+     * @param {...Object} totalsByType - 各周期按类型的分钟数
+     * @returns {Array<string>} 选择类型
+     */
+    getSeries(...totalsByType) {
+        const types = WorkTypes.getNames(this.settings.workTypes);
+        totalsByType.forEach(totals => {
+            Object.keys(totals).forEach(type => {
+                if (!types.includes(type)) types.push(type);
+            });
+        });
+        return types;
+    }
+
+    /**
+     * 渲染汇总卡片
+     * @param {Object} current - 本期每日每类型分钟数
+     * @param {Object} previous - 上期每日每类型分钟数
+     */
+    renderSummary(current, previous) {
+        const byDate = sumByDate(current);
+        const total = sumValues(byDate);
+        const previousTotal = sumValues(sumByDate(previous));
+        // 本期未结束时只按已经过去的天数计算日均
+        const today = this.getToday();
+        const elapsedDays = Object.keys(byDate).filter(date => date <= today).length || Object.keys(byDate).length;
+
+        this.totalEl.textContent = formatHours(total);
+        this.averageEl.textContent = formatHours(elapsedDays ? total / elapsedDays : 0);
+        this.activeDaysEl.textContent = `${Object.values(byDate).filter(minutes => minutes > 0).length} 天`;
+        this.changeEl.textContent = formatChange(total, previousTotal);
+        this.changeEl.className = `stat-value ${total >= previousTotal ? 'positive' : 'negative'}`;
+        this.changeEl.title = `上期合计 ${formatHours(previousTotal)}`;
+    }
+
+    /**
+     * 渲染每日按类型堆叠的柱状图
+     * @param {Object} current - 本期每日每类型分钟数
+     * @param {Array<string>} types - 选择类型
+     * @param {Object} colors - 类型颜色
+     */
+    renderDailyChart(current, types, colors) {
+        const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
+        const categories = Object.keys(current).map(date => {
+            const day = DateUtils.parseDateKey(date);
+            return {
+                label: this.period === PERIODS.WEEK ? `周${weekdays[day.getDay()]}` : String(day.getDate()),
+                title: this.formatDate(date),
+                values: current[date]
+            };
+        });
+        this.dailyChart.innerHTML = Charts.stackedBar({ categories, series: types, colors })
+            + Charts.legend(types.filter(type => categories.some(category => category.values[type])), colors);
+    }
+
+    /**
+     * 渲染类型占比环形图
+     * @param {Object} byType - 按类型的分钟数
+     * @param {Array<string>} types - 选择类型
+     * @param {Object} colors - 类型颜色
+     */
+    renderTypeChart(byType, types, colors) {
+        const items = types
+            .filter(type => byType[type])
+            .map(type => ({ label: type, value: byType[type], color: colors[type] }));
+        this.typeChart.innerHTML = items.length
+            ? Charts.donut({ items })
+            : '<div class="chart-empty">本期没有记录</div>';
+    }
+
+    /**
+     * 渲染与上一周期的分类型对比
+     * @param {Object} currentByType - 本期按类型的分钟数
+     * @param {Object} previousByType - 上期按类型的分钟数
+     * @param {Array<string>} types - 选择类型
+     * @param {Object} colors - 类型颜色
+     */
+    renderComparison(currentByType, previousByType, types, colors) {
+        this.comparisonTitle.textContent = this.period === PERIODS.WEEK ? '与上周对比' : '与上月对比';
+        this.comparisonBody.innerHTML = '';
+
+        types
+            .filter(type => currentByType[type] || previousByType[type])
+            .forEach(type => {
+                const current = currentByType[type] || 0;
+                const previous = previousByType[type] || 0;
+                const row = document.createElement('tr');
+
+                const typeCell = document.createElement('td');
+                const swatch = document.createElement('i');
+                swatch.className = 'type-swatch';
+                swatch.style.backgroundColor = colors[type];
+                typeCell.append(swatch, type);
+
+                const changeCell = document.createElement('td');
+                changeCell.textContent = formatChange(current, previous);
+                changeCell.className = current >= previous ? 'positive' : 'negative';
+
+                row.append(typeCell, createCell(formatHours(current)), createCell(formatHours(previous)), changeCell);
+                this.comparisonBody.appendChild(row);
+            });
+
+        if (!this.comparisonBody.children.length) {
+            this.comparisonBody.innerHTML = '<tr class="no-records"><td colspan="4">本期和上期都没有记录</td></tr>';
+        }
+    }
+
+    /**
+     * 渲染项目占比环形图，项目名称附带客户
+     * @param {Object} byProject - 按项目的分钟数
+     */
+    renderProjectChart(byProject) {
+        const projects = Object.keys(byProject).sort((a, b) => byProject[b] - byProject[a]);
+        const colors = Projects.getColors(this.settings.projects, projects);
+        // "无项目"统一显示为灰色
+        colors[Projects.NO_PROJECT] = '#bdbdbd';
+        const items = projects.map(name => ({
+            label: name === Projects.NO_PROJECT ? name : Projects.getLabel(this.settings.projects, name),
+            value: byProject[name],
+            color: colors[name]
+        }));
+        this.projectChart.innerHTML = items.length
+            ? Charts.donut({ items })
+            : '<div class="chart-empty">本期没有记录</div>';
+    }
+
+    /**
+     * 渲染标签用时表，有多个标签的记录计入每个标签，占比相对本期总用时
+     * @param {Object} byTag - 按标签的分钟数
+     * @param {number} total - 本期总分钟数
+     */
+    renderTagTable(byTag, total) {
+        this.tagBody.innerHTML = '';
+        Object.keys(byTag)
+            .sort((a, b) => byTag[b] - byTag[a])
+            .forEach(tag => {
+                const row = document.createElement('tr');
+                const share = total ? `${Math.round((byTag[tag] / total) * 100)}%` : '-';
+                row.append(createCell(tag), createCell(formatHours(byTag[tag])), createCell(share));
+                this.tagBody.appendChild(row);
+            });
+
+        if (!this.tagBody.children.length) {
+            this.tagBody.innerHTML = '<tr class="no-records"><td colspan="3">本期没有记录</td></tr>';
+        }
+    }
+
+    /**
+     * 按用户设置的格式显示日期
+     * @param {string} dateKey - yyyy-MM-dd
+     * @returns {string} 格式化后的日期
+     */
+    formatDate(dateKey) {
+        return DateUtils.formatDateKey(dateKey, this.settings.dateFormat);
+    }
+}
+
+/**
+ * 汇总每天各类型分钟数
+ * @param {Object} totals - {日期: {类型: 分钟数}}
+ * @returns {Object} {日期: 分钟数}
+ */
+function sumByDate(totals) {
+    return Object.keys(totals).reduce((result, date) => {
+        result[date] = sumValues(totals[date]);
+        return result;
+    }, {});
+}
+
+/**
+ * 汇总各类型分钟数
+ * @param {Object} totals - {日期: {类型: 分钟数}}
+ * @returns {Object} {类型: 分钟数}
+ */
+function sumByType(totals) {
+    return Object.values(totals).reduce((result, byType) => {
+        Object.keys(byType).forEach(type => {
+            result[type] = (result[type] || 0) + byType[type];
+        });
+        return result;
+    }, {});
+}
+
+/**
+ * 累加对象的数值
+ * @param {Object} values - 数值对象
+ * @returns {number} 合计
+ */
+function sumValues(values) {
+    return Object.values(values).reduce((total, value) => total + value, 0);
+}
+
+/**
+ * 将分钟数显示为小时
+ * @param {number} minutes - 分钟数
+ * @returns {string} 如 "3.5 小时"
+ */
+function formatHours(minutes) {
+    return `${Math.round(minutes / 6) / 10} 小时`;
+}
+
+/**
+ * 计算相对上期的变化
+ * @param {number} current - 本期分钟数
+ * @param {number} previous - 上期分钟数
+ * @returns {string} 如 "+12%"，上期为0时显示 "新增" 或 "-"
+ */
+function formatChange(current, previous) {
+    if (!previous) return current ? '新增' : '-';
+    const percent = Math.round(((current - previous) / previous) * 100);
+    return `${percent >= 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * 创建表格单元格
+ * @param {string} text - 单元格文本
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+}
+
+// 初始化统计面板
+document.addEventListener('DOMContentLoaded', () => {
+    new DashboardManager();
+});
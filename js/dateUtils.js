@@ -0,0 +1,178 @@
+/**
+ * 日期工具模块
+ * 统一按本地时区计算日期，供存储、后台、弹窗和报告共用
+ * 支持"一天开始于"设置：熬夜到凌晨的计时仍归入前一天
+ * 记录中的 date 始终保存为 yyyy-MM-dd，startTime/endTime 为 HH:mm，仅在显示时按用户格式转换
+ */
+const DateUtils = {
+    // 记录中保存的日期、时间格式
+    DATE_KEY_FORMAT: 'yyyy-MM-dd',
+    TIME_KEY_FORMAT: 'HH:mm',
+
+    // 设置页可选的格式
+    DATE_FORMATS: ['yyyy-MM-dd', 'yyyy/MM/dd', 'MM/dd/yyyy', 'dd.MM.yyyy', 'yyyy年M月d日'],
+    TIME_FORMATS: ['HH:mm', 'H:mm', 'hh:mm a'],
+
+    /**
+     * 获取时间所属日期的键 yyyy-MM-dd
+     * 早于"一天开始于"小时的时间归入前一天
+     * @param {Date|number} date - 日期对象或时间戳
+     * @param {number} dayStartHour - 一天开始的小时（0-12）
+     * @returns {string} 日期字符串
+     */
+    toDateKey(date, dayStartHour = 0) {
+        const shifted = new Date(date);
+        shifted.setHours(shifted.getHours() - (dayStartHour || 0));
+        return this.formatDate(shifted, this.DATE_KEY_FORMAT);
+    },
+
+    /**
+     * 获取今天的日期键
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {string} 日期字符串
+     */
+    getToday(dayStartHour = 0) {
+        return this.toDateKey(new Date(), dayStartHour);
+    },
+
+    /**
+     * 解析日期键为本地零点
+     * @param {string} dateKey - yyyy-MM-dd
+     * @returns {Date} 日期对象
+     */
+    parseDateKey(dateKey) {
+        const [year, month, day] = String(dateKey).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * 在日期键上增加天数
+     * @param {string} dateKey - yyyy-MM-dd
+     * @param {number} days - 天数，可为负
+     * @returns {string} 新的日期键
+     */
+    addDays(dateKey, days) {
+        const date = this.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.formatDate(date, this.DATE_KEY_FORMAT);
+    },
+
+    /**
+     * 获取日期所在周的周一
+     * @param {string} dateKey - yyyy-MM-dd
+     * @returns {string} 周一的日期键
+     */
+    getWeekStart(dateKey) {
+        const day = this.parseDateKey(dateKey).getDay();
+        return this.addDays(dateKey, day === 0 ? -6 : 1 - day);
+    },
+
+    /**
+     * 获取日期所在月（可偏移若干月）的第一天和最后一天
+     * @param {string} dateKey - yyyy-MM-dd
+     * @param {number} offset - 月份偏移，-1 为上个月
+     * @returns {{start: string, end: string}} 日期键区间（含两端）
+     */
+    getMonthRange(dateKey, offset = 0) {
+        const date = this.parseDateKey(dateKey);
+        const start = new Date(date.getFullYear(), date.getMonth() + offset, 1);
+        const end = new Date(date.getFullYear(), date.getMonth() + offset + 1, 0);
+        return {
+            start: this.formatDate(start, this.DATE_KEY_FORMAT),
+            end: this.formatDate(end, this.DATE_KEY_FORMAT)
+        };
+    },
+
+    /**
+     * 获取某一天的起止时间戳
+     * @param {string} dateKey - yyyy-MM-dd
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {{start: number, end: number}} 时间戳区间 [start, end)
+     */
+    getDayRange(dateKey, dayStartHour = 0) {
+        const start = this.parseDateKey(dateKey);
+        start.setHours(dayStartHour || 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        return { start: start.getTime(), end: end.getTime() };
+    },
+
+    /**
+     * 获取时间戳之后下一天开始的时间戳
+     * @param {number} timestamp - 时间戳
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {number} 时间戳
+     */
+    getNextDayStart(timestamp, dayStartHour = 0) {
+        return this.getDayRange(this.toDateKey(timestamp, dayStartHour), dayStartHour).end;
+    },
+
+    /**
+     * 将某一天的 HH:mm 转换为时间戳
+     * 早于"一天开始于"的时间属于次日凌晨
+     * @param {string} dateKey - yyyy-MM-dd
+     * @param {string} time - HH:mm
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {number} 时间戳，无法解析时为NaN
+     */
+    toTimestamp(dateKey, time, dayStartHour = 0) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        const date = this.parseDateKey(dateKey);
+        if (hours < (dayStartHour || 0)) date.setDate(date.getDate() + 1);
+        date.setHours(hours, minutes, 0, 0);
+        return date.getTime();
+    },
+
+    /**
+     * 按格式输出日期，支持 yyyy、MM、M、dd、d
+     * @param {Date|number} date - 日期对象或时间戳
+     * @param {string} format - 格式
+     * @returns {string} 格式化后的日期
+     */
+    formatDate(date, format = this.DATE_KEY_FORMAT) {
+        const value = new Date(date);
+        const tokens = {
+            yyyy: value.getFullYear().toString(),
+            MM: (value.getMonth() + 1).toString().padStart(2, '0'),
+            M: (value.getMonth() + 1).toString(),
+            dd: value.getDate().toString().padStart(2, '0'),
+            d: value.getDate().toString()
+        };
+        return format.replace(/yyyy|MM|M|dd|d/g, token => tokens[token]);
+    },
+
+    /**
+     * 按格式输出时间，支持 HH、H、hh、h、mm、ss、a（上午/下午）
+     * @param {Date|number} date - 日期对象或时间戳
+     * @param {string} format - 格式
+     * @returns {string} 格式化后的时间
+     */
+    formatTime(date, format = this.TIME_KEY_FORMAT) {
+        const value = new Date(date);
+        const hours = value.getHours();
+        const hours12 = hours % 12 || 12;
+        const tokens = {
+            HH: hours.toString().padStart(2, '0'),
+            H: hours.toString(),
+            hh: hours12.toString().padStart(2, '0'),
+            h: hours12.toString(),
+            mm: value.getMinutes().toString().padStart(2, '0'),
+            ss: value.getSeconds().toString().padStart(2, '0'),
+            a: hours < 12 ? '上午' : '下午'
+        };
+        return format.replace(/HH|H|hh|h|mm|ss|a/g, token => tokens[token]);
+    },
+
+    /**
+     * 按格式显示记录中保存的日期键
+     * @param {string} dateKey - yyyy-MM-dd
+     * @param {string} format - 格式
+     * @returns {string} 格式化后的日期
+     */
+    formatDateKey(dateKey, format = this.DATE_KEY_FORMAT) {
+        if (!dateKey) return '';
+        return this.formatDate(this.parseDateKey(dateKey), format);
+    }
+};
+
+export default DateUtils;
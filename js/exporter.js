@@ -0,0 +1,254 @@
+import * as XLSX from './vendor/xlsx.mjs';
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+import Projects from './projects.js';
+
+/**
+ * Excel导出模块
+ * 生成包含记录明细、按日汇总、按类型汇总、按项目汇总四个工作表的 .xlsx 工作簿
+ * 日期、时间、时长均写为数值单元格并设置格式，便于在Excel中继续计算
+ */
+const Exporter = {
+    // 工作表名称
+    SHEET_NAMES: {
+        DETAIL: '记录明细',
+        DAILY: '按日汇总',
+        TYPE: '按类型汇总',
+        PROJECT: '按项目汇总'
+    },
+
+    // 单元格数字格式
+    FORMATS: {
+        DATE: 'yyyy-mm-dd',
+        TIME: 'hh:mm',
+        DURATION: '[h]:mm',
+        HOURS: '0.00',
+        PERCENT: '0.0%'
+    },
+
+    /**
+     * 生成工作簿
+     * @param {Array<Object>} records - 工作记录
+     * @param {number} dayStartHour - 一天开始的小时，用于推算旧记录的起止时间
+     * @returns {Object} SheetJS 工作簿
+     */
+    buildWorkbook(records, dayStartHour = 0) {
+        const sorted = records
+            .slice()
+            .sort((a, b) => StorageManager.getRecordInterval(a, dayStartHour).start - StorageManager.getRecordInterval(b, dayStartHour).start);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, this.buildDetailSheet(sorted, dayStartHour), this.SHEET_NAMES.DETAIL);
+        XLSX.utils.book_append_sheet(workbook, this.buildDailySheet(sorted), this.SHEET_NAMES.DAILY);
+        XLSX.utils.book_append_sheet(workbook, this.buildTypeSheet(sorted), this.SHEET_NAMES.TYPE);
+        XLSX.utils.book_append_sheet(workbook, this.buildProjectSheet(sorted), this.SHEET_NAMES.PROJECT);
+        return workbook;
+    },
+
+    /**
+     * 生成记录明细工作表
+     * @param {Array<Object>} records - 按开始时间排序的记录
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Object} 工作表
+     */
+    buildDetailSheet(records, dayStartHour = 0) {
+        const rows = records.map(record => {
+            const interval = StorageManager.getRecordInterval(record, dayStartHour);
+            return [
+                dateCell(record.date),
+                timestampCell(interval.start, this.FORMATS.TIME),
+                timestampCell(interval.end, this.FORMATS.TIME),
+                numberCell(record.duration),
+                durationCell(record.duration),
+                record.type || '',
+                record.content || '',
+                record.project || '',
+                Projects.formatTags(record.tags)
+            ];
+        });
+        return createSheet(
+            ['日期', '开始时间', '结束时间', '时长(分钟)', '时长', '选择类型', '具体内容', '项目', '标签'],
+            rows,
+            [12, 10, 10, 11, 10, 12, 40, 14, 20]
+        );
+    },
+
+    /**
+     * 生成按日汇总工作表
+     * @param {Array<Object>} records - 按开始时间排序的记录
+     * @returns {Object} 工作表
+     */
+    buildDailySheet(records) {
+        const groups = groupBy(records, record => record.date);
+        const rows = Object.keys(groups).sort().map(date => {
+            const minutes = sumDuration(groups[date]);
+            return [
+                dateCell(date),
+                numberCell(groups[date].length),
+                numberCell(minutes),
+                durationCell(minutes),
+                numberCell(minutes / 60, this.FORMATS.HOURS)
+            ];
+        });
+        const total = sumDuration(records);
+        rows.push(['合计', numberCell(records.length), numberCell(total), durationCell(total), numberCell(total / 60, this.FORMATS.HOURS)]);
+        return createSheet(
+            ['日期', '记录数', '总时长(分钟)', '总时长', '小时'],
+            rows,
+            [12, 8, 13, 10, 8]
+        );
+    },
+
+    /**
+     * 生成按类型汇总工作表，按时长降序
+     * @param {Array<Object>} records - 工作记录
+     * @returns {Object} 工作表
+     */
+    buildTypeSheet(records) {
+        return createSummarySheet(records, record => record.type || '未分类', '选择类型');
+    },
+
+    /**
+     * 生成按项目汇总工作表，按时长降序
+     * @param {Array<Object>} records - 工作记录
+     * @returns {Object} 工作表
+     */
+    buildProjectSheet(records) {
+        return createSummarySheet(records, record => record.project || Projects.NO_PROJECT, '项目');
+    },
+
+    /**
+     * 将记录导出为 .xlsx 文件内容
+     * @param {Array<Object>} records - 工作记录
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Blob} 工作簿文件
+     */
+    toBlob(records, dayStartHour = 0) {
+        const data = XLSX.write(this.buildWorkbook(records, dayStartHour), { bookType: 'xlsx', type: 'array', compression: true });
+        return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+};
+
+// Excel 日期序号的起点 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 将本地时间转换为Excel日期序号（不受时区影响）
+ * @param {number} timestamp - 时间戳
+ * @returns {number} 日期序号，小数部分为一天中的时间
+ */
+function toSerial(timestamp) {
+    const date = new Date(timestamp);
+    const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+        date.getHours(), date.getMinutes(), date.getSeconds());
+    return (utc - EXCEL_EPOCH) / DAY_MS;
+}
+
+/**
+ * 创建数值单元格
+ * @param {number} value - 数值
+ * @param {string} format - 数字格式
+ * @returns {Object} 单元格
+ */
+function numberCell(value, format) {
+    const cell = { t: 'n', v: value };
+    if (format) cell.z = format;
+    return cell;
+}
+
+/**
+ * 创建日期单元格
+ * @param {string} dateKey - yyyy-MM-dd
+ * @returns {Object} 单元格，无法解析时为文本
+ */
+function dateCell(dateKey) {
+    const date = DateUtils.parseDateKey(dateKey);
+    if (isNaN(date.getTime())) return { t: 's', v: String(dateKey || '') };
+    return numberCell(toSerial(date.getTime()), Exporter.FORMATS.DATE);
+}
+
+/**
+ * 创建时间单元格
+ * @param {number} timestamp - 时间戳
+ * @param {string} format - 数字格式
+ * @returns {Object} 单元格，无法解析时为空文本
+ */
+function timestampCell(timestamp, format) {
+    if (!isFinite(timestamp)) return { t: 's', v: '' };
+    return numberCell(toSerial(timestamp), format);
+}
+
+/**
+ * 创建时长单元格，以天为单位显示为 时:分
+ * @param {number} minutes - 分钟数
+ * @returns {Object} 单元格
+ */
+function durationCell(minutes) {
+    return numberCell((Number(minutes) || 0) / (24 * 60), Exporter.FORMATS.DURATION);
+}
+
+/**
+ * 生成带表头和列宽的工作表
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Array>} rows - 数据行
+ * @param {Array<number>} widths - 列宽（字符数）
+ * @returns {Object} 工作表
+ */
+function createSheet(headers, rows, widths) {
+    const sheet = XLSX.utils.aoa_to_sheet([headers].concat(rows));
+    sheet['!cols'] = widths.map(wch => ({ wch }));
+    return sheet;
+}
+
+/**
+ * 生成按某一字段分组的汇总工作表，按时长降序，末行为合计
+ * @param {Array<Object>} records - 工作记录
+ * @param {Function} getKey - 取分组名称的函数
+ * @param {string} header - 分组列的表头
+ * @returns {Object} 工作表
+ */
+function createSummarySheet(records, getKey, header) {
+    const groups = groupBy(records, getKey);
+    const total = sumDuration(records);
+    const rows = Object.keys(groups)
+        .map(name => ({ name, records: groups[name], minutes: sumDuration(groups[name]) }))
+        .sort((a, b) => b.minutes - a.minutes)
+        .map(group => [
+            group.name,
+            numberCell(group.records.length),
+            numberCell(group.minutes),
+            durationCell(group.minutes),
+            numberCell(total ? group.minutes / total : 0, Exporter.FORMATS.PERCENT)
+        ]);
+    rows.push(['合计', numberCell(records.length), numberCell(total), durationCell(total), numberCell(total ? 1 : 0, Exporter.FORMATS.PERCENT)]);
+    return createSheet(
+        [header, '记录数', '总时长(分钟)', '总时长', '占比'],
+        rows,
+        [14, 8, 13, 10, 8]
+    );
+}
+
+/**
+ * 按键分组
+ * @param {Array<Object>} records - 工作记录
+ * @param {Function} getKey - 取键函数
+ * @returns {Object} 分组结果
+ */
+function groupBy(records, getKey) {
+    return records.reduce((groups, record) => {
+        const key = getKey(record);
+        (groups[key] = groups[key] || []).push(record);
+        return groups;
+    }, {});
+}
+
+/**
+ * 累加记录时长
+ * @param {Array<Object>} records - 工作记录
+ * @returns {number} 分钟数
+ */
+function sumDuration(records) {
+    return records.reduce((total, record) => total + (Number(record.duration) || 0), 0);
+}
+
+export default Exporter;
@@ -0,0 +1,160 @@
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+
+/**
+ * 目标模块
+ * 每个目标针对一种选择类型，按天或按周统计，要求不少于或不超过目标时长
+ * 目标格式: { id, type, period: 'day'|'week', comparison: 'atLeast'|'atMost', minutes }
+ */
+const Goals = {
+    // 统计周期
+    PERIODS: {
+        day: '每天',
+        week: '每周'
+    },
+
+    // 比较方式
+    COMPARISONS: {
+        atLeast: '≥',
+        atMost: '≤'
+    },
+
+    // 连续达成最多回溯的天数
+    STREAK_LOOKBACK_DAYS: 366,
+
+    /**
+     * 创建目标
+     * @param {Object} fields - 目标字段
+     * @returns {Object} 目标
+     */
+    create(fields = {}) {
+        return {
+            id: fields.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            type: fields.type || '',
+            period: this.PERIODS[fields.period] ? fields.period : 'day',
+            comparison: this.COMPARISONS[fields.comparison] ? fields.comparison : 'atLeast',
+            minutes: Math.max(1, parseInt(fields.minutes) || 60)
+        };
+    },
+
+    /**
+     * 目标的文字描述
+     * @param {Object} goal - 目标
+     * @returns {string} 如 "学习 ≥ 2小时/天"
+     */
+    describe(goal) {
+        const unit = goal.period === 'week' ? '周' : '天';
+        return `${goal.type} ${this.COMPARISONS[goal.comparison]} ${formatHours(goal.minutes)}/${unit}`;
+    },
+
+    /**
+     * 判断时长是否满足目标
+     * @param {Object} goal - 目标
+     * @param {number} minutes - 周期内的分钟数
+     * @returns {boolean}
+     */
+    isMet(goal, minutes) {
+        return goal.comparison === 'atMost' ? minutes <= goal.minutes : minutes >= goal.minutes;
+    },
+
+    /**
+     * 统计包含指定日期的周期内该类型的分钟数，周目标只累计到该日期
+     * @param {Object} goal - 目标
+     * @param {Object} totals - {日期: {类型: 分钟数}}
+     * @param {string} date - 日期键
+     * @returns {number} 分钟数
+     */
+    getPeriodMinutes(goal, totals, date) {
+        const start = goal.period === 'week' ? DateUtils.getWeekStart(date) : date;
+        let minutes = 0;
+        for (let day = start; day <= date; day = DateUtils.addDays(day, 1)) {
+            minutes += (totals[day] && totals[day][goal.type]) || 0;
+        }
+        return minutes;
+    },
+
+    /**
+     * 计算连续达成的天数或周数
+     * 已结束的周期逐个向前检查；当前周期只有"不少于"目标已经达成时才计入，
+     * "不超过"目标要等周期结束才能确定
+     * @param {Object} goal - 目标
+     * @param {Object} totals - {日期: {类型: 分钟数}}
+     * @param {string} today - 今天的日期键
+     * @returns {number} 连续达成的周期数
+     */
+    getStreak(goal, totals, today) {
+        const step = goal.period === 'week' ? 7 : 1;
+        // 只回溯到最早有记录的日期，避免"不超过"目标把开始使用前的空白天数也算作达成
+        const oldest = Object.keys(totals).sort().find(date => Object.keys(totals[date]).length) || today;
+        let streak = 0;
+
+        if (goal.comparison === 'atLeast' && this.isMet(goal, this.getPeriodMinutes(goal, totals, today))) {
+            streak++;
+        }
+
+        // 从上一个周期的最后一天开始回溯
+        let end = goal.period === 'week' ? DateUtils.addDays(DateUtils.getWeekStart(today), -1) : DateUtils.addDays(today, -1);
+        while (end >= oldest && this.isMet(goal, this.getPeriodMinutes(goal, totals, end))) {
+            streak++;
+            end = DateUtils.addDays(end, -step);
+        }
+        return streak;
+    },
+
+    /**
+     * 统计日期范围内各周期的达成情况
+     * @param {Object} goal - 目标
+     * @param {Object} totals - {日期: {类型: 分钟数}}
+     * @param {string} startDate - 开始日期
+     * @param {string} endDate - 结束日期
+     * @returns {{met: number, total: number}} 达成的周期数和周期总数
+     */
+    summarize(goal, totals, startDate, endDate) {
+        let met = 0;
+        let total = 0;
+        const step = goal.period === 'week' ? 7 : 1;
+        const first = goal.period === 'week' ? DateUtils.getWeekStart(startDate) : startDate;
+
+        for (let start = first; start <= endDate; start = DateUtils.addDays(start, step)) {
+            const end = goal.period === 'week' ? DateUtils.addDays(start, 6) : start;
+            const minutes = this.getPeriodMinutes(goal, totals, end);
+            total++;
+            if (this.isMet(goal, minutes)) met++;
+        }
+        return { met, total };
+    },
+
+    /**
+     * 获取所有目标在今天的进度和连续达成情况
+     * @param {Array} goals - 目标
+     * @param {string} today - 今天的日期键
+     * @returns {Promise<Array<{goal: Object, minutes: number, ratio: number, met: boolean, streak: number}>>}
+     */
+    async getProgress(goals, today) {
+        if (!goals || !goals.length) return [];
+        const totals = await StorageManager.getDailyTypeTotals(DateUtils.addDays(today, -this.STREAK_LOOKBACK_DAYS), today);
+
+        return goals.map(goal => {
+            const minutes = this.getPeriodMinutes(goal, totals, today);
+            return {
+                goal,
+                minutes,
+                ratio: Math.min(1, minutes / goal.minutes),
+                met: this.isMet(goal, minutes),
+                streak: this.getStreak(goal, totals, today)
+            };
+        });
+    }
+};
+
+/**
+ * 将分钟数显示为小时
+ * @param {number} minutes - 分钟数
+ * @returns {string} 如 "2小时"、"1.5小时"、"30分钟"
+ */
+function formatHours(minutes) {
+    if (minutes < 60) return `${minutes}分钟`;
+    return `${Math.round(minutes / 6) / 10}小时`;
+}
+
+export default Goals;
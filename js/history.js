@@ -0,0 +1,303 @@
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
+// 快速选择的日期范围，参数为今天的日期键
+const QUICK_RANGES = {
+    today: today => ({ start: today, end: today }),
+    yesterday: today => ({ start: DateUtils.addDays(today, -1), end: DateUtils.addDays(today, -1) }),
+    thisWeek: today => ({ start: DateUtils.getWeekStart(today), end: today }),
+    lastWeek: today => {
+        const start = DateUtils.addDays(DateUtils.getWeekStart(today), -7);
+        return { start, end: DateUtils.addDays(start, 6) };
+    },
+    thisMonth: today => ({ start: DateUtils.getMonthRange(today).start, end: today }),
+    lastMonth: today => DateUtils.getMonthRange(today, -1),
+    all: () => ({ start: '', end: '' })
+};
+
+// 搜索输入的防抖间隔（毫秒）
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * 历史记录页面脚本
+ * 按日期范围、选择类型、项目、标签和内容关键字查询记录，支持排序和分页
+ */
+class HistoryManager {
+    constructor() {
+        // DOM元素
+        this.startDateInput = document.getElementById('start-date');
+        this.endDateInput = document.getElementById('end-date');
+        this.quickRangeBtns = document.querySelectorAll('.quick-range-btn');
+        this.typeFilter = document.getElementById('type-filter');
+        this.projectFilter = document.getElementById('project-filter');
+        this.tagFilter = document.getElementById('tag-filter');
+        this.searchInput = document.getElementById('search-input');
+        this.sortHeaders = document.querySelectorAll('.history-table th[data-sort]');
+        this.historyBody = document.getElementById('history-body');
+        this.historySummary = document.getElementById('history-summary');
+        this.prevPageBtn = document.getElementById('prev-page');
+        this.nextPageBtn = document.getElementById('next-page');
+        this.pageInfo = document.getElementById('page-info');
+        this.pageSizeSelect = document.getElementById('page-size');
+
+        // 查询条件
+        this.query = {
+            startDate: '',
+            endDate: '',
+            types: [],
+            projects: [],
+            tags: [],
+            search: '',
+            sortBy: 'start',
+            sortOrder: 'desc',
+            page: 1,
+            pageSize: 20
+        };
+        this.settings = {};
+        this.searchTimeout = null;
+
+        // 初始化
+        this.init();
+    }
+
+    /**
+     * 初始化历史记录页面
+     */
+    async init() {
+        await StorageManager.init();
+        this.settings = await StorageManager.getSettings();
+        this.renderFilters();
+        this.applyQuickRange('thisWeek');
+        this.bindEvents();
+        this.loadRecords();
+    }
+
+    /**
+     * 绑定事件处理函数
+     */
+    bindEvents() {
+        // 日期范围
+        [this.startDateInput, this.endDateInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.query.startDate = this.startDateInput.value;
+                this.query.endDate = this.endDateInput.value;
+                this.highlightQuickRange(null);
+                this.reload();
+            });
+        });
+
+        // 快速选择
+        this.quickRangeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.applyQuickRange(btn.dataset.range);
+                this.reload();
+            });
+        });
+
+        // 内容搜索
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => {
+                this.query.search = this.searchInput.value;
+                this.reload();
+            }, SEARCH_DEBOUNCE_MS);
+        });
+
+        // 点击表头排序，再次点击切换方向
+        this.sortHeaders.forEach(header => {
+            header.addEventListener('click', () => {
+                const sortBy = header.dataset.sort;
+                if (this.query.sortBy === sortBy) {
+                    this.query.sortOrder = this.query.sortOrder === 'asc' ? 'desc' : 'asc';
+                } else {
+                    this.query.sortBy = sortBy;
+                    this.query.sortOrder = sortBy === 'start' || sortBy === 'duration' ? 'desc' : 'asc';
+                }
+                this.reload();
+            });
+        });
+
+        // 分页
+        this.prevPageBtn.addEventListener('click', () => {
+            this.query.page--;
+            this.loadRecords();
+        });
+        this.nextPageBtn.addEventListener('click', () => {
+            this.query.page++;
+            this.loadRecords();
+        });
+        this.pageSizeSelect.addEventListener('change', () => {
+            this.query.pageSize = parseInt(this.pageSizeSelect.value);
+            this.reload();
+        });
+
+        // 其他页面修改记录或设置后刷新
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'SETTINGS_UPDATED') {
+                StorageManager.getSettings().then(settings => {
+                    this.settings = settings;
+                    this.renderFilters();
+                    this.loadRecords();
+                });
+            } else if (message.type === 'RECORDS_UPDATED' || message.type === 'TIMER_UPDATED') {
+                this.loadRecords();
+            }
+        });
+    }
+
+    /**
+     * 渲染选择类型、项目和标签筛选复选框
+     */
+    renderFilters() {
+        const workTypes = WorkTypes.getNames(this.settings.workTypes);
+        this.renderCheckboxFilter(this.typeFilter, 'types', workTypes.map(type => ({ value: type, label: type })));
+        // 空字符串表示没有项目的记录
+        const projects = ['', ...Projects.getNames(this.settings.projects)];
+        this.renderCheckboxFilter(this.projectFilter, 'projects', projects.map(name => ({
+            value: name,
+            label: Projects.getLabel(this.settings.projects, name)
+        })));
+        const tags = this.settings.tags || [];
+        this.renderCheckboxFilter(this.tagFilter, 'tags', tags.map(tag => ({ value: tag, label: tag })));
+    }
+
+    /**
+     * 渲染筛选复选框，勾选结果保存到查询条件中
+     * @param {HTMLElement} container - 容器
+     * @param {string} key - 查询条件的字段名
+     * @param {Array<{value: string, label: string}>} options - 选项
+     */
+    renderCheckboxFilter(container, key, options) {
+        const values = options.map(option => option.value);
+        // 已删除的选项不再作为筛选条件
+        this.query[key] = this.query[key].filter(value => values.includes(value));
+        container.innerHTML = '';
+
+        options.forEach(({ value, label: text }) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.checked = this.query[key].includes(value);
+            checkbox.addEventListener('change', () => {
+                this.query[key] = Array.from(container.querySelectorAll('input:checked'))
+                    .map(input => input.value);
+                this.reload();
+            });
+            label.append(checkbox, ` ${text}`);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * 应用快速日期范围
+     * @param {string} name - 范围名称
+     */
+    applyQuickRange(name) {
+        const today = DateUtils.getToday(parseInt(this.settings.dayStartHour) || 0);
+        const range = QUICK_RANGES[name](today);
+        this.query.startDate = range.start;
+        this.query.endDate = range.end;
+        this.startDateInput.value = range.start;
+        this.endDateInput.value = range.end;
+        this.highlightQuickRange(name);
+    }
+
+    /**
+     * 高亮当前的快速选择按钮
+     * @param {string|null} name - 范围名称，手动选择日期时为null
+     */
+    highlightQuickRange(name) {
+        this.quickRangeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.range === name);
+        });
+    }
+
+    /**
+     * 条件变化后从第一页重新查询
+     */
+    reload() {
+        this.query.page = 1;
+        this.loadRecords();
+    }
+
+    /**
+     * 查询并显示当前页记录
+     */
+    async loadRecords() {
+        const result = await StorageManager.queryRecords(this.query);
+        this.query.page = result.page;
+        this.historyBody.innerHTML = '';
+
+        if (!result.records.length) {
+            this.historyBody.innerHTML = `
+                <tr class="no-records">
+                    <td colspan="8">没有符合条件的记录</td>
+                </tr>
+            `;
+        }
+
+        result.records.forEach(record => {
+            const interval = StorageManager.getRecordInterval(record, parseInt(this.settings.dayStartHour) || 0);
+            const row = document.createElement('tr');
+            [
+                this.formatDate(record.date),
+                isNaN(interval.start) ? record.startTime : this.formatTime(interval.start),
+                isNaN(interval.end) ? record.endTime : this.formatTime(interval.end),
+                `${record.duration}分钟`,
+                record.content || '',
+                record.type || '',
+                record.project || '',
+                Projects.formatTags(record.tags)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            this.historyBody.appendChild(row);
+        });
+
+        this.historySummary.textContent = `共 ${result.total} 条记录，合计 ${result.totalDuration} 分钟`;
+        this.pageInfo.textContent = `第 ${result.page} / ${result.totalPages} 页`;
+        this.prevPageBtn.disabled = result.page <= 1;
+        this.nextPageBtn.disabled = result.page >= result.totalPages;
+        this.renderSortIndicators();
+    }
+
+    /**
+     * 在表头显示排序方向
+     */
+    renderSortIndicators() {
+        this.sortHeaders.forEach(header => {
+            header.classList.remove('sort-asc', 'sort-desc');
+            if (header.dataset.sort === this.query.sortBy) {
+                header.classList.add(`sort-${this.query.sortOrder}`);
+            }
+        });
+    }
+
+    /**
+     * 按用户设置的格式显示时间
+     * @param {Date|number} date - 日期对象或时间戳
+     * @returns {string} 格式化后的时间
+     */
+    formatTime(date) {
+        return DateUtils.formatTime(date, this.settings.timeFormat);
+    }
+
+    /**
+     * 按用户设置的格式显示记录日期
+     * @param {string} dateKey - yyyy-MM-dd
+     * @returns {string} 格式化后的日期
+     */
+    formatDate(dateKey) {
+        return DateUtils.formatDateKey(dateKey, this.settings.dateFormat);
+    }
+}
+
+// 初始化历史记录页面
+document.addEventListener('DOMContentLoaded', () => {
+    new HistoryManager();
+});
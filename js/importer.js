@@ -0,0 +1,272 @@
+import * as XLSX from './vendor/xlsx.mjs';
+import DateUtils from './dateUtils.js';
+import Projects from './projects.js';
+
+/**
+ * 导入模块
+ * 读取CSV/XLSX文件，按列映射转换为工作记录，并校验数据、检测重复
+ * 支持本插件导出的文件，也支持任意表格（需手动指定列）
+ */
+const Importer = {
+    // 可映射的记录字段及显示名称
+    FIELDS: {
+        date: '日期',
+        startTime: '开始时间',
+        endTime: '结束时间',
+        duration: '时长(分钟)',
+        type: '选择类型',
+        content: '具体内容',
+        project: '项目',
+        tags: '标签'
+    },
+
+    // 自动识别列时使用的表头别名，靠前的优先
+    HEADER_ALIASES: {
+        date: ['日期', 'date', 'day'],
+        startTime: ['开始时间', '开始', 'start time', 'start', 'from'],
+        endTime: ['结束时间', '结束', 'end time', 'end', 'to'],
+        duration: ['时长(分钟)', '持续时间(分钟)', '时长（分钟）', '持续时间（分钟）', 'duration (minutes)', 'minutes', 'duration', '时长', '持续时间'],
+        type: ['选择类型', '类型', '工作类型', 'type', 'category'],
+        content: ['具体内容', '内容', '描述', '备注', 'content', 'description', 'note'],
+        project: ['项目', '客户', 'project', 'client'],
+        tags: ['标签', 'tags', 'tag', 'labels']
+    },
+
+    /**
+     * 读取文件中第一个工作表
+     * @param {File} file - 用户选择的文件
+     * @returns {Promise<{headers: Array<string>, rows: Array<Array>}>} 表头和数据行
+     */
+    async readFile(file) {
+        let workbook;
+        if (/\.(csv|txt)$/i.test(file.name)) {
+            // CSV按原文读取，避免日期、时间被自动转换
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            workbook = XLSX.read(text, { type: 'string', raw: true });
+        } else {
+            workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        }
+
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) throw new Error('文件中没有工作表');
+
+        const table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+        const [headerRow = [], ...rows] = table;
+        return {
+            headers: headerRow.map(header => String(header).trim()),
+            rows: rows.filter(row => row.some(value => String(value).trim() !== ''))
+        };
+    },
+
+    /**
+     * 根据表头自动识别列映射
+     * @param {Array<string>} headers - 表头
+     * @returns {Object} 字段到列索引的映射，未识别的字段为 -1
+     */
+    autoMap(headers) {
+        const normalized = headers.map(header => header.toLowerCase());
+        return Object.keys(this.FIELDS).reduce((mapping, field) => {
+            const alias = this.HEADER_ALIASES[field].find(name => normalized.includes(name));
+            mapping[field] = alias ? normalized.indexOf(alias) : -1;
+            return mapping;
+        }, {});
+    },
+
+    /**
+     * 按列映射转换数据行并校验
+     * @param {Object} options - 预览参数
+     * @param {Array<Array>} options.rows - 数据行
+     * @param {Object} options.mapping - 列映射
+     * @param {Array<Object>} options.existingRecords - 已有记录，用于检测重复
+     * @param {Array<string>} options.workTypes - 已有选择类型
+     * @param {number} options.dayStartHour - 一天开始的小时
+     * @returns {{items: Array<Object>, newTypes: Array<string>}} 每行的转换结果和需要新建的选择类型
+     */
+    buildPreview({ rows, mapping, existingRecords, workTypes, dayStartHour = 0 }) {
+        const seen = new Set(existingRecords.map(getDuplicateKey));
+        const newTypes = [];
+
+        const items = rows.map((row, index) => {
+            const { record, errors } = this.parseRow(row, mapping, dayStartHour);
+            const item = {
+                // 文件中的行号（表头为第1行）
+                rowNumber: index + 2,
+                record,
+                errors,
+                duplicate: false
+            };
+            if (errors.length) return item;
+
+            const key = getDuplicateKey(record);
+            item.duplicate = seen.has(key);
+            seen.add(key);
+
+            if (!workTypes.includes(record.type) && !newTypes.includes(record.type)) {
+                newTypes.push(record.type);
+            }
+            return item;
+        });
+
+        return { items, newTypes };
+    },
+
+    /**
+     * 将一行数据转换为工作记录
+     * 结束时间早于开始时间视为跨夜；缺少结束时间时由时长推算，缺少时长时由起止时间计算
+     * @param {Array} row - 数据行
+     * @param {Object} mapping - 列映射
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {{record: Object, errors: Array<string>}} 记录和校验错误
+     */
+    parseRow(row, mapping, dayStartHour = 0) {
+        const value = field => (mapping[field] >= 0 ? row[mapping[field]] : '');
+        const errors = [];
+
+        const date = parseDate(value('date'));
+        const startTime = parseTime(value('startTime'));
+        let endTime = parseTime(value('endTime'));
+        let duration = parseDuration(value('duration'));
+        const type = String(value('type') ?? '').trim();
+        const content = String(value('content') ?? '').trim();
+        const project = String(value('project') ?? '').trim();
+        const tags = Projects.normalizeTags(value('tags'));
+
+        if (!date) errors.push(isBlank(value('date')) ? '缺少日期' : '日期无效');
+        if (!startTime) errors.push(isBlank(value('startTime')) ? '缺少开始时间' : '开始时间无效');
+        if (!endTime && duration === null) errors.push('缺少结束时间或时长');
+        if (!type) errors.push('缺少选择类型');
+
+        const record = { date, startTime, endTime, duration, type, content, project, tags };
+        if (errors.length) return { record, errors };
+
+        const start = DateUtils.toTimestamp(date, startTime, dayStartHour);
+        let end;
+        if (endTime) {
+            end = DateUtils.toTimestamp(date, endTime, dayStartHour);
+            if (end <= start) end += 24 * 60 * 60 * 1000;
+            if (duration === null) duration = Math.round((end - start) / (1000 * 60));
+        } else {
+            end = start + duration * 60 * 1000;
+            endTime = DateUtils.formatTime(end);
+        }
+
+        if (duration <= 0) errors.push('时长必须大于0');
+
+        return {
+            record: { date, startTime, endTime, start, end, duration, type, content, project, tags },
+            errors
+        };
+    }
+};
+
+// Excel 日期序号的起点 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 判断单元格是否为空
+ * @param {*} value - 单元格值
+ * @returns {boolean}
+ */
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * 解析日期，支持Excel日期序号和常见的日期写法
+ * @param {*} value - 单元格值
+ * @returns {string|null} yyyy-MM-dd，无法解析时为null
+ */
+function parseDate(value) {
+    if (isBlank(value)) return null;
+    if (typeof value === 'number') {
+        const date = new Date(EXCEL_EPOCH + Math.floor(value) * DAY_MS);
+        return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})/);
+    if (match) return toDateKey(+match[1], +match[2], +match[3]);
+    // MM/dd/yyyy
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (match) return toDateKey(+match[3], +match[1], +match[2]);
+    // dd.MM.yyyy
+    match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+    if (match) return toDateKey(+match[3], +match[2], +match[1]);
+    return null;
+}
+
+/**
+ * 校验并拼接日期键
+ * @param {number} year - 年
+ * @param {number} month - 月
+ * @param {number} day - 日
+ * @returns {string|null} yyyy-MM-dd，日期不存在时为null
+ */
+function toDateKey(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return DateUtils.formatDate(date, DateUtils.DATE_KEY_FORMAT);
+}
+
+/**
+ * 解析时间，支持Excel时间（一天的小数部分）、HH:mm 和 上午/下午、AM/PM 写法
+ * @param {*} value - 单元格值
+ * @returns {string|null} HH:mm，无法解析时为null
+ */
+function parseTime(value) {
+    if (isBlank(value)) return null;
+    if (typeof value === 'number') {
+        const minutes = Math.round((value - Math.floor(value)) * 24 * 60) % (24 * 60);
+        return formatMinutes(minutes);
+    }
+
+    const text = String(value).trim();
+    const match = text.match(/(\d{1,2}):(\d{2})(?::\d{2})?/);
+    if (!match) return null;
+    let hours = +match[1];
+    const minutes = +match[2];
+    if (hours > 23 || minutes > 59) return null;
+
+    const isPm = /下午|晚上|pm/i.test(text);
+    const isAm = /上午|凌晨|早上|am/i.test(text);
+    if (isPm && hours < 12) hours += 12;
+    if (isAm && hours === 12) hours = 0;
+    return formatMinutes(hours * 60 + minutes);
+}
+
+/**
+ * 将一天中的分钟数转换为 HH:mm
+ * @param {number} minutes - 分钟数
+ * @returns {string} HH:mm
+ */
+function formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 解析时长，支持分钟数和 时:分 写法
+ * @param {*} value - 单元格值
+ * @returns {number|null} 分钟数，无法解析时为null
+ */
+function parseDuration(value) {
+    if (isBlank(value)) return null;
+    if (typeof value === 'number') return Math.round(value);
+
+    const text = String(value).trim();
+    const match = text.match(/^(\d+):(\d{2})$/);
+    if (match) return +match[1] * 60 + +match[2];
+    const minutes = Number(text);
+    return isFinite(minutes) ? Math.round(minutes) : null;
+}
+
+/**
+ * 生成用于判断重复的键：日期、起止时间和选择类型都相同视为重复
+ * @param {Object} record - 工作记录
+ * @returns {string}
+ */
+function getDuplicateKey(record) {
+    return [record.date, record.startTime, record.endTime, record.type].join('|');
+}
+
+export default Importer;
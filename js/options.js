@@ -1,4 +1,12 @@
 import StorageManager from './storage.js';
+import Pomodoro from './pomodoro.js';
+import Reminders from './reminders.js';
+import DateUtils from './dateUtils.js';
+import Importer from './importer.js';
+import Backup from './backup.js';
+import Goals from './goals.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
 
 /**
  * 设置页面脚本
@@ -8,14 +16,74 @@ class SettingsManager {
     constructor() {
         // DOM元素
         this.workTypesList = document.getElementById('work-types-list');
+        this.mergeSourceSelect = document.getElementById('merge-source');
+        this.mergeTargetSelect = document.getElementById('merge-target');
+        this.mergeTypesBtn = document.getElementById('merge-types-btn');
+        this.projectsList = document.getElementById('projects-list');
+        this.newProjectNameInput = document.getElementById('new-project-name');
+        this.newProjectClientInput = document.getElementById('new-project-client');
+        this.addProjectBtn = document.getElementById('add-project-btn');
+        this.tagsList = document.getElementById('tags-list');
+        this.newTagInput = document.getElementById('new-tag');
+        this.addTagBtn = document.getElementById('add-tag-btn');
+        this.goalsList = document.getElementById('goals-list');
+        this.addGoalBtn = document.getElementById('add-goal-btn');
         this.newWorkTypeInput = document.getElementById('new-work-type');
         this.addTypeBtn = document.getElementById('add-type-btn');
+        this.dateFormatSelect = document.getElementById('date-format');
+        this.timeFormatSelect = document.getElementById('time-format');
+        this.dayStartHourInput = document.getElementById('day-start-hour');
+        this.pomodoroInputs = {
+            enabled: document.getElementById('pomodoro-enabled'),
+            focusMinutes: document.getElementById('pomodoro-focus'),
+            shortBreakMinutes: document.getElementById('pomodoro-short-break'),
+            longBreakMinutes: document.getElementById('pomodoro-long-break'),
+            cyclesBeforeLongBreak: document.getElementById('pomodoro-cycles'),
+            recordBreaks: document.getElementById('pomodoro-record-breaks'),
+            breakType: document.getElementById('pomodoro-break-type')
+        };
+        this.promptContentOnEndInput = document.getElementById('prompt-content-on-end');
+        this.idleDetectionEnabledInput = document.getElementById('idle-detection-enabled');
+        this.idleDetectionThresholdInput = document.getElementById('idle-detection-threshold');
+        this.notificationsInput = document.getElementById('notifications-enabled');
+        this.reminderInputs = {
+            longRunningEnabled: document.getElementById('reminder-long-running'),
+            longRunningHours: document.getElementById('reminder-long-running-hours'),
+            idleEnabled: document.getElementById('reminder-idle'),
+            idleMinutes: document.getElementById('reminder-idle-minutes'),
+            workStart: document.getElementById('reminder-work-start'),
+            workEnd: document.getElementById('reminder-work-end'),
+            workDays: document.querySelectorAll('#reminder-work-days input'),
+            dailyGoalEnabled: document.getElementById('reminder-daily-goal'),
+            dailyGoalMinutes: document.getElementById('reminder-daily-goal-minutes')
+        };
+        this.shortcutsList = document.getElementById('shortcuts-list');
+        this.editShortcutsBtn = document.getElementById('edit-shortcuts-btn');
+        this.trashRetentionInput = document.getElementById('trash-retention-days');
+        this.trashList = document.getElementById('trash-list');
+        this.emptyTrashBtn = document.getElementById('empty-trash-btn');
+        this.exportBackupBtn = document.getElementById('export-backup-btn');
+        this.restoreFileInput = document.getElementById('restore-file');
+        this.importFileInput = document.getElementById('import-file');
+        this.importPanel = document.getElementById('import-panel');
+        this.importMapping = document.getElementById('import-mapping');
+        this.importSummary = document.getElementById('import-summary');
+        this.importPreviewBody = document.getElementById('import-preview-body');
+        this.importSkipDuplicatesInput = document.getElementById('import-skip-duplicates');
+        this.importConfirmBtn = document.getElementById('import-confirm-btn');
 
         this.saveSettingsBtn = document.getElementById('save-settings');
         this.statusMessage = document.getElementById('status-message');
 
         // 当前设置
         this.currentSettings = {};
+        // 最近一次从存储读取或保存的设置，用于找出本页修改过的字段
+        this.loadedSettings = {};
+        // 正在拖动的选择类型索引
+        this.dragTypeIndex = null;
+        // 待导入的文件内容 {headers, rows, mapping} 和预览结果
+        this.importData = null;
+        this.importPreview = null;
 
         // 初始化
         this.init();
@@ -27,50 +95,558 @@ class SettingsManager {
     async init() {
         // 加载设置
         await this.loadSettings();
-        // 渲染选择类型
-        this.renderWorkTypes();
+        // 渲染各项设置
+        this.renderSettings();
+        // 渲染快捷键
+        this.renderShortcuts();
+        // 渲染回收站
+        this.renderTrash();
         // 绑定事件
         this.bindEvents();
     }
 
+    /**
+     * 按当前设置渲染表单
+     */
+    renderSettings() {
+        // 渲染选择类型
+        this.renderWorkTypes();
+        // 渲染项目和标签
+        this.renderProjects();
+        this.renderTags();
+        // 渲染目标
+        this.renderGoals();
+        // 渲染日期与时间设置
+        this.renderDateTimeSettings();
+        // 结束时是否提示填写内容
+        this.promptContentOnEndInput.checked = !!this.currentSettings.promptContentOnEnd;
+        // 渲染番茄钟设置
+        this.renderPomodoroSettings();
+        // 渲染空闲检测设置
+        this.renderIdleDetectionSettings();
+        // 渲染提醒设置
+        this.renderReminderSettings();
+        // 回收站保留天数
+        this.trashRetentionInput.value = this.currentSettings.trashRetentionDays ?? StorageManager.DEFAULT_SETTINGS.trashRetentionDays;
+    }
+
     /**
      * 从本地存储加载设置
      */
-    loadSettings() {
-        return new Promise((resolve) => {
-            this.currentSettings = StorageManager.getSettings();
-            resolve();
-        });
+    async loadSettings() {
+        await StorageManager.init();
+        this.currentSettings = await StorageManager.getSettings();
+        this.loadedSettings = structuredClone(this.currentSettings);
     }
 
     /**
-     * 渲染选择类型列表
+     * 渲染选择类型列表，颜色、图标和统计标记可直接修改
      */
     renderWorkTypes() {
-        const workTypes = this.currentSettings.workTypes ?? ['工作', '生活', '运动', '学习'];
+        const workTypes = this.getWorkTypes();
         this.workTypesList.innerHTML = '';
 
         workTypes.forEach((type, index) => {
             const typeItem = document.createElement('div');
             typeItem.className = 'work-type-item';
+            typeItem.draggable = true;
             typeItem.innerHTML = `
-                <span>${type}</span>
-                <button class="delete-type-btn action-btn" data-index="${index}" style="background-color: #ea4335;">
-                    <i class="fas fa-trash"></i> 删除
-                </button>
+                <span class="work-type-title">
+                    <i class="fas fa-grip-vertical drag-handle" title="拖动调整顺序"></i>
+                    <i class="fas ${type.icon} work-type-icon" style="color: ${type.color};"></i>
+                    <span class="work-type-name"></span>
+                </span>
+                <span class="work-type-options">
+                    <input type="color" class="work-type-color" value="${type.color}" title="颜色">
+                    <select class="work-type-icon-select" title="图标">
+                        ${WorkTypes.ICONS.map(icon => `<option value="${icon}" ${icon === type.icon ? 'selected' : ''}>${icon.replace('fa-', '')}</option>`).join('')}
+                    </select>
+                    <label title="计入弹窗和报告中的有效用时"><input type="checkbox" class="work-type-productive" ${type.productive ? 'checked' : ''}> 有效用时</label>
+                    <label title="计入可计费用时和账单"><input type="checkbox" class="work-type-billable" ${type.billable ? 'checked' : ''}> 可计费</label>
+                    <button class="rename-type-btn action-btn">
+                        <i class="fas fa-pen"></i> 重命名
+                    </button>
+                    <button class="delete-type-btn action-btn" style="background-color: #ea4335;">
+                        <i class="fas fa-trash"></i> 删除
+                    </button>
+                </span>
             `;
+            typeItem.querySelector('.work-type-name').textContent = type.name;
+
+            typeItem.querySelector('.work-type-color').addEventListener('change', (e) => {
+                this.updateWorkType(index, { color: e.target.value });
+            });
+            typeItem.querySelector('.work-type-icon-select').addEventListener('change', (e) => {
+                this.updateWorkType(index, { icon: e.target.value });
+            });
+            typeItem.querySelector('.work-type-productive').addEventListener('change', (e) => {
+                this.updateWorkType(index, { productive: e.target.checked });
+            });
+            typeItem.querySelector('.work-type-billable').addEventListener('change', (e) => {
+                this.updateWorkType(index, { billable: e.target.checked });
+            });
+            typeItem.querySelector('.rename-type-btn').addEventListener('click', () => this.renameWorkType(index));
+            typeItem.querySelector('.delete-type-btn').addEventListener('click', () => this.deleteWorkType(index));
+
+            // 拖动排序，顺序即弹窗中选择类型下拉框的顺序
+            typeItem.addEventListener('dragstart', (e) => {
+                this.dragTypeIndex = index;
+                e.dataTransfer.effectAllowed = 'move';
+                typeItem.classList.add('dragging');
+            });
+            typeItem.addEventListener('dragend', () => typeItem.classList.remove('dragging'));
+            typeItem.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                typeItem.classList.add('drag-over');
+            });
+            typeItem.addEventListener('dragleave', () => typeItem.classList.remove('drag-over'));
+            typeItem.addEventListener('drop', (e) => {
+                e.preventDefault();
+                typeItem.classList.remove('drag-over');
+                this.moveWorkType(this.dragTypeIndex, index);
+            });
+
             this.workTypesList.appendChild(typeItem);
         });
 
-        // 绑定删除按钮事件
-        document.querySelectorAll('.delete-type-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const index = parseInt(e.target.closest('.delete-type-btn').dataset.index);
-                this.deleteWorkType(index);
+        // 休息记录类型和合并下拉框依赖选择类型列表
+        this.renderBreakTypeOptions();
+        this.renderMergeOptions();
+    }
+
+    /**
+     * 渲染合并类型的下拉框
+     */
+    renderMergeOptions() {
+        const names = this.getWorkTypeNames();
+        [this.mergeSourceSelect, this.mergeTargetSelect].forEach((select, position) => {
+            const selected = select.value;
+            select.innerHTML = '';
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
             });
+            // 默认选择不同的两项
+            select.value = names.includes(selected) ? selected : names[Math.min(position, names.length - 1)] || '';
         });
     }
 
+    /**
+     * 获取当前设置中的选择类型对象
+     * @returns {Array<Object>} 选择类型
+     */
+    getWorkTypes() {
+        const workTypes = this.currentSettings.workTypes;
+        if (!Array.isArray(workTypes) || WorkTypes.needsMigration(workTypes)) {
+            this.currentSettings.workTypes = WorkTypes.normalize(workTypes);
+        }
+        return this.currentSettings.workTypes;
+    }
+
+    /**
+     * 获取选择类型名称
+     * @returns {Array<string>} 名称
+     */
+    getWorkTypeNames() {
+        return this.getWorkTypes().map(type => type.name);
+    }
+
+    /**
+     * 修改选择类型的颜色、图标或统计标记并保存
+     * @param {number} index - 索引
+     * @param {Object} changes - 修改的字段
+     */
+    updateWorkType(index, changes) {
+        const workTypes = this.getWorkTypes();
+        workTypes[index] = { ...workTypes[index], ...changes };
+        this.renderWorkTypes();
+        this.saveSettings();
+    }
+
+    /**
+     * 渲染项目列表，颜色和客户可直接修改
+     */
+    renderProjects() {
+        const projects = this.getProjects();
+        this.projectsList.innerHTML = '';
+
+        projects.forEach((project, index) => {
+            const projectItem = document.createElement('div');
+            projectItem.className = 'work-type-item';
+            projectItem.innerHTML = `
+                <span class="work-type-title">
+                    <i class="fas fa-folder work-type-icon" style="color: ${project.color};"></i>
+                    <span class="work-type-name"></span>
+                </span>
+                <span class="work-type-options">
+                    <input type="color" class="project-color" value="${project.color}" title="颜色">
+                    <input type="text" class="project-client" placeholder="客户" title="客户">
+                    <button class="rename-project-btn action-btn">
+                        <i class="fas fa-pen"></i> 重命名
+                    </button>
+                    <button class="delete-project-btn action-btn" style="background-color: #ea4335;">
+                        <i class="fas fa-trash"></i> 删除
+                    </button>
+                </span>
+            `;
+            projectItem.querySelector('.work-type-name').textContent = project.name;
+            projectItem.querySelector('.project-client').value = project.client;
+
+            projectItem.querySelector('.project-color').addEventListener('change', (e) => {
+                this.updateProject(index, { color: e.target.value });
+            });
+            projectItem.querySelector('.project-client').addEventListener('change', (e) => {
+                this.updateProject(index, { client: e.target.value.trim() });
+            });
+            projectItem.querySelector('.rename-project-btn').addEventListener('click', () => this.renameProject(index));
+            projectItem.querySelector('.delete-project-btn').addEventListener('click', () => this.deleteProject(index));
+
+            this.projectsList.appendChild(projectItem);
+        });
+    }
+
+    /**
+     * 获取当前设置中的项目对象
+     * @returns {Array<Object>} 项目
+     */
+    getProjects() {
+        if (!Array.isArray(this.currentSettings.projects)) {
+            this.currentSettings.projects = Projects.normalize(this.currentSettings.projects);
+        }
+        return this.currentSettings.projects;
+    }
+
+    /**
+     * 修改项目的颜色或客户并保存
+     * @param {number} index - 索引
+     * @param {Object} changes - 修改的字段
+     */
+    updateProject(index, changes) {
+        const projects = this.getProjects();
+        projects[index] = { ...projects[index], ...changes };
+        this.renderProjects();
+        this.saveSettings();
+    }
+
+    /**
+     * 渲染标签列表
+     */
+    renderTags() {
+        const tags = this.getTags();
+        this.tagsList.innerHTML = '';
+
+        tags.forEach((tag, index) => {
+            const tagItem = document.createElement('div');
+            tagItem.className = 'work-type-item';
+            tagItem.innerHTML = `
+                <span class="work-type-title">
+                    <i class="fas fa-tag work-type-icon"></i>
+                    <span class="work-type-name"></span>
+                </span>
+                <span class="work-type-options">
+                    <button class="rename-tag-btn action-btn">
+                        <i class="fas fa-pen"></i> 重命名
+                    </button>
+                    <button class="delete-tag-btn action-btn" style="background-color: #ea4335;">
+                        <i class="fas fa-trash"></i> 删除
+                    </button>
+                </span>
+            `;
+            tagItem.querySelector('.work-type-name').textContent = tag;
+            tagItem.querySelector('.rename-tag-btn').addEventListener('click', () => this.renameTag(index));
+            tagItem.querySelector('.delete-tag-btn').addEventListener('click', () => this.deleteTag(index));
+            this.tagsList.appendChild(tagItem);
+        });
+    }
+
+    /**
+     * 获取当前设置中的标签
+     * @returns {Array<string>} 标签
+     */
+    getTags() {
+        if (!Array.isArray(this.currentSettings.tags)) {
+            this.currentSettings.tags = Projects.normalizeTags(this.currentSettings.tags || []);
+        }
+        return this.currentSettings.tags;
+    }
+
+    /**
+     * 渲染目标列表，每个目标一行可直接编辑
+     */
+    renderGoals() {
+        const goals = this.currentSettings.goals ?? [];
+        const workTypes = this.getWorkTypeNames();
+        this.goalsList.innerHTML = '';
+
+        const createSelect = (className, options, selected) => {
+            const select = document.createElement('select');
+            select.className = className;
+            Object.entries(options).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+            return select;
+        };
+
+        goals.forEach((goal, index) => {
+            const item = document.createElement('div');
+            item.className = 'goal-item';
+
+            // 已删除的类型仍保留在选项中，避免目标被悄悄改成其他类型
+            const types = workTypes.includes(goal.type) || !goal.type ? workTypes : [...workTypes, goal.type];
+            const typeSelect = createSelect('goal-type', Object.fromEntries(types.map(type => [type, type])), goal.type);
+            const periodSelect = createSelect('goal-period', Goals.PERIODS, goal.period);
+            const comparisonSelect = createSelect('goal-comparison', Goals.COMPARISONS, goal.comparison);
+
+            const hoursInput = document.createElement('input');
+            hoursInput.type = 'number';
+            hoursInput.className = 'goal-hours';
+            hoursInput.min = '0.5';
+            hoursInput.step = '0.5';
+            hoursInput.value = Math.round(goal.minutes / 6) / 10;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-goal-btn action-btn';
+            deleteBtn.style.backgroundColor = '#ea4335';
+            deleteBtn.innerHTML = '<i class="fas fa-trash"></i> 删除';
+            deleteBtn.addEventListener('click', () => this.deleteGoal(index));
+
+            item.append(typeSelect, periodSelect, comparisonSelect, hoursInput, '小时', deleteBtn);
+            this.goalsList.appendChild(item);
+        });
+    }
+
+    /**
+     * 选择类型变化后刷新目标的类型选项，保留表单中未保存的修改
+     */
+    refreshGoalTypes() {
+        this.currentSettings.goals = this.collectGoals();
+        this.renderGoals();
+    }
+
+    /**
+     * 从表单读取目标
+     * @returns {Array} 目标
+     */
+    collectGoals() {
+        const goals = this.currentSettings.goals ?? [];
+        return Array.from(this.goalsList.querySelectorAll('.goal-item')).map((item, index) => Goals.create({
+            id: goals[index] && goals[index].id,
+            type: item.querySelector('.goal-type').value,
+            period: item.querySelector('.goal-period').value,
+            comparison: item.querySelector('.goal-comparison').value,
+            minutes: Math.round((parseFloat(item.querySelector('.goal-hours').value) || 0) * 60)
+        }));
+    }
+
+    /**
+     * 添加目标，默认为第一种选择类型每天不少于1小时
+     */
+    addGoal() {
+        const workTypes = this.getWorkTypeNames();
+        this.currentSettings.goals = [...this.collectGoals(), Goals.create({ type: workTypes[0] })];
+        this.renderGoals();
+    }
+
+    /**
+     * 删除目标
+     * @param {number} index - 索引
+     */
+    deleteGoal(index) {
+        const goals = this.collectGoals();
+        goals.splice(index, 1);
+        this.currentSettings.goals = goals;
+        this.renderGoals();
+    }
+
+    /**
+     * 渲染日期与时间设置，格式选项附带当前时间的示例
+     */
+    renderDateTimeSettings() {
+        const now = new Date();
+        const fillFormats = (select, formats, format, selected) => {
+            select.innerHTML = '';
+            formats.forEach(pattern => {
+                const option = document.createElement('option');
+                option.value = pattern;
+                option.textContent = `${pattern}（${format(now, pattern)}）`;
+                select.appendChild(option);
+            });
+            select.value = formats.includes(selected) ? selected : formats[0];
+        };
+
+        fillFormats(this.dateFormatSelect, DateUtils.DATE_FORMATS, (date, pattern) => DateUtils.formatDate(date, pattern), this.currentSettings.dateFormat);
+        fillFormats(this.timeFormatSelect, DateUtils.TIME_FORMATS, (date, pattern) => DateUtils.formatTime(date, pattern), this.currentSettings.timeFormat);
+        this.dayStartHourInput.value = parseInt(this.currentSettings.dayStartHour) || 0;
+    }
+
+    /**
+     * 渲染番茄钟设置
+     */
+    renderPomodoroSettings() {
+        const config = Pomodoro.getConfig(this.currentSettings);
+        const inputs = this.pomodoroInputs;
+
+        inputs.enabled.checked = !!config.enabled;
+        inputs.focusMinutes.value = config.focusMinutes;
+        inputs.shortBreakMinutes.value = config.shortBreakMinutes;
+        inputs.longBreakMinutes.value = config.longBreakMinutes;
+        inputs.cyclesBeforeLongBreak.value = config.cyclesBeforeLongBreak;
+        inputs.recordBreaks.checked = !!config.recordBreaks;
+        this.renderBreakTypeOptions();
+    }
+
+    /**
+     * 渲染休息记录类型下拉框
+     */
+    renderBreakTypeOptions() {
+        const workTypes = this.getWorkTypeNames();
+        const select = this.pomodoroInputs.breakType;
+        const selected = select.value || Pomodoro.getConfig(this.currentSettings).breakType;
+
+        select.innerHTML = '';
+        workTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            select.appendChild(option);
+        });
+        if (workTypes.includes(selected)) select.value = selected;
+    }
+
+    /**
+     * 从表单读取番茄钟设置
+     * @returns {Object} 番茄钟配置
+     */
+    collectPomodoroSettings() {
+        const inputs = this.pomodoroInputs;
+        const config = Pomodoro.getConfig(this.currentSettings);
+        const readMinutes = (input, fallback) => {
+            const value = parseInt(input.value);
+            return value > 0 ? value : fallback;
+        };
+
+        return {
+            enabled: inputs.enabled.checked,
+            focusMinutes: readMinutes(inputs.focusMinutes, config.focusMinutes),
+            shortBreakMinutes: readMinutes(inputs.shortBreakMinutes, config.shortBreakMinutes),
+            longBreakMinutes: readMinutes(inputs.longBreakMinutes, config.longBreakMinutes),
+            cyclesBeforeLongBreak: readMinutes(inputs.cyclesBeforeLongBreak, config.cyclesBeforeLongBreak),
+            recordBreaks: inputs.recordBreaks.checked,
+            breakType: inputs.breakType.value || config.breakType
+        };
+    }
+
+    /**
+     * 获取空闲检测配置，缺失项使用默认值
+     * @returns {Object} 空闲检测配置
+     */
+    getIdleDetectionConfig() {
+        return { ...StorageManager.DEFAULT_SETTINGS.idleDetection, ...this.currentSettings.idleDetection };
+    }
+
+    /**
+     * 渲染空闲检测设置
+     */
+    renderIdleDetectionSettings() {
+        const config = this.getIdleDetectionConfig();
+        this.idleDetectionEnabledInput.checked = !!config.enabled;
+        this.idleDetectionThresholdInput.value = config.thresholdMinutes;
+    }
+
+    /**
+     * 从表单读取空闲检测设置
+     * @returns {Object} 空闲检测配置
+     */
+    collectIdleDetectionSettings() {
+        const config = this.getIdleDetectionConfig();
+        const threshold = parseFloat(this.idleDetectionThresholdInput.value);
+        return {
+            enabled: this.idleDetectionEnabledInput.checked,
+            thresholdMinutes: threshold > 0 ? threshold : config.thresholdMinutes
+        };
+    }
+
+    /**
+     * 渲染提醒设置
+     */
+    renderReminderSettings() {
+        const config = Reminders.getConfig(this.currentSettings);
+        const inputs = this.reminderInputs;
+
+        this.notificationsInput.checked = this.currentSettings.notifications !== false;
+        inputs.longRunningEnabled.checked = !!config.longRunning.enabled;
+        inputs.longRunningHours.value = config.longRunning.hours;
+        inputs.idleEnabled.checked = !!config.idle.enabled;
+        inputs.idleMinutes.value = config.idle.minutes;
+        inputs.workStart.value = config.idle.workStart;
+        inputs.workEnd.value = config.idle.workEnd;
+        inputs.workDays.forEach(input => {
+            input.checked = config.idle.workDays.includes(parseInt(input.value));
+        });
+        inputs.dailyGoalEnabled.checked = !!config.dailyGoal.enabled;
+        inputs.dailyGoalMinutes.value = config.dailyGoal.minutes;
+    }
+
+    /**
+     * 从表单读取提醒设置
+     * @returns {Object} 提醒配置
+     */
+    collectReminderSettings() {
+        const inputs = this.reminderInputs;
+        const config = Reminders.getConfig(this.currentSettings);
+        const readNumber = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return value > 0 ? value : fallback;
+        };
+
+        return {
+            longRunning: {
+                enabled: inputs.longRunningEnabled.checked,
+                hours: readNumber(inputs.longRunningHours, config.longRunning.hours)
+            },
+            idle: {
+                enabled: inputs.idleEnabled.checked,
+                minutes: readNumber(inputs.idleMinutes, config.idle.minutes),
+                workStart: inputs.workStart.value || config.idle.workStart,
+                workEnd: inputs.workEnd.value || config.idle.workEnd,
+                workDays: Array.from(inputs.workDays)
+                    .filter(input => input.checked)
+                    .map(input => parseInt(input.value))
+            },
+            dailyGoal: {
+                enabled: inputs.dailyGoalEnabled.checked,
+                minutes: readNumber(inputs.dailyGoalMinutes, config.dailyGoal.minutes)
+            }
+        };
+    }
+
+    /**
+     * 渲染快捷键列表
+     * 快捷键由浏览器管理，这里只展示当前绑定
+     */
+    async renderShortcuts() {
+        const commands = await chrome.commands.getAll();
+        this.shortcutsList.innerHTML = '';
+
+        commands
+            .filter(command => command.description)
+            .forEach(command => {
+                const item = document.createElement('div');
+                item.className = 'setting-item';
+                item.innerHTML = `
+                    <span>${command.description}</span>
+                    <span class="shortcut-key">${command.shortcut || '未设置'}</span>
+                `;
+                this.shortcutsList.appendChild(item);
+            });
+    }
+
     /**
      * 绑定事件处理函数
      */
@@ -83,6 +659,47 @@ class SettingsManager {
 
 
 
+        // 合并选择类型
+        this.mergeTypesBtn.addEventListener('click', () => this.mergeWorkTypes());
+
+        // 添加项目和标签
+        this.addProjectBtn.addEventListener('click', () => this.addProject());
+        [this.newProjectNameInput, this.newProjectClientInput].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.addProject();
+            });
+        });
+        this.addTagBtn.addEventListener('click', () => this.addTag());
+        this.newTagInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addTag();
+        });
+
+        // 添加目标
+        this.addGoalBtn.addEventListener('click', () => this.addGoal());
+
+        // 快捷键只能在浏览器的扩展快捷键页面中修改
+        this.editShortcutsBtn.addEventListener('click', () => {
+            chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        });
+
+        // 回收站
+        this.emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+
+        // 备份与恢复
+        this.exportBackupBtn.addEventListener('click', () => this.exportBackup());
+        this.restoreFileInput.addEventListener('change', () => {
+            const file = this.restoreFileInput.files[0];
+            if (file) this.restoreBackup(file);
+        });
+
+        // 导入记录
+        this.importFileInput.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            if (file) this.loadImportFile(file);
+        });
+        this.importSkipDuplicatesInput.addEventListener('change', () => this.renderImportPreview());
+        this.importConfirmBtn.addEventListener('click', () => this.importRecords());
+
         // 保存设置按钮
         this.saveSettingsBtn.addEventListener('click', () => this.saveSettings());
 
@@ -97,42 +714,729 @@ class SettingsManager {
         const typeName = this.newWorkTypeInput.value.trim();
         if (!typeName) return;
 
-        const workTypes = this.currentSettings.workTypes ?? [];
-        if (workTypes.includes(typeName)) {
+        const workTypes = this.getWorkTypes();
+        if (workTypes.some(type => type.name === typeName)) {
             this.showStatusMessage('该选择类型已存在', 'error');
             return;
         }
 
-        workTypes.push(typeName);
-        this.currentSettings.workTypes = workTypes;
+        workTypes.push(WorkTypes.create(typeName, workTypes));
         this.newWorkTypeInput.value = '';
         this.renderWorkTypes();
+        this.refreshGoalTypes();
         this.saveSettings();
     }
 
     /**
-     * 删除选择类型
+     * 删除选择类型，有记录使用该类型时先提示影响的记录数，并可将这些记录改为其他类型
      * @param {number} index - 索引
      */
-    deleteWorkType(index) {
-        const workTypes = this.currentSettings.workTypes ?? [];
+    async deleteWorkType(index) {
+        const workTypes = this.getWorkTypes();
         if (workTypes.length <= 1) {
             this.showStatusMessage('至少保留一种选择类型', 'error');
             return;
         }
 
-        workTypes.splice(index, 1);
-        this.currentSettings.workTypes = workTypes;
+        const type = workTypes[index];
+        const count = await StorageManager.countRecordsByType(type.name);
+        if (!count) {
+            if (!confirm(`确定要删除选择类型"${type.name}"吗？`)) return;
+            workTypes.splice(index, 1);
+            this.renderWorkTypes();
+            this.refreshGoalTypes();
+            this.saveSettings();
+            return;
+        }
+
+        this.showDeleteTypePanel(index, count);
+    }
+
+    /**
+     * 在类型下方显示删除确认面板
+     * @param {number} index - 索引
+     * @param {number} count - 使用该类型的记录数
+     */
+    showDeleteTypePanel(index, count) {
+        this.workTypesList.querySelectorAll('.delete-type-panel').forEach(panel => panel.remove());
+        const workTypes = this.getWorkTypes();
+        const type = workTypes[index];
+
+        const panel = document.createElement('div');
+        panel.className = 'delete-type-panel';
+        panel.innerHTML = `
+            <span class="delete-type-message"></span>
+            <select class="reassign-type-select">
+                <option value="">不修改（记录保留原类型名称）</option>
+                ${workTypes.filter(item => item.id !== type.id).map(item => `<option value="${item.id}"></option>`).join('')}
+            </select>
+            <button class="confirm-delete-type-btn action-btn" style="background-color: #ea4335;">确认删除</button>
+            <button class="cancel-delete-type-btn action-btn" style="background-color: #9e9e9e;">取消</button>
+        `;
+        panel.querySelector('.delete-type-message').textContent = `有 ${count} 条记录使用"${type.name}"，将这些记录改为：`;
+        panel.querySelectorAll('.reassign-type-select option[value]:not([value=""])').forEach(option => {
+            option.textContent = workTypes.find(item => item.id === option.value).name;
+        });
+
+        panel.querySelector('.cancel-delete-type-btn').addEventListener('click', () => panel.remove());
+        panel.querySelector('.confirm-delete-type-btn').addEventListener('click', async () => {
+            const current = this.getWorkTypes();
+            const target = current.find(item => item.id === panel.querySelector('.reassign-type-select').value);
+            const position = current.findIndex(item => item.id === type.id);
+            if (position === -1) return;
+            current.splice(position, 1);
+            if (target) {
+                try {
+                    const updated = await this.applyTypeChange([type.name], target.name);
+                    this.showStatusMessage(`已删除"${type.name}"，${updated} 条记录改为"${target.name}"`, 'success');
+                } catch (error) {
+                    console.error('删除类型失败:', error);
+                    this.showStatusMessage('删除失败，请重试', 'error');
+                }
+            } else {
+                this.renderWorkTypes();
+                this.refreshGoalTypes();
+                await this.saveSettings();
+            }
+        });
+
+        this.workTypesList.children[index].after(panel);
+    }
+
+    /**
+     * 重命名选择类型，同时修改使用该类型的记录
+     * @param {number} index - 索引
+     */
+    async renameWorkType(index) {
+        const workTypes = this.getWorkTypes();
+        const type = workTypes[index];
+        const input = prompt('输入新的类型名称', type.name);
+        const name = input === null ? '' : input.trim();
+        if (!name || name === type.name) return;
+
+        if (workTypes.some(item => item.name === name)) {
+            this.showStatusMessage('该选择类型已存在，如需合并请使用下方的合并功能', 'error');
+            return;
+        }
+
+        const oldName = type.name;
+        workTypes[index] = { ...type, name };
+        try {
+            const count = await this.applyTypeChange([oldName], name);
+            this.showStatusMessage(`已重命名为"${name}"，更新了 ${count} 条记录`, 'success');
+        } catch (error) {
+            console.error('重命名类型失败:', error);
+            this.showStatusMessage('重命名失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 将一个选择类型合并到另一个，来源类型的记录改为目标类型后删除来源类型
+     */
+    async mergeWorkTypes() {
+        const source = this.mergeSourceSelect.value;
+        const target = this.mergeTargetSelect.value;
+        if (!source || !target || source === target) {
+            this.showStatusMessage('请选择两个不同的类型', 'error');
+            return;
+        }
+
+        const count = await StorageManager.countRecordsByType(source);
+        if (!confirm(`将"${source}"的 ${count} 条记录合并到"${target}"，并删除"${source}"？`)) return;
+
+        const workTypes = this.getWorkTypes();
+        workTypes.splice(workTypes.findIndex(type => type.name === source), 1);
+        try {
+            const updated = await this.applyTypeChange([source], target);
+            this.showStatusMessage(`已将 ${updated} 条记录合并到"${target}"`, 'success');
+        } catch (error) {
+            console.error('合并类型失败:', error);
+            this.showStatusMessage('合并失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 调整选择类型顺序
+     * @param {number} from - 原位置
+     * @param {number} to - 新位置
+     */
+    moveWorkType(from, to) {
+        if (from === null || from === to) return;
+        const workTypes = this.getWorkTypes();
+        const [moved] = workTypes.splice(from, 1);
+        workTypes.splice(to, 0, moved);
+        this.dragTypeIndex = null;
+        this.renderWorkTypes();
+        this.saveSettings();
+    }
+
+    /**
+     * 类型改名后同步所有引用该名称的数据：记录、回收站、任务、目标、番茄钟休息类型、
+     * 上次使用的类型和进行中的计时，然后保存设置
+     * 调用前应已在 currentSettings.workTypes 中完成改名或删除
+     * @param {Array<string>} fromNames - 原类型名称
+     * @param {string} toName - 新类型名称
+     * @returns {Promise<number>} 修改的记录数
+     */
+    async applyTypeChange(fromNames, toName) {
+        const breakTypeChanged = fromNames.includes(this.pomodoroInputs.breakType.value);
+        const count = await StorageManager.reassignRecordType(fromNames, toName);
+        await StorageManager.reassignTaskType(fromNames, toName);
+
+        this.currentSettings.goals = this.collectGoals()
+            .map(goal => (fromNames.includes(goal.type) ? { ...goal, type: toName } : goal));
+        if (fromNames.includes(this.currentSettings.lastWorkType)) {
+            this.currentSettings.lastWorkType = toName;
+        }
         this.renderWorkTypes();
+        this.renderGoals();
+        if (breakTypeChanged) this.pomodoroInputs.breakType.value = toName;
+        await this.saveSettings();
+
+        chrome.runtime.sendMessage({ type: 'RENAME_TIMER_TYPE', data: { from: fromNames, to: toName } });
+        chrome.runtime.sendMessage({ type: 'RECORDS_UPDATED' });
+        this.renderTrash();
+        return count;
+    }
+
+    /**
+     * 添加项目
+     */
+    addProject() {
+        const name = this.newProjectNameInput.value.trim();
+        if (!name) return;
+
+        const projects = this.getProjects();
+        if (projects.some(project => project.name === name)) {
+            this.showStatusMessage('该项目已存在', 'error');
+            return;
+        }
+
+        projects.push(Projects.create(name, this.newProjectClientInput.value.trim(), projects));
+        this.newProjectNameInput.value = '';
+        this.newProjectClientInput.value = '';
+        this.renderProjects();
+        this.saveSettings();
+    }
+
+    /**
+     * 重命名项目，同时修改使用该项目的记录
+     * @param {number} index - 索引
+     */
+    async renameProject(index) {
+        const projects = this.getProjects();
+        const project = projects[index];
+        const input = prompt('输入新的项目名称', project.name);
+        const name = input === null ? '' : input.trim();
+        if (!name || name === project.name) return;
+
+        if (projects.some(item => item.name === name)) {
+            this.showStatusMessage('该项目已存在', 'error');
+            return;
+        }
+
+        projects[index] = { ...project, name };
+        try {
+            const count = await this.applyProjectChange(project.name, name);
+            this.showStatusMessage(`已重命名为"${name}"，更新了 ${count} 条记录`, 'success');
+        } catch (error) {
+            console.error('重命名项目失败:', error);
+            this.showStatusMessage('重命名失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 删除项目，使用该项目的记录改为无项目
+     * @param {number} index - 索引
+     */
+    async deleteProject(index) {
+        const project = this.getProjects()[index];
+        const count = await StorageManager.countRecordsByProject(project.name);
+        const message = count
+            ? `有 ${count} 条记录使用项目"${project.name}"，删除后这些记录将不属于任何项目。确定删除吗？`
+            : `确定要删除项目"${project.name}"吗？`;
+        if (!confirm(message)) return;
+
+        this.getProjects().splice(index, 1);
+        try {
+            await this.applyProjectChange(project.name, '');
+        } catch (error) {
+            console.error('删除项目失败:', error);
+            this.showStatusMessage('删除失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 项目改名或删除后同步记录、回收站、上次使用的项目和进行中的计时，然后保存设置
+     * 调用前应已在 currentSettings.projects 中完成改名或删除
+     * @param {string} fromName - 原项目名称
+     * @param {string} toName - 新项目名称，删除时为空字符串
+     * @returns {Promise<number>} 修改的记录数
+     */
+    async applyProjectChange(fromName, toName) {
+        const count = await StorageManager.reassignRecordProject(fromName, toName);
+        if (this.currentSettings.lastProject === fromName) {
+            this.currentSettings.lastProject = toName;
+        }
+        this.renderProjects();
+        await this.saveSettings();
+
+        chrome.runtime.sendMessage({ type: 'RENAME_TIMER_PROJECT', data: { from: fromName, to: toName } });
+        chrome.runtime.sendMessage({ type: 'RECORDS_UPDATED' });
+        this.renderTrash();
+        return count;
+    }
+
+    /**
+     * 添加标签
+     */
+    addTag() {
+        const tag = this.newTagInput.value.trim();
+        if (!tag) return;
+
+        const tags = this.getTags();
+        if (tags.includes(tag)) {
+            this.showStatusMessage('该标签已存在', 'error');
+            return;
+        }
+
+        tags.push(tag);
+        this.newTagInput.value = '';
+        this.renderTags();
         this.saveSettings();
     }
 
+    /**
+     * 重命名标签，同时修改带有该标签的记录
+     * @param {number} index - 索引
+     */
+    async renameTag(index) {
+        const tags = this.getTags();
+        const tag = tags[index];
+        const input = prompt('输入新的标签名称', tag);
+        const name = input === null ? '' : input.trim();
+        if (!name || name === tag) return;
+
+        if (tags.includes(name)) {
+            this.showStatusMessage('该标签已存在', 'error');
+            return;
+        }
+
+        tags[index] = name;
+        try {
+            const count = await this.applyTagChange(tag, name);
+            this.showStatusMessage(`已重命名为"${name}"，更新了 ${count} 条记录`, 'success');
+        } catch (error) {
+            console.error('重命名标签失败:', error);
+            this.showStatusMessage('重命名失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 删除标签，同时从带有该标签的记录中移除
+     * @param {number} index - 索引
+     */
+    async deleteTag(index) {
+        const tag = this.getTags()[index];
+        const count = await StorageManager.countRecordsByTag(tag);
+        const message = count
+            ? `有 ${count} 条记录带有标签"${tag}"，删除后将从这些记录中移除。确定删除吗？`
+            : `确定要删除标签"${tag}"吗？`;
+        if (!confirm(message)) return;
+
+        this.getTags().splice(index, 1);
+        try {
+            await this.applyTagChange(tag, '');
+        } catch (error) {
+            console.error('删除标签失败:', error);
+            this.showStatusMessage('删除失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 标签改名或删除后同步记录、回收站、上次使用的标签和进行中的计时，然后保存设置
+     * 调用前应已在 currentSettings.tags 中完成改名或删除
+     * @param {string} fromTag - 原标签
+     * @param {string} toTag - 新标签，删除时为空字符串
+     * @returns {Promise<number>} 修改的记录数
+     */
+    async applyTagChange(fromTag, toTag) {
+        const count = await StorageManager.renameRecordTag(fromTag, toTag);
+        if (Array.isArray(this.currentSettings.lastTags)) {
+            this.currentSettings.lastTags = Projects.normalizeTags(
+                this.currentSettings.lastTags.map(tag => (tag === fromTag ? toTag : tag)));
+        }
+        this.renderTags();
+        await this.saveSettings();
+
+        chrome.runtime.sendMessage({ type: 'RENAME_TIMER_TAG', data: { from: fromTag, to: toTag } });
+        chrome.runtime.sendMessage({ type: 'RECORDS_UPDATED' });
+        this.renderTrash();
+        return count;
+    }
+
+    /**
+     * 渲染回收站列表，最近删除的在前
+     */
+    async renderTrash() {
+        const trash = await StorageManager.getTrash();
+        this.trashList.innerHTML = '';
+        this.emptyTrashBtn.disabled = !trash.length;
+
+        if (!trash.length) {
+            const empty = document.createElement('div');
+            empty.className = 'trash-empty';
+            empty.textContent = '回收站为空';
+            this.trashList.appendChild(empty);
+            return;
+        }
+
+        trash
+            .slice()
+            .sort((a, b) => b.deletedAt - a.deletedAt)
+            .forEach(record => {
+                const item = document.createElement('div');
+                item.className = 'trash-item';
+
+                const text = document.createElement('span');
+                const deletedAt = `${DateUtils.formatDate(record.deletedAt)} ${DateUtils.formatTime(record.deletedAt)}`;
+                text.textContent = `${record.date} ${record.startTime}-${record.endTime} ${record.type} ${record.content || ''}（删除于 ${deletedAt}）`;
+
+                const actions = document.createElement('div');
+                actions.className = 'trash-item-actions';
+                const restoreBtn = document.createElement('button');
+                restoreBtn.className = 'action-btn';
+                restoreBtn.textContent = '恢复';
+                restoreBtn.addEventListener('click', () => this.restoreTrashRecord(record.id));
+                const purgeBtn = document.createElement('button');
+                purgeBtn.className = 'action-btn';
+                purgeBtn.style.backgroundColor = '#ea4335';
+                purgeBtn.textContent = '永久删除';
+                purgeBtn.addEventListener('click', () => this.purgeTrashRecord(record.id));
+                actions.append(restoreBtn, purgeBtn);
+
+                item.append(text, actions);
+                this.trashList.appendChild(item);
+            });
+    }
+
+    /**
+     * 从回收站恢复记录
+     * @param {number} id - 记录ID
+     */
+    async restoreTrashRecord(id) {
+        try {
+            await StorageManager.restoreFromTrash([id]);
+            this.renderTrash();
+            this.showStatusMessage('记录已恢复', 'success');
+            chrome.runtime.sendMessage({ type: 'RECORDS_UPDATED' });
+        } catch (error) {
+            console.error('恢复记录失败:', error);
+            this.showStatusMessage('恢复失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 永久删除回收站中的记录
+     * @param {number} id - 记录ID
+     */
+    async purgeTrashRecord(id) {
+        if (!confirm('确定要永久删除这条记录吗？此操作不可恢复！')) return;
+        await StorageManager.purgeTrash([id]);
+        this.renderTrash();
+    }
+
+    /**
+     * 清空回收站
+     */
+    async emptyTrash() {
+        if (!confirm('确定要清空回收站吗？此操作不可恢复！')) return;
+        await StorageManager.purgeTrash();
+        this.renderTrash();
+        this.showStatusMessage('回收站已清空', 'success');
+    }
+
+    /**
+     * 导出全部数据的JSON备份
+     */
+    async exportBackup() {
+        try {
+            const backup = await Backup.create();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            const date = DateUtils.getToday(parseInt(this.currentSettings.dayStartHour) || 0);
+            a.download = `时间管理备份_${date}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.showStatusMessage('备份已导出', 'success');
+        } catch (error) {
+            console.error('导出备份失败:', error);
+            this.showStatusMessage('导出备份失败，请重试', 'error');
+        }
+    }
+
+    /**
+     * 从备份文件恢复数据
+     * @param {File} file - 备份文件
+     */
+    async restoreBackup(file) {
+        const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+        try {
+            const backup = Backup.parse(await file.text());
+            const summary = Backup.describe(backup);
+            const exportedAt = summary.exportedAt
+                ? `${DateUtils.formatDate(summary.exportedAt)} ${DateUtils.formatTime(summary.exportedAt)}`
+                : '未知时间';
+            const action = mode === Backup.MODES.REPLACE ? '覆盖当前全部记录和设置' : '合并到当前数据';
+            if (!confirm(`备份时间：${exportedAt}\n包含 ${summary.recordCount} 条记录${summary.hasTimer ? '和进行中的计时' : ''}。\n确定要${action}吗？`)) {
+                return;
+            }
+
+            const result = await Backup.restore(backup, mode);
+
+            // 计时状态由后台恢复，已有进行中的计时时保留当前计时
+            let timerMessage = '';
+            const timer = Backup.getRestorableTimer(backup);
+            if (timer) {
+                const response = await chrome.runtime.sendMessage({ type: 'RESTORE_TIMER', data: { timer } });
+                timerMessage = response && response.status === 'error' ? `，${response.message}` : '，计时已恢复为暂停状态';
+            }
+
+            await this.loadSettings();
+            this.renderSettings();
+            this.renderTrash();
+            this.showStatusMessage(`已恢复 ${result.added} 条记录${timerMessage}`, 'success');
+            chrome.runtime.sendMessage({ type: 'SETTINGS_UPDATED', settings: this.currentSettings });
+        } catch (error) {
+            console.error('恢复备份失败:', error);
+            this.showStatusMessage(error.message || '恢复失败，请重试', 'error');
+        } finally {
+            this.restoreFileInput.value = '';
+        }
+    }
+
+    /**
+     * 读取导入文件并自动识别列
+     * @param {File} file - 用户选择的文件
+     */
+    async loadImportFile(file) {
+        try {
+            const { headers, rows } = await Importer.readFile(file);
+            if (!rows.length) {
+                this.showStatusMessage('文件中没有可导入的数据', 'error');
+                return;
+            }
+            this.importData = { headers, rows, mapping: Importer.autoMap(headers) };
+            this.renderImportMapping();
+            await this.refreshImportPreview();
+            this.importPanel.style.display = 'block';
+        } catch (error) {
+            console.error('读取导入文件失败:', error);
+            this.showStatusMessage('无法读取该文件，请确认是CSV或Excel文件', 'error');
+        }
+    }
+
+    /**
+     * 渲染列映射下拉框
+     */
+    renderImportMapping() {
+        const { headers, mapping } = this.importData;
+        this.importMapping.innerHTML = '';
+
+        Object.entries(Importer.FIELDS).forEach(([field, label]) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = label;
+
+            const select = document.createElement('select');
+            select.appendChild(new Option('（不导入）', '-1'));
+            headers.forEach((header, index) => {
+                select.appendChild(new Option(header || `第${index + 1}列`, String(index)));
+            });
+            select.value = String(mapping[field]);
+            select.addEventListener('change', () => {
+                mapping[field] = parseInt(select.value);
+                this.refreshImportPreview();
+            });
+
+            wrapper.appendChild(select);
+            this.importMapping.appendChild(wrapper);
+        });
+    }
+
+    /**
+     * 按当前列映射重新校验并检测重复
+     */
+    async refreshImportPreview() {
+        const existingRecords = await StorageManager.getRecords();
+        this.importPreview = Importer.buildPreview({
+            rows: this.importData.rows,
+            mapping: this.importData.mapping,
+            existingRecords,
+            workTypes: this.getWorkTypeNames(),
+            dayStartHour: parseInt(this.currentSettings.dayStartHour) || 0
+        });
+        this.renderImportPreview();
+    }
+
+    /**
+     * 渲染导入预览表格和汇总
+     */
+    renderImportPreview() {
+        if (!this.importPreview) return;
+        const { items } = this.importPreview;
+        this.importPreviewBody.innerHTML = '';
+
+        items.forEach(item => {
+            const { record } = item;
+            const row = document.createElement('tr');
+            let status = '可导入';
+            if (item.errors.length) {
+                row.className = 'invalid';
+                status = item.errors.join('；');
+            } else if (item.duplicate) {
+                row.className = 'duplicate';
+                status = '重复';
+            } else if (!this.getWorkTypeNames().includes(record.type)) {
+                status = '可导入（新类型）';
+            }
+
+            [
+                item.rowNumber, record.date, record.startTime, record.endTime, record.duration,
+                record.type, record.content, record.project, Projects.formatTags(record.tags), status
+            ]
+                .forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value ?? '';
+                    row.appendChild(cell);
+                });
+            this.importPreviewBody.appendChild(row);
+        });
+
+        const invalidCount = items.filter(item => item.errors.length).length;
+        const duplicateCount = items.filter(item => item.duplicate).length;
+        const records = this.getImportableRecords();
+        const newTypes = this.getNewImportTypes(records);
+        let summary = `共 ${items.length} 行：将导入 ${records.length} 条，重复 ${duplicateCount} 条，错误 ${invalidCount} 条`;
+        if (newTypes.length) summary += `；将新建选择类型：${newTypes.join('、')}`;
+        const newLabels = this.getNewImportLabels(records);
+        if (newLabels.projects.length) summary += `；将新建项目：${newLabels.projects.join('、')}`;
+        if (newLabels.tags.length) summary += `；将新建标签：${newLabels.tags.join('、')}`;
+        this.importSummary.textContent = summary;
+        this.importConfirmBtn.disabled = !records.length;
+    }
+
+    /**
+     * 获取将要导入的记录
+     * @returns {Array<Object>} 记录数组
+     */
+    getImportableRecords() {
+        if (!this.importPreview) return [];
+        const skipDuplicates = this.importSkipDuplicatesInput.checked;
+        return this.importPreview.items
+            .filter(item => !item.errors.length && !(skipDuplicates && item.duplicate))
+            .map(item => ({ ...item.record }));
+    }
+
+    /**
+     * 获取导入记录中尚不存在的选择类型
+     * @param {Array<Object>} records - 将要导入的记录
+     * @returns {Array<string>} 新的选择类型
+     */
+    getNewImportTypes(records) {
+        const workTypes = this.getWorkTypeNames();
+        return this.importPreview.newTypes.filter(type =>
+            !workTypes.includes(type) && records.some(record => record.type === type));
+    }
+
+    /**
+     * 获取导入记录中尚不存在的项目和标签
+     * @param {Array<Object>} records - 将要导入的记录
+     * @returns {{projects: Array<string>, tags: Array<string>}} 新的项目和标签
+     */
+    getNewImportLabels(records) {
+        const projects = this.getProjects().map(project => project.name);
+        const tags = this.getTags();
+        return {
+            projects: [...new Set(records.map(record => record.project))]
+                .filter(project => project && !projects.includes(project)),
+            tags: Projects.normalizeTags(records.flatMap(record => record.tags || []))
+                .filter(tag => !tags.includes(tag))
+        };
+    }
+
+    /**
+     * 导入记录，并自动创建不存在的选择类型、项目和标签
+     */
+    async importRecords() {
+        const records = this.getImportableRecords();
+        if (!records.length) return;
+        const newTypes = this.getNewImportTypes(records);
+        const newLabels = this.getNewImportLabels(records);
+
+        try {
+            await StorageManager.addRecords(records);
+        } catch (error) {
+            console.error('导入记录失败:', error);
+            this.showStatusMessage('导入失败，请重试', 'error');
+            return;
+        }
+
+        if (newTypes.length) {
+            const workTypes = this.getWorkTypes();
+            newTypes.forEach(name => workTypes.push(WorkTypes.create(name, workTypes)));
+            this.renderWorkTypes();
+        }
+        if (newLabels.projects.length || newLabels.tags.length) {
+            const projects = this.getProjects();
+            newLabels.projects.forEach(name => projects.push(Projects.create(name, '', projects)));
+            this.getTags().push(...newLabels.tags);
+            this.renderProjects();
+            this.renderTags();
+        }
+        if (newTypes.length || newLabels.projects.length || newLabels.tags.length) {
+            await this.saveSettings();
+        }
+
+        // 重置导入面板
+        this.importData = null;
+        this.importPreview = null;
+        this.importFileInput.value = '';
+        this.importPanel.style.display = 'none';
+
+        this.showStatusMessage(`已导入 ${records.length} 条记录`, 'success');
+        chrome.runtime.sendMessage({ type: 'RECORDS_UPDATED' });
+    }
+
     /**
      * 保存设置
      */
-    saveSettings() {
-        // 保存到本地存储
-        StorageManager.saveSettings(this.currentSettings);
+    async saveSettings() {
+        this.currentSettings.trashRetentionDays = Math.min(365, Math.max(1, parseInt(this.trashRetentionInput.value) || StorageManager.DEFAULT_SETTINGS.trashRetentionDays));
+        this.currentSettings.dateFormat = this.dateFormatSelect.value;
+        this.currentSettings.timeFormat = this.timeFormatSelect.value;
+        this.currentSettings.dayStartHour = Math.min(12, Math.max(0, parseInt(this.dayStartHourInput.value) || 0));
+        this.currentSettings.promptContentOnEnd = this.promptContentOnEndInput.checked;
+        this.currentSettings.pomodoro = this.collectPomodoroSettings();
+        this.currentSettings.idleDetection = this.collectIdleDetectionSettings();
+        this.currentSettings.notifications = this.notificationsInput.checked;
+        this.currentSettings.reminders = this.collectReminderSettings();
+        this.currentSettings.goals = this.collectGoals();
+
+        // 只保存本页修改过的字段，其余字段（如弹窗记住的上次选择）以存储中的最新值为准
+        const patch = Object.fromEntries(Object.entries(this.currentSettings)
+            .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(this.loadedSettings[key])));
+        try {
+            this.currentSettings = await StorageManager.updateSettings(patch);
+            this.loadedSettings = structuredClone(this.currentSettings);
+        } catch (error) {
+            this.showStatusMessage('保存失败，请重试', 'error');
+            return;
+        }
 
         // 显示成功消息
         this.showStatusMessage('设置已保存', 'success');
@@ -0,0 +1,112 @@
+import StorageManager from './storage.js';
+import TimerEngine from './timer.js';
+
+/**
+ * 番茄钟模块
+ * 定义专注/休息阶段的流转规则，倒计时由后台根据计时片段推算
+ * 每个阶段都是一次独立的计时，阶段结束时由后台保存记录并开始下一阶段
+ */
+const Pomodoro = {
+    // 阶段常量
+    PHASES: {
+        FOCUS: 'focus',
+        SHORT_BREAK: 'shortBreak',
+        LONG_BREAK: 'longBreak'
+    },
+
+    // 阶段显示名称
+    PHASE_LABELS: {
+        focus: '专注',
+        shortBreak: '短休息',
+        longBreak: '长休息'
+    },
+
+    /**
+     * 获取番茄钟配置，缺失项使用默认值
+     * @param {Object} settings - 用户设置
+     * @returns {Object} 番茄钟配置
+     */
+    getConfig(settings) {
+        return { ...StorageManager.DEFAULT_SETTINGS.pomodoro, ...(settings && settings.pomodoro) };
+    },
+
+    /**
+     * 是否启用番茄钟模式
+     * @param {Object} settings - 用户设置
+     * @returns {boolean}
+     */
+    isEnabled(settings) {
+        return !!this.getConfig(settings).enabled;
+    },
+
+    /**
+     * 创建阶段信息
+     * @param {Object} config - 番茄钟配置
+     * @param {string} phase - 阶段
+     * @param {number} cycle - 当前轮次（从1开始）
+     * @param {string} focusType - 专注阶段使用的选择类型
+     * @returns {Object} 阶段信息
+     */
+    createPhase(config, phase, cycle, focusType) {
+        const minutes = {
+            [this.PHASES.FOCUS]: config.focusMinutes,
+            [this.PHASES.SHORT_BREAK]: config.shortBreakMinutes,
+            [this.PHASES.LONG_BREAK]: config.longBreakMinutes
+        }[phase];
+        return {
+            phase,
+            cycle,
+            duration: Math.max(1, Number(minutes) || 1) * 60 * 1000,
+            focusType
+        };
+    },
+
+    /**
+     * 计算下一阶段
+     * 专注结束后进入休息，每完成指定轮数进入长休息；休息结束后开始下一轮专注
+     * @param {Object} current - 当前阶段信息
+     * @param {Object} config - 番茄钟配置
+     * @returns {Object} 下一阶段信息
+     */
+    nextPhase(current, config) {
+        if (current.phase === this.PHASES.FOCUS) {
+            const cyclesBeforeLongBreak = Math.max(1, Number(config.cyclesBeforeLongBreak) || 1);
+            const phase = current.cycle % cyclesBeforeLongBreak === 0
+                ? this.PHASES.LONG_BREAK
+                : this.PHASES.SHORT_BREAK;
+            return this.createPhase(config, phase, current.cycle, current.focusType);
+        }
+        return this.createPhase(config, this.PHASES.FOCUS, current.cycle + 1, current.focusType);
+    },
+
+    /**
+     * 是否为休息阶段
+     * @param {Object|null} pomodoro - 阶段信息
+     * @returns {boolean}
+     */
+    isBreak(pomodoro) {
+        return !!pomodoro && pomodoro.phase !== this.PHASES.FOCUS;
+    },
+
+    /**
+     * 计算当前阶段剩余毫秒数
+     * @param {Object} state - 计时器状态
+     * @param {number} now - 当前时间戳
+     * @returns {number} 剩余毫秒数，不小于0
+     */
+    getRemaining(state, now) {
+        if (!state.pomodoro) return 0;
+        return Math.max(0, state.pomodoro.duration - TimerEngine.getElapsed(state, now));
+    },
+
+    /**
+     * 获取阶段描述，如 "专注 · 第2轮"
+     * @param {Object} pomodoro - 阶段信息
+     * @returns {string}
+     */
+    describe(pomodoro) {
+        return `${this.PHASE_LABELS[pomodoro.phase]} · 第${pomodoro.cycle}轮`;
+    }
+};
+
+export default Pomodoro;
@@ -1,4 +1,18 @@
 import StorageManager from './storage.js';
+import TimerEngine from './timer.js';
+import Pomodoro from './pomodoro.js';
+import DateUtils from './dateUtils.js';
+import Exporter from './exporter.js';
+import Goals from './goals.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+import Tasks from './tasks.js';
+import Timeline from './timeline.js';
+
+// 计时内容停止输入多久后同步到后台（毫秒）
+const CONTENT_SAVE_DEBOUNCE_MS = 500;
+// 时间线中每小时的高度（像素）
+const TIMELINE_HOUR_HEIGHT = 48;
 
 /**
  * 计时器模块
@@ -8,25 +22,57 @@ class TimerManager {
     constructor() {
         // DOM元素
         this.timerDisplay = document.querySelector('.timer-display');
+        this.pomodoroStatus = document.getElementById('pomodoro-status');
         this.startBtn = document.getElementById('start-btn');
         this.pauseBtn = document.getElementById('pause-btn');
         this.resumeBtn = document.getElementById('resume-btn');
         this.endBtn = document.getElementById('end-btn');
+        this.switchBtn = document.getElementById('switch-btn');
         this.recordsTableBody = document.getElementById('records-table-body');
+        this.recordsTableContainer = document.querySelector('.records-table-container');
+        this.recordsTimeline = document.getElementById('records-timeline');
+        this.recordsViewButtons = document.querySelectorAll('.records-view-toggle .view-btn');
         this.totalWorkTimeEl = document.getElementById('total-work-time');
-        this.excludingLifeTimeEl = document.getElementById('excluding-life-time');
+        this.productiveTimeEl = document.getElementById('productive-time');
+        this.billableTimeEl = document.getElementById('billable-time');
+        this.goalsSection = document.getElementById('goals-section');
         this.addRecordBtn = document.getElementById('add-record-btn');
         this.exportBtn = document.getElementById('export-btn');
         this.generateReportBtn = document.getElementById('generate-report-btn');
+        this.historyBtn = document.getElementById('history-btn');
+        this.dashboardBtn = document.getElementById('dashboard-btn');
         this.settingsBtn = document.getElementById('settings-btn');
         this.workTypeSelect = document.getElementById('work-type-select');
-
-        // 计时器状态
+        this.projectSelect = document.getElementById('project-select');
+        this.tagSelector = document.getElementById('tag-selector');
+        this.sessionContentInput = document.getElementById('session-content');
+        this.contentSuggestions = document.getElementById('content-suggestions');
+        this.idlePrompt = document.getElementById('idle-prompt');
+        this.idlePromptText = document.getElementById('idle-prompt-text');
+        this.idleSplitTypeSelect = document.getElementById('idle-split-type');
+        this.taskList = document.getElementById('task-list');
+        this.showDoneTasksInput = document.getElementById('show-done-tasks');
+        this.newTaskTitleInput = document.getElementById('new-task-title');
+        this.newTaskTypeSelect = document.getElementById('new-task-type');
+        this.newTaskEstimateInput = document.getElementById('new-task-estimate');
+        this.newTaskDueInput = document.getElementById('new-task-due');
+        this.addTaskBtn = document.getElementById('add-task-btn');
+
+        // 计时器状态快照（由后台维护）
         this.timerInterval = null;
-        this.isRunning = false;
-        this.startTime = null;
-        this.elapsedTime = 0;
-        this.currentDate = new Date().toISOString().split('T')[0];
+        this.timer = TimerEngine.createIdleState();
+        this.snapshotReceivedAt = Date.now();
+        this.settings = {};
+        this.currentDate = DateUtils.getToday();
+        // 当前选中的标签
+        this.selectedTags = [];
+        // 计时内容输入的防抖定时器
+        this.contentTimeout = null;
+        // 记录的显示方式和时间线使用的当天记录
+        this.recordsView = 'table';
+        this.timelineRecords = null;
+        // 正在拖动时间线中的记录边缘，此时不重新渲染时间线
+        this.timelineDragging = false;
 
         // 初始化
         this.init();
@@ -35,8 +81,13 @@ class TimerManager {
     /**
      * 初始化计时器
      */
-    init() {
-        // 从本地存储加载状态
+    async init() {
+        // 等待存储初始化（含旧数据迁移）完成
+        await StorageManager.init();
+        // 加载日期格式等设置
+        await this.loadSettings();
+        this.setRecordsView(this.settings.recordsView);
+        // 从后台加载计时器状态
         this.loadTimerState();
         // 加载记录
         this.loadRecords();
@@ -46,42 +97,18 @@ class TimerManager {
         this.bindEvents();
         // 加载工作类型
         this.loadWorkTypes();
+        // 加载项目和标签
+        this.loadProjectsAndTags();
+        // 加载任务
+        this.loadTasks();
     }
 
     /**
      * 从background.js加载计时器状态
      */
-    loadTimerState() {
-        // 首先尝试从background.js获取状态
-        chrome.runtime.sendMessage({ type: 'GET_TIMER_STATUS' }, (response) => {
-            if (response && response.isRunning) {
-                this.isRunning = true;
-                this.startTime = response.startTime;
-                this.elapsedTime = response.elapsedTime;
-                this.updateTimerDisplay();
-                this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
-                this.updateButtonStates();
-            } else {
-                // 如果background.js没有运行状态，检查本地存储
-                const timerState = StorageManager.getCurrentTimer();
-                if (timerState && timerState.isRunning) {
-                    this.isRunning = true;
-                    this.startTime = timerState.startTime;
-                    this.elapsedTime = timerState.elapsedTime;
-                    this.updateTimerDisplay();
-                    // 恢复background.js的计时
-                    chrome.runtime.sendMessage({
-                        type: 'START_TIMER',
-                        data: {
-                            startTime: this.startTime,
-                            elapsedTime: this.elapsedTime
-                        }
-                    });
-                    this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
-                    this.updateButtonStates();
-                }
-            }
-        });
+    async loadTimerState() {
+        const timer = await this.sendTimerCommand('GET_TIMER_STATUS');
+        if (timer) this.applySnapshot(timer);
     }
 
     /**
@@ -92,170 +119,453 @@ class TimerManager {
         this.pauseBtn.addEventListener('click', () => this.pauseTimer());
         this.resumeBtn.addEventListener('click', () => this.resumeTimer());
         this.endBtn.addEventListener('click', () => this.endTimer());
+        this.switchBtn.addEventListener('click', () => this.showSwitchForm());
+        this.recordsViewButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setRecordsView(btn.dataset.view);
+                StorageManager.updateSetting('recordsView', this.recordsView);
+            });
+        });
         this.addRecordBtn.addEventListener('click', () => this.showAddRecordForm());
         this.exportBtn.addEventListener('click', () => this.exportToExcel());
-        this.generateReportBtn.addEventListener('click', () => this.generateReport());
+        this.generateReportBtn.addEventListener('click', () => this.openReport());
+        this.historyBtn.addEventListener('click', () => this.openHistory());
+        this.dashboardBtn.addEventListener('click', () => this.openDashboard());
         this.settingsBtn.addEventListener('click', () => this.openSettings());
 
+        // 切换类型时记住选择（供快捷键使用），计时进行中则同步到后台
+        this.workTypeSelect.addEventListener('change', () => {
+            StorageManager.updateSetting('lastWorkType', this.workTypeSelect.value);
+            if (TimerEngine.isActive(this.timer)) {
+                this.sendTimerCommand('UPDATE_TIMER', { type: this.workTypeSelect.value });
+            }
+            this.loadContentSuggestions();
+        });
+
+        // 计时中填写的内容保存到后台的计时状态，关闭弹窗后不会丢失
+        this.sessionContentInput.addEventListener('input', () => {
+            clearTimeout(this.contentTimeout);
+            this.contentTimeout = setTimeout(() => this.saveSessionContent(), CONTENT_SAVE_DEBOUNCE_MS);
+        });
+        this.sessionContentInput.addEventListener('change', () => this.saveSessionContent());
+
+        // 项目同样记住选择，计时进行中则同步到后台
+        this.projectSelect.addEventListener('change', () => {
+            StorageManager.updateSetting('lastProject', this.projectSelect.value);
+            if (TimerEngine.isActive(this.timer)) {
+                this.sendTimerCommand('UPDATE_TIMER', { project: this.projectSelect.value });
+            }
+        });
+
+        // 任务
+        this.addTaskBtn.addEventListener('click', () => this.addTask());
+        this.newTaskTitleInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addTask();
+        });
+        this.showDoneTasksInput.addEventListener('change', () => this.loadTasks());
+
+        // 处理计时期间的空闲时间
+        this.idlePrompt.querySelectorAll('[data-idle-action]').forEach(btn => {
+            btn.addEventListener('click', () => this.resolveIdle(btn.dataset.idleAction));
+        });
+
         // 绑定删除所有记录按钮事件
         document.getElementById('delete-all-records-btn').addEventListener('click', () => this.deleteAllRecords());
 
-        // 监听设置更新消息，刷新工作类型
+        // 监听设置更新和计时器状态变化消息
         chrome.runtime.onMessage.addListener((message) => {
             if (message.type === 'SETTINGS_UPDATED') {
-                this.loadWorkTypes();
+                this.loadSettings().then(() => {
+                    this.loadWorkTypes();
+                    this.loadProjectsAndTags();
+                    this.loadRecords();
+                    this.updateStatistics();
+                    this.renderIdlePrompt();
+                });
+            } else if (message.type === 'RECORDS_UPDATED') {
+                // 其他页面（如导入）修改了记录
+                this.loadRecords();
+                this.updateStatistics();
+                this.loadTasks();
+                this.loadContentSuggestions();
+            } else if (message.type === 'TIMER_UPDATED') {
+                this.applySnapshot(message.timer);
+                // 更新正在计时的任务和开始按钮状态，计时结束后刷新实际用时
+                this.loadTasks();
+                // 计时结束（按钮或快捷键）后刷新记录和统计
+                if (message.timer.status === TimerEngine.STATUS.IDLE) {
+                    this.loadRecords();
+                    this.updateStatistics();
+                    this.loadContentSuggestions();
+                }
             }
         });
     }
 
-    loadWorkTypes() {
-        const settings = StorageManager.getSettings();
-        const workTypes = settings.workTypes || ['工作'];
+    /**
+     * 加载日期/时间格式和"一天开始于"设置
+     */
+    async loadSettings() {
+        this.settings = await StorageManager.getSettings();
+        this.currentDate = DateUtils.getToday(this.getDayStartHour());
+    }
+
+    /**
+     * 获取"一天开始于"的小时
+     * @returns {number}
+     */
+    getDayStartHour() {
+        return parseInt(this.settings.dayStartHour) || 0;
+    }
+
+    async loadWorkTypes() {
+        const settings = await StorageManager.getSettings();
+        const workTypes = WorkTypes.getNames(settings.workTypes);
         this.workTypeSelect.innerHTML = '';
+        this.idleSplitTypeSelect.innerHTML = '';
+        const taskType = this.newTaskTypeSelect.value;
+        this.newTaskTypeSelect.innerHTML = '';
         
         workTypes.forEach(type => {
             const option = document.createElement('option');
             option.value = type;
             option.textContent = type;
             this.workTypeSelect.appendChild(option);
+            this.idleSplitTypeSelect.appendChild(option.cloneNode(true));
+            this.newTaskTypeSelect.appendChild(option.cloneNode(true));
         });
+        if (workTypes.includes(taskType)) this.newTaskTypeSelect.value = taskType;
+        if (TimerEngine.isActive(this.timer)) {
+            this.workTypeSelect.value = this.timer.type;
+        } else if (workTypes.includes(settings.lastWorkType)) {
+            this.workTypeSelect.value = settings.lastWorkType;
+        }
+        this.loadContentSuggestions();
     }
 
     /**
-     * 开始计时器
+     * 加载当前类型最近使用过的内容作为自动补全选项
      */
-    startTimer() {
-        if (this.isRunning) return;
+    async loadContentSuggestions() {
+        const contents = await StorageManager.getRecentContents(this.workTypeSelect.value, [TimerEngine.DEFAULT_CONTENT, '空闲时间']);
+        this.contentSuggestions.innerHTML = '';
+        contents.forEach(content => {
+            const option = document.createElement('option');
+            option.value = content;
+            this.contentSuggestions.appendChild(option);
+        });
+    }
 
-        this.isRunning = true;
-        this.startTime = Date.now() - this.elapsedTime;
-        
-        // 通知background.js开始计时
-        chrome.runtime.sendMessage({
-            type: 'START_TIMER',
-            data: {
-                startTime: this.startTime,
-                elapsedTime: this.elapsedTime
-            }
+    /**
+     * 计时进行中时将填写的内容同步到后台
+     */
+    saveSessionContent() {
+        clearTimeout(this.contentTimeout);
+        const content = this.sessionContentInput.value.trim();
+        if (TimerEngine.isActive(this.timer) && content !== (this.timer.content || '')) {
+            this.sendTimerCommand('UPDATE_TIMER', { content });
+        }
+    }
+
+    /**
+     * 加载项目下拉框和标签选择
+     * 计时进行中时显示计时的项目和标签，否则沿用上次的选择
+     */
+    loadProjectsAndTags() {
+        const projects = Projects.getNames(this.settings.projects);
+        const tags = this.settings.tags || [];
+        const active = TimerEngine.isActive(this.timer);
+        const project = active ? this.timer.project : this.settings.lastProject;
+
+        this.projectSelect.innerHTML = '';
+        ['', ...projects].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = Projects.getLabel(this.settings.projects, name);
+            this.projectSelect.appendChild(option);
         });
-        
-        this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
-        this.updateButtonStates();
-        // 保存计时器状态
-        StorageManager.saveCurrentTimer({
-            isRunning: true,
-            startTime: this.startTime,
-            elapsedTime: this.elapsedTime
+        this.projectSelect.value = projects.includes(project) ? project : '';
+
+        this.selectedTags = ((active ? this.timer.tags : this.settings.lastTags) || []).filter(tag => tags.includes(tag));
+        this.renderTagSelector();
+    }
+
+    /**
+     * 渲染标签选择，点击切换选中状态
+     */
+    renderTagSelector() {
+        this.tagSelector.innerHTML = '';
+        (this.settings.tags || []).forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `tag-chip ${this.selectedTags.includes(tag) ? 'active' : ''}`;
+            chip.textContent = tag;
+            chip.addEventListener('click', () => this.toggleTag(tag));
+            this.tagSelector.appendChild(chip);
         });
     }
 
     /**
-     * 暂停计时器
+     * 切换标签选中状态，记住选择，计时进行中则同步到后台
+     * @param {string} tag - 标签
      */
-    pauseTimer() {
-        if (!this.isRunning) return;
+    toggleTag(tag) {
+        this.selectedTags = this.selectedTags.includes(tag)
+            ? this.selectedTags.filter(item => item !== tag)
+            : this.selectedTags.concat(tag);
+        this.renderTagSelector();
+        StorageManager.updateSetting('lastTags', this.selectedTags);
+        if (TimerEngine.isActive(this.timer)) {
+            this.sendTimerCommand('UPDATE_TIMER', { tags: this.selectedTags });
+        }
+    }
+
+    /**
+     * 向background.js发送计时器命令
+     * @param {string} type - 消息类型
+     * @param {Object} data - 附带数据
+     * @returns {Promise<Object|null>} 计时器快照，失败时为null
+     */
+    async sendTimerCommand(type, data) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type, data });
+            if (response && response.status === 'error') {
+                this.showMessage(response.message, 'error');
+                return null;
+            }
+            // GET_TIMER_STATUS 直接返回快照，其余命令返回 { status, timer }
+            return response && response.timer ? response.timer : response;
+        } catch (error) {
+            console.error('计时器命令失败:', error);
+            this.showMessage('无法连接后台计时服务', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * 应用后台发来的计时器快照并刷新界面
+     * @param {Object} timer - 计时器快照
+     */
+    applySnapshot(timer) {
+        const wasActive = TimerEngine.isActive(this.timer);
+        this.timer = timer;
+        // 以快照时刻为基准，在本地推算显示时间，避免依赖两端时钟一致
+        this.snapshotReceivedAt = Date.now();
 
-        this.isRunning = false;
         clearInterval(this.timerInterval);
-        this.elapsedTime = Date.now() - this.startTime;
-        
-        // 通知background.js暂停计时
-        chrome.runtime.sendMessage({
-            type: 'PAUSE_TIMER'
-        });
-        
+        this.timerInterval = null;
+        if (timer.status === TimerEngine.STATUS.RUNNING) {
+            this.timerInterval = setInterval(() => this.updateTimerDisplay(), 1000);
+        }
+        if (timer.type && TimerEngine.isActive(timer)) {
+            this.workTypeSelect.value = timer.type;
+        }
+        if (TimerEngine.isActive(timer)) {
+            this.projectSelect.value = timer.project || '';
+            this.selectedTags = timer.tags || [];
+            this.renderTagSelector();
+            // 正在输入时不覆盖，避免丢失尚未同步的文字
+            if (document.activeElement !== this.sessionContentInput) {
+                this.sessionContentInput.value = timer.content || '';
+            }
+        } else if (wasActive) {
+            // 计时结束后清空内容，准备下一段计时
+            clearTimeout(this.contentTimeout);
+            this.sessionContentInput.value = '';
+        }
+
+        this.updateTimerDisplay();
         this.updateButtonStates();
-        // 保存计时器状态
-        StorageManager.saveCurrentTimer({
-            isRunning: false,
-            startTime: this.startTime,
-            elapsedTime: this.elapsedTime
+        this.renderIdlePrompt();
+        this.renderTimeline();
+    }
+
+    /**
+     * 显示待处理的空闲时间提示
+     */
+    renderIdlePrompt() {
+        const periods = TimerEngine.isActive(this.timer) ? (this.timer.idlePeriods || []) : [];
+        this.idlePrompt.hidden = !periods.length;
+        if (!periods.length) return;
+
+        const totalMinutes = Math.round(periods.reduce((total, period) => total + period.end - period.start, 0) / (1000 * 60));
+        const ranges = periods
+            .map(period => `${this.formatTime(new Date(period.start))}-${this.formatTime(new Date(period.end))}`)
+            .join('，');
+        this.idlePromptText.textContent = `计时期间检测到空闲约 ${totalMinutes} 分钟（${ranges}），如何处理？`;
+    }
+
+    /**
+     * 处理空闲时间：保留、丢弃或拆分为单独记录
+     * @param {string} action - keep / discard / split
+     */
+    async resolveIdle(action) {
+        const timer = await this.sendTimerCommand('RESOLVE_IDLE', {
+            action,
+            type: this.idleSplitTypeSelect.value
         });
+        if (!timer) return;
+
+        if (action === 'split') {
+            this.loadRecords();
+            this.updateStatistics();
+            this.showMessage('空闲时间已拆分为单独记录', 'success');
+        }
     }
 
     /**
-     * 继续计时器
+     * 开始计时器
      */
-    resumeTimer() {
-        this.startTimer();
+    startTimer() {
+        this.sendTimerCommand('START_TIMER', {
+            type: this.workTypeSelect.value,
+            project: this.projectSelect.value,
+            tags: this.selectedTags,
+            content: this.sessionContentInput.value.trim()
+        });
     }
 
     /**
-     * 结束计时器并保存记录
+     * 暂停计时器
      */
-    endTimer() {
-        if (!this.startTime) return;
+    pauseTimer() {
+        this.sendTimerCommand('PAUSE_TIMER');
+    }
 
-        this.isRunning = false;
-        clearInterval(this.timerInterval);
+    /**
+     * 继续计时器
+     */
+    resumeTimer() {
+        this.sendTimerCommand('RESUME_TIMER');
+    }
 
-        // 计算总时长（分钟）
-        const endTime = Date.now();
-        const durationMs = this.elapsedTime || (endTime - this.startTime);
-        const durationMinutes = Math.round(durationMs / (1000 * 60));
-
-        // 格式化时间
-        const startTimeFormatted = this.formatTime(new Date(this.startTime));
-        const endTimeFormatted = this.formatTime(new Date(endTime));
-
-        // 创建记录
-        const record = {
-            date: this.currentDate,
-            startTime: startTimeFormatted,
-            endTime: endTimeFormatted,
-            duration: durationMinutes,
-            content: '计时工作',
-            type: this.workTypeSelect.value
-        };
+    /**
+     * 结束计时器，由background.js保存记录
+     * 设置了结束时提示填写内容且内容为空时，先询问这段时间做了什么，取消则不结束
+     */
+    async endTimer() {
+        if (!TimerEngine.isActive(this.timer)) return;
+
+        clearTimeout(this.contentTimeout);
+        let content = this.sessionContentInput.value.trim();
+        if (!content && this.settings.promptContentOnEnd) {
+            const input = prompt('这段时间做了什么？（留空则记为"计时工作"）', this.contentSuggestions.options[0]?.value || '');
+            if (input === null) return;
+            content = input.trim();
+        }
 
-        // 保存记录
-        StorageManager.addRecord(record);
+        // 记录表格和统计数据在收到 TIMER_UPDATED 广播后刷新
+        await this.sendTimerCommand('END_TIMER', {
+            type: this.workTypeSelect.value,
+            project: this.projectSelect.value,
+            tags: this.selectedTags,
+            content
+        });
+    }
 
-        // 通知background.js清除计时器
-        chrome.runtime.sendMessage({
-            type: 'CLEAR_TIMER'
+    /**
+     * 切换计时：由background.js在同一时刻结束当前计时并开始新的计时，两段记录之间没有空隙
+     * 当前计时尚未同步的内容随命令一起提交
+     * @param {Object} next - 新计时的数据，包含 type、project、tags、content，可选 taskId
+     * @returns {Promise<boolean>} 是否切换成功
+     */
+    async switchTimer(next) {
+        clearTimeout(this.contentTimeout);
+        const timer = await this.sendTimerCommand('SWITCH_TIMER', {
+            ...next,
+            current: { content: this.sessionContentInput.value.trim() }
         });
-        
-        // 重置计时器
-        this.resetTimer();
-        // 更新记录表格
+        if (!timer) return false;
+
+        // 计时没有回到空闲，TIMER_UPDATED 广播不会刷新记录，这里手动刷新
+        this.sessionContentInput.value = timer.content || '';
+        StorageManager.updateSetting('lastWorkType', timer.type);
         this.loadRecords();
-        // 更新统计数据
         this.updateStatistics();
-        // 清除计时器状态
-        StorageManager.clearCurrentTimer();
+        this.loadContentSuggestions();
+        return true;
     }
 
     /**
-     * 重置计时器
+     * 显示切换计时表单，选择新计时的类型、项目、标签和内容
      */
-    resetTimer() {
-        this.startTime = null;
-        this.elapsedTime = 0;
-        this.updateTimerDisplay();
-        this.updateButtonStates();
+    showSwitchForm() {
+        if (!TimerEngine.isActive(this.timer)) return;
+        const workTypes = WorkTypes.getNames(this.settings.workTypes);
+
+        const content = `
+            <div style="padding: 15px;">
+                <h3 style="margin-bottom: 15px;">切换计时</h3>
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px;">接下来做什么:</label>
+                    <input type="text" id="switch-content" list="content-suggestions" maxlength="200" style="width: 100%; padding: 8px;">
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px;">选择类型:</label>
+                    <select id="switch-type" style="width: 100%; padding: 8px;">
+                        ${workTypes.map(type => `<option value="${this.escapeHtml(type)}" ${type === this.timer.type ? 'selected' : ''}>${this.escapeHtml(type)}</option>`).join('')}
+                    </select>
+                </div>
+                ${this.renderLabelFields(this.settings, this.projectSelect.value, this.selectedTags)}
+                <div style="display: flex; gap: 10px; margin-top: 20px;">
+                    <button id="confirm-switch" style="flex: 1; padding: 8px; background: #4285f4; color: white; border: none; border-radius: 5px; cursor: pointer;">结束当前并开始</button>
+                    <button id="cancel-switch" style="flex: 1; padding: 8px; background: #e0e0e0; border: none; border-radius: 5px; cursor: pointer;">取消</button>
+                </div>
+            </div>
+        `;
+
+        // 创建弹窗
+        const dialog = document.createElement('div');
+        dialog.style.position = 'fixed';
+        dialog.style.top = '50%';
+        dialog.style.left = '50%';
+        dialog.style.transform = 'translate(-50%, -50%)';
+        dialog.style.background = 'white';
+        dialog.style.borderRadius = '10px';
+        dialog.style.boxShadow = '0 0 20px rgba(0,0,0,0.2)';
+        dialog.style.width = '350px';
+        dialog.innerHTML = content;
+        document.body.appendChild(dialog);
+        dialog.querySelector('#switch-content').focus();
+
+        // 绑定事件
+        dialog.querySelector('#confirm-switch').addEventListener('click', async () => {
+            const switched = await this.switchTimer({
+                type: dialog.querySelector('#switch-type').value,
+                content: dialog.querySelector('#switch-content').value.trim(),
+                ...this.readLabelFields(dialog)
+            });
+            if (switched) {
+                this.showMessage('已切换计时', 'success');
+                dialog.remove();
+            }
+        });
+
+        dialog.querySelector('#cancel-switch').addEventListener('click', () => {
+            dialog.remove();
+        });
     }
 
     /**
      * 更新计时器显示
+     * 番茄钟模式下显示本阶段的倒计时
      */
     updateTimerDisplay() {
-        if (this.isRunning) {
-            // 如果计时器正在运行，从background.js获取最新状态
-            chrome.runtime.sendMessage({ type: 'GET_TIMER_STATUS' }, (response) => {
-                if (response && response.isRunning) {
-                    const elapsedMs = Date.now() - response.startTime;
-                    this.timerDisplay.textContent = this.formatDuration(elapsedMs);
-                    this.elapsedTime = elapsedMs;
-                } else {
-                    // 如果background.js没有运行状态，使用本地计算
-                    const elapsedMs = Date.now() - this.startTime;
-                    this.timerDisplay.textContent = this.formatDuration(elapsedMs);
-                }
-            });
+        let elapsedMs = this.timer.elapsed || 0;
+        if (this.timer.status === TimerEngine.STATUS.RUNNING) {
+            elapsedMs += Date.now() - this.snapshotReceivedAt;
+        }
+
+        const pomodoro = TimerEngine.isActive(this.timer) ? this.timer.pomodoro : null;
+        if (pomodoro) {
+            // 倒计时向上取整到秒
+            const remainingMs = Math.max(0, pomodoro.duration - elapsedMs);
+            this.timerDisplay.textContent = this.formatDuration(Math.ceil(remainingMs / 1000) * 1000);
+            this.pomodoroStatus.textContent = Pomodoro.describe(pomodoro);
+            this.pomodoroStatus.classList.toggle('break', Pomodoro.isBreak(pomodoro));
         } else {
-            // 如果计时器暂停，显示已记录的时间
-            this.timerDisplay.textContent = this.formatDuration(this.elapsedTime);
+            this.timerDisplay.textContent = this.formatDuration(elapsedMs);
+            this.pomodoroStatus.textContent = '';
         }
     }
 
@@ -273,31 +583,42 @@ class TimerManager {
     }
 
     /**
-     * 格式化时间为 HH:MM
-     * @param {Date} date - 日期对象
+     * 按用户设置的时间格式显示时间
+     * @param {Date|number} date - 日期对象或时间戳
      * @returns {string} 格式化后的时间字符串
      */
     formatTime(date) {
-        const hours = date.getHours().toString().padStart(2, '0');
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
+        return DateUtils.formatTime(date, this.settings.timeFormat || DateUtils.TIME_KEY_FORMAT);
+    }
+
+    /**
+     * 按用户设置的日期格式显示记录日期
+     * @param {string} dateKey - yyyy-MM-dd
+     * @returns {string} 格式化后的日期字符串
+     */
+    formatDate(dateKey) {
+        return DateUtils.formatDateKey(dateKey, this.settings.dateFormat || DateUtils.DATE_KEY_FORMAT);
     }
 
     /**
      * 更新按钮状态
      */
     updateButtonStates() {
-        this.startBtn.disabled = this.isRunning;
-        this.pauseBtn.disabled = !this.isRunning;
-        this.resumeBtn.disabled = this.isRunning;
-        this.endBtn.disabled = !this.startTime;
+        const { RUNNING, PAUSED } = TimerEngine.STATUS;
+        this.startBtn.disabled = TimerEngine.isActive(this.timer);
+        this.pauseBtn.disabled = this.timer.status !== RUNNING;
+        this.resumeBtn.disabled = this.timer.status !== PAUSED;
+        this.endBtn.disabled = !TimerEngine.isActive(this.timer);
+        this.switchBtn.disabled = !TimerEngine.isActive(this.timer);
     }
 
     /**
      * 加载工作记录并显示
      */
-    loadRecords() {
-        const records = StorageManager.getTodayRecords();
+    async loadRecords() {
+        const records = await StorageManager.getTodayRecords();
+        this.timelineRecords = records;
+        this.renderTimeline();
         this.recordsTableBody.innerHTML = '';
 
         if (records.length === 0) {
@@ -310,17 +631,19 @@ class TimerManager {
         }
 
         // 按开始时间排序（最新的在前面）
-        records.sort((a, b) => new Date(`${a.date}T${b.startTime}`) - new Date(`${a.date}T${a.startTime}`));
+        const dayStartHour = this.getDayStartHour();
+        records.sort((a, b) => StorageManager.getRecordInterval(b, dayStartHour).start - StorageManager.getRecordInterval(a, dayStartHour).start);
 
         records.forEach(record => {
+            const interval = StorageManager.getRecordInterval(record, dayStartHour);
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td>${record.date}</td>
-                <td>${record.startTime}</td>
-                <td>${record.endTime}</td>
+                <td>${this.formatDate(record.date)}</td>
+                <td>${isNaN(interval.start) ? record.startTime : this.formatTime(interval.start)}</td>
+                <td>${isNaN(interval.end) ? record.endTime : this.formatTime(interval.end)}</td>
                 <td>${record.duration}分钟</td>
-                <td>${record.content}</td>
-                <td>${record.type}</td>
+                <td>${this.escapeHtml(record.content || '')}${this.renderRecordLabels(record)}</td>
+                <td>${this.renderTypeLabel(record.type)}</td>
                 <td class="action-icons">
                     <div class="record-actions">
                         <button class="edit-btn" data-id="${record.id}">编辑</button>
@@ -340,16 +663,387 @@ class TimerManager {
         });
     }
 
+    /**
+     * 切换记录的显示方式
+     * @param {string} view - table 表格或 timeline 时间线
+     */
+    setRecordsView(view) {
+        this.recordsView = view === 'timeline' ? 'timeline' : 'table';
+        this.recordsTableContainer.hidden = this.recordsView !== 'table';
+        this.recordsTimeline.hidden = this.recordsView !== 'timeline';
+        this.recordsViewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === this.recordsView));
+        this.renderTimeline();
+    }
+
+    /**
+     * 渲染当天的时间线：记录按类型着色，重叠的记录并排显示并标红，记录之间的空档可点击补记
+     * 进行中的计时显示为虚线块，其前后的空档同样会标出
+     */
+    renderTimeline() {
+        if (this.recordsView !== 'timeline' || !this.timelineRecords || this.timelineDragging) return;
+
+        const range = DateUtils.getDayRange(this.currentDate, this.getDayStartHour());
+        const busy = TimerEngine.isActive(this.timer) && this.timer.startedAt
+            ? [{ start: this.timer.startedAt, end: Date.now() }]
+            : [];
+        const layout = Timeline.layout(this.timelineRecords, range, busy, this.getDayStartHour());
+        this.recordsTimeline.innerHTML = '';
+        if (!layout) {
+            this.recordsTimeline.innerHTML = '<div class="timeline-empty">暂无记录</div>';
+            return;
+        }
+
+        // 时间与纵向位置的换算
+        const pixelsPerMs = TIMELINE_HOUR_HEIGHT / (60 * 60 * 1000);
+        const scale = {
+            toY: time => (time - layout.start) * pixelsPerMs,
+            toTime: y => layout.start + y / pixelsPerMs
+        };
+
+        const body = document.createElement('div');
+        body.className = 'timeline-body';
+        body.style.height = `${scale.toY(layout.end)}px`;
+        for (let time = layout.start; time <= layout.end; time += 60 * 60 * 1000) {
+            const hour = document.createElement('div');
+            hour.className = 'timeline-hour';
+            hour.style.top = `${scale.toY(time)}px`;
+            hour.textContent = this.formatTime(time);
+            body.appendChild(hour);
+        }
+
+        const track = document.createElement('div');
+        track.className = 'timeline-track';
+        layout.gaps.forEach(gap => track.appendChild(this.renderTimelineGap(gap, scale)));
+        busy.forEach(interval => {
+            const active = document.createElement('div');
+            active.className = 'timeline-active';
+            active.style.top = `${scale.toY(Math.max(interval.start, layout.start))}px`;
+            active.style.height = `${Math.max(scale.toY(interval.end) - scale.toY(Math.max(interval.start, layout.start)), 3)}px`;
+            active.textContent = '计时中';
+            track.appendChild(active);
+        });
+
+        const types = [...new Set(layout.blocks.map(block => block.record.type))];
+        const colors = WorkTypes.getColors(this.settings.workTypes, types);
+        layout.blocks.forEach(block => {
+            track.appendChild(this.renderTimelineBlock(block, colors[block.record.type], scale, range));
+        });
+
+        body.appendChild(track);
+        this.recordsTimeline.appendChild(body);
+    }
+
+    /**
+     * 渲染时间线中的一条记录，点击打开编辑，拖动上下边缘调整开始和结束时间
+     * @param {Object} block - Timeline.layout 返回的记录块
+     * @param {string} color - 类型颜色
+     * @param {{toY: Function, toTime: Function}} scale - 时间与纵向位置的换算
+     * @param {{start: number, end: number}} range - 当天的起止时间戳
+     * @returns {HTMLDivElement}
+     */
+    renderTimelineBlock(block, color, scale, range) {
+        const { record } = block;
+        const el = document.createElement('div');
+        el.className = 'timeline-block';
+        el.classList.toggle('overlap', block.overlap);
+        el.style.backgroundColor = color;
+        el.style.left = `${block.lane / block.lanes * 100}%`;
+        el.style.width = `calc(${100 / block.lanes}% - 2px)`;
+        el.title = `${record.content || ''}\n${record.type} · ${record.duration}分钟${block.overlap ? '\n与其他记录时间重叠' : ''}`;
+        el.innerHTML = `
+            <div class="timeline-handle" data-edge="start" title="拖动调整开始时间"></div>
+            <span class="timeline-block-time"></span>
+            <span class="timeline-block-content"></span>
+            <div class="timeline-handle" data-edge="end" title="拖动调整结束时间"></div>
+        `;
+        el.querySelector('.timeline-block-content').textContent = record.content || '';
+
+        // 按起止时间放置记录块，拖动时实时更新
+        const place = (start, end) => {
+            el.style.top = `${scale.toY(start)}px`;
+            el.style.height = `${Math.max(scale.toY(end) - scale.toY(start), 3)}px`;
+            el.querySelector('.timeline-block-time').textContent = `${this.formatTime(start)} - ${this.formatTime(end)}`;
+        };
+        place(block.start, block.end);
+
+        el.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('timeline-handle')) this.editRecord(String(record.id));
+        });
+        el.querySelectorAll('.timeline-handle').forEach(handle => {
+            this.bindTimelineDrag(handle, block, scale, range, place);
+        });
+        return el;
+    }
+
+    /**
+     * 拖动记录边缘调整时间，松开后通过 StorageManager.updateRecord 保存
+     * @param {HTMLElement} handle - 记录块的上边缘或下边缘
+     * @param {Object} block - 记录块
+     * @param {{toY: Function, toTime: Function}} scale - 时间与纵向位置的换算
+     * @param {{start: number, end: number}} range - 当天的起止时间戳
+     * @param {Function} place - (start, end) => void，按时间重新放置记录块
+     */
+    bindTimelineDrag(handle, block, scale, range, place) {
+        const edge = handle.dataset.edge;
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            const track = handle.closest('.timeline-track');
+            let time = block[edge];
+            // 计时广播会触发重新渲染，拖动结束前保留当前的记录块
+            this.timelineDragging = true;
+
+            const onMove = (moveEvent) => {
+                const y = moveEvent.clientY - track.getBoundingClientRect().top;
+                time = Timeline.moveEdge(block, edge, scale.toTime(y), range);
+                place(edge === 'start' ? time : block.start, edge === 'end' ? time : block.end);
+            };
+            const onEnd = async (endEvent) => {
+                handle.removeEventListener('pointermove', onMove);
+                handle.removeEventListener('pointerup', onEnd);
+                handle.removeEventListener('pointercancel', onEnd);
+                if (endEvent.type !== 'pointercancel' && time !== block[edge]) {
+                    await this.adjustRecordTime(block.record, edge, time);
+                }
+                // 补上拖动期间跳过的渲染，取消时恢复原位置
+                this.timelineDragging = false;
+                this.renderTimeline();
+            };
+            handle.addEventListener('pointermove', onMove);
+            handle.addEventListener('pointerup', onEnd);
+            handle.addEventListener('pointercancel', onEnd);
+        });
+    }
+
+    /**
+     * 保存拖动调整后的记录时间，可撤销
+     * @param {Object} record - 工作记录
+     * @param {string} edge - 调整的边缘：start 或 end
+     * @param {number} time - 新的时间戳
+     */
+    async adjustRecordTime(record, edge, time) {
+        try {
+            const historyIndex = await StorageManager.updateRecord(record.id, Timeline.getUpdates(record, edge, time, this.getDayStartHour()));
+            this.refreshRecords();
+            // 吸附回原来的时间时没有修改，也就没有可撤销的版本
+            if (historyIndex === -1) return;
+            this.showUndoToast(`${edge === 'start' ? '开始' : '结束'}时间已调整为 ${this.formatTime(time)}`, () =>
+                StorageManager.revertRecord(record.id, historyIndex));
+        } catch (error) {
+            console.error('调整记录时间失败:', error);
+            this.showMessage('调整失败，请重试', 'error');
+            this.renderTimeline();
+        }
+    }
+
+    /**
+     * 渲染时间线中未记录的空档，点击后以空档的起止时间添加记录
+     * @param {{start: number, end: number}} gap - 空档
+     * @param {{toY: Function, toTime: Function}} scale - 时间与纵向位置的换算
+     * @returns {HTMLButtonElement}
+     */
+    renderTimelineGap(gap, scale) {
+        const el = document.createElement('button');
+        el.className = 'timeline-gap';
+        el.style.top = `${scale.toY(gap.start)}px`;
+        el.style.height = `${scale.toY(gap.end) - scale.toY(gap.start)}px`;
+        el.title = `${this.formatTime(gap.start)} - ${this.formatTime(gap.end)} 未记录，点击补记`;
+        el.innerHTML = `<i class="fas fa-plus"></i> 未记录 ${Math.round((gap.end - gap.start) / (60 * 1000))}分钟`;
+        el.addEventListener('click', () => this.showAddRecordForm(gap));
+        return el;
+    }
+
+    /**
+     * 显示带图标和颜色的类型名称
+     * @param {string} name - 类型名称
+     * @returns {string} HTML标记
+     */
+    renderTypeLabel(name) {
+        const type = WorkTypes.find(this.settings.workTypes, name);
+        if (!type) return this.escapeHtml(name || '');
+        return `<i class="fas ${type.icon}" style="color: ${type.color};"></i> ${this.escapeHtml(name)}`;
+    }
+
+    /**
+     * 显示记录的项目和标签
+     * @param {Object} record - 工作记录
+     * @returns {string} HTML标记，没有项目和标签时为空
+     */
+    renderRecordLabels(record) {
+        const tags = record.tags || [];
+        if (!record.project && !tags.length) return '';
+        const project = record.project
+            ? `<i class="fas fa-folder"></i> ${this.escapeHtml(Projects.getLabel(this.settings.projects, record.project))} `
+            : '';
+        const tagLabels = tags.map(tag => `<span class="record-tag">${this.escapeHtml(tag)}</span>`).join('');
+        return `<div class="record-labels">${project}${tagLabels}</div>`;
+    }
+
     /**
      * 更新统计数据
      */
-    updateStatistics() {
-        const today = new Date().toISOString().split('T')[0];
-        const totalWorkTime = StorageManager.getTotalTimeByDate(today);
-        const excludingLifeTime = StorageManager.getWorkTimeExcludingLifeByDate(today);
+    async updateStatistics() {
+        // 弹窗可能跨越一天的开始时刻，每次重新计算今天
+        const today = DateUtils.getToday(this.getDayStartHour());
+        this.currentDate = today;
+        const totalWorkTime = await StorageManager.getTotalTimeByDate(today);
+        const productiveTime = await StorageManager.getProductiveTimeByDate(today);
+        const billableTime = await StorageManager.getBillableTimeByDate(today);
 
         this.totalWorkTimeEl.textContent = totalWorkTime;
-        this.excludingLifeTimeEl.textContent = excludingLifeTime;
+        this.productiveTimeEl.textContent = productiveTime;
+        this.billableTimeEl.textContent = billableTime;
+        this.renderGoals(await Goals.getProgress(this.settings.goals, today));
+    }
+
+    /**
+     * 渲染目标进度条和连续达成天数
+     * @param {Array} progress - Goals.getProgress 的结果
+     */
+    renderGoals(progress) {
+        this.goalsSection.hidden = !progress.length;
+        this.goalsSection.innerHTML = '';
+
+        progress.forEach(({ goal, minutes, ratio, met, streak }) => {
+            const item = document.createElement('div');
+            // "不超过"目标超出时标红
+            const exceeded = goal.comparison === 'atMost' && !met;
+            item.className = `goal-progress ${met ? 'met' : ''} ${exceeded ? 'exceeded' : ''}`;
+            const unit = goal.period === 'week' ? '周' : '天';
+            item.innerHTML = `
+                <div class="goal-progress-header">
+                    <span class="goal-progress-label"></span>
+                    <span class="goal-progress-value">${minutes} / ${goal.minutes} 分钟${streak ? ` · 连续${streak}${unit}` : ''}</span>
+                </div>
+                <div class="goal-progress-bar"><div class="goal-progress-fill" style="width: ${Math.round(ratio * 100)}%"></div></div>
+            `;
+            item.querySelector('.goal-progress-label').textContent = Goals.describe(goal);
+            this.goalsSection.appendChild(item);
+        });
+    }
+
+    /**
+     * 加载任务列表，显示实际用时与预估的对比
+     */
+    async loadTasks() {
+        const [tasks, actuals] = await Promise.all([StorageManager.getTasks(), StorageManager.getTaskActualMinutes()]);
+        const visible = Tasks.sort(tasks).filter(task => this.showDoneTasksInput.checked || !task.done);
+        this.taskList.innerHTML = '';
+
+        if (!visible.length) {
+            this.taskList.innerHTML = `<li class="no-tasks">${tasks.length ? '没有未完成的任务' : '暂无任务'}</li>`;
+            return;
+        }
+        visible.forEach(task => this.taskList.appendChild(this.renderTask(task, actuals[task.id] || 0)));
+    }
+
+    /**
+     * 渲染一个任务：完成勾选、名称、类型和截止日期、实际/预估进度，以及开始计时和删除按钮
+     * @param {Object} task - 任务
+     * @param {number} actual - 关联记录的实际分钟数
+     * @returns {HTMLLIElement}
+     */
+    renderTask(task, actual) {
+        const progress = Tasks.getProgress(task, actual);
+        const active = TimerEngine.isActive(this.timer);
+        const running = active && this.timer.taskId === task.id;
+
+        const item = document.createElement('li');
+        item.className = 'task-item';
+        item.classList.toggle('done', task.done);
+        item.classList.toggle('active', running);
+        item.classList.toggle('overdue', Tasks.isOverdue(task, this.currentDate));
+        item.classList.toggle('over', progress.over);
+        item.innerHTML = `
+            <input type="checkbox" class="task-done" title="标记为已完成" ${task.done ? 'checked' : ''}>
+            <div class="task-body">
+                <div class="task-title-row">
+                    <span class="task-title"></span>
+                    <span class="task-meta">
+                        ${this.escapeHtml(task.type)}
+                        ${task.dueDate ? `· <span class="task-due">截止 ${this.formatDate(task.dueDate)}</span>` : ''}
+                    </span>
+                </div>
+                ${progress.estimate ? `<div class="goal-progress-bar"><div class="goal-progress-fill" style="width: ${Math.round(progress.ratio * 100)}%"></div></div>` : ''}
+                <div class="task-estimate">
+                    实际 ${actual} 分钟${progress.estimate ? ` / 预估 ${progress.estimate} 分钟${progress.over ? `（超出 ${actual - progress.estimate} 分钟）` : ''}` : ''}
+                </div>
+            </div>
+            <button class="task-start-btn" title="${running ? '正在计时' : active ? '切换到此任务' : '以此任务开始计时'}" ${running || task.done ? 'disabled' : ''}>
+                <i class="fas ${running ? 'fa-stopwatch' : active ? 'fa-right-left' : 'fa-play'}"></i>
+            </button>
+            <button class="task-delete-btn" title="删除任务"><i class="fas fa-trash"></i></button>
+        `;
+        item.querySelector('.task-title').textContent = task.title;
+        item.querySelector('.task-title').title = task.title;
+
+        item.querySelector('.task-done').addEventListener('change', (e) => this.setTaskDone(task, e.target.checked));
+        item.querySelector('.task-start-btn').addEventListener('click', () => this.startTask(task));
+        item.querySelector('.task-delete-btn').addEventListener('click', () => this.deleteTask(task));
+        return item;
+    }
+
+    /**
+     * 添加任务
+     */
+    async addTask() {
+        const title = this.newTaskTitleInput.value.trim();
+        if (!title) {
+            this.showMessage('请输入任务名称', 'error');
+            return;
+        }
+
+        await StorageManager.addTask(Tasks.create({
+            title,
+            type: this.newTaskTypeSelect.value,
+            estimate: this.newTaskEstimateInput.value,
+            dueDate: this.newTaskDueInput.value
+        }));
+        this.newTaskTitleInput.value = '';
+        this.newTaskEstimateInput.value = '';
+        this.newTaskDueInput.value = '';
+        this.loadTasks();
+    }
+
+    /**
+     * 以任务开始计时，记录内容为任务名称并关联到任务
+     * 已有计时在进行时直接切换到该任务；任务的类型已被删除时使用当前选择的类型
+     * @param {Object} task - 任务
+     */
+    startTask(task) {
+        const workTypes = WorkTypes.getNames(this.settings.workTypes);
+        const data = {
+            type: workTypes.includes(task.type) ? task.type : this.workTypeSelect.value,
+            project: this.projectSelect.value,
+            tags: this.selectedTags,
+            taskId: task.id,
+            content: task.title
+        };
+        if (TimerEngine.isActive(this.timer)) {
+            this.switchTimer(data);
+        } else {
+            this.sendTimerCommand('START_TIMER', data);
+        }
+    }
+
+    /**
+     * 标记任务完成或未完成
+     * @param {Object} task - 任务
+     * @param {boolean} done - 是否完成
+     */
+    async setTaskDone(task, done) {
+        await StorageManager.updateTask(task.id, { done, completedAt: done ? Date.now() : null });
+        this.loadTasks();
+    }
+
+    /**
+     * 删除任务，已关联的记录保留
+     * @param {Object} task - 任务
+     */
+    async deleteTask(task) {
+        if (!confirm(`确定要删除任务"${task.title}"吗？\n已记录的时间不会删除。`)) return;
+        await StorageManager.deleteTask(task.id);
+        this.loadTasks();
     }
 
     /**
@@ -383,11 +1077,15 @@ class TimerManager {
 
     /**
      * 显示添加记录表单
+     * @param {{start: number, end: number}} [interval] - 预填的起止时间，如时间线中点击的空档，省略时均为当前时间
      */
-    showAddRecordForm() {
-        const workTypes = StorageManager.getSettings().workTypes || ['工作', '生活', '运动', '学习'];
+    async showAddRecordForm(interval) {
+        const settings = await StorageManager.getSettings();
+        const workTypes = WorkTypes.getNames(settings.workTypes);
         const now = new Date();
-        const currentTime = this.formatTime(now);
+        const currentTime = DateUtils.formatTime(now);
+        const defaultStart = interval ? DateUtils.formatTime(interval.start) : currentTime;
+        const defaultEnd = interval ? DateUtils.formatTime(interval.end) : currentTime;
 
         // 创建简单的添加记录表单
         const content = `
@@ -400,16 +1098,17 @@ class TimerManager {
                 <div style="margin-bottom: 10px;">
                     <label style="display: block; margin-bottom: 5px;">选择类型:</label>
                     <select id="record-type" style="width: 100%; padding: 8px;">
-                        ${workTypes.map(type => `<option value="${type}">${type}</option>`).join('')}
+                        ${workTypes.map(type => `<option value="${this.escapeHtml(type)}">${this.escapeHtml(type)}</option>`).join('')}
                     </select>
                 </div>
+                ${this.renderLabelFields(settings, this.projectSelect.value, this.selectedTags)}
                 <div style="margin-bottom: 10px;">
                     <label style="display: block; margin-bottom: 5px;">开始时间:</label>
-                    <input type="time" id="record-start" style="width: 100%; padding: 8px;" value="${currentTime}">
+                    <input type="time" id="record-start" style="width: 100%; padding: 8px;" value="${defaultStart}">
                 </div>
                 <div style="margin-bottom: 10px;">
                     <label style="display: block; margin-bottom: 5px;">结束时间:</label>
-                    <input type="time" id="record-end" style="width: 100%; padding: 8px;" value="${currentTime}">
+                    <input type="time" id="record-end" style="width: 100%; padding: 8px;" value="${defaultEnd}">
                 </div>
                 <div style="display: flex; gap: 10px; margin-top: 20px;">
                     <button id="save-record" style="flex: 1; padding: 8px; background: #4285f4; color: white; border: none; border-radius: 5px; cursor: pointer;">保存</button>
@@ -432,9 +1131,10 @@ class TimerManager {
         document.body.appendChild(dialog);
 
         // 绑定事件
-        dialog.querySelector('#save-record').addEventListener('click', () => {
+        dialog.querySelector('#save-record').addEventListener('click', async () => {
             const content = dialog.querySelector('#record-content').value;
             const type = dialog.querySelector('#record-type').value;
+            const labels = this.readLabelFields(dialog);
             const startTime = dialog.querySelector('#record-start').value;
             const endTime = dialog.querySelector('#record-end').value;
 
@@ -443,31 +1143,18 @@ class TimerManager {
                 return;
             }
 
-            // 计算时长
-            const start = new Date(`${this.currentDate}T${startTime}`);
-            const end = new Date(`${this.currentDate}T${endTime}`);
-            const duration = Math.round((end - start) / (1000 * 60));
-
-            if (duration <= 0) {
-                alert('结束时间必须晚于开始时间');
+            // 计算时长，结束早于开始视为跨夜并按自然日拆分
+            const records = this.buildManualRecords(this.currentDate, startTime, endTime, { content, type, ...labels });
+            if (!records) {
+                alert('结束时间不能与开始时间相同');
                 return;
             }
 
-            // 创建记录
-            const record = {
-                date: this.currentDate,
-                startTime,
-                endTime,
-                duration,
-                content,
-                type
-            };
-
             // 保存记录
-            StorageManager.addRecord(record);
+            await StorageManager.addRecords(records);
             this.loadRecords();
             this.updateStatistics();
-            this.showMessage('记录添加成功', 'success');
+            this.showMessage(records.length > 1 ? '跨夜记录已按日期拆分保存' : '记录添加成功', 'success');
             dialog.remove();
         });
 
@@ -480,9 +1167,9 @@ class TimerManager {
      * 编辑记录
      * @param {string} id - 记录ID
      */
-    editRecord(id) {
+    async editRecord(id) {
         const recordId = parseInt(id);
-        const records = StorageManager.getRecords();
+        const records = await StorageManager.getRecords();
         const record = records.find(r => r.id === recordId);
 
         if (!record) {
@@ -490,7 +1177,10 @@ class TimerManager {
             return;
         }
 
-        const workTypes = StorageManager.getSettings().workTypes || ['工作', '生活', '运动', '学习'];
+        const settings = await StorageManager.getSettings();
+        const workTypes = WorkTypes.getNames(settings.workTypes);
+        // 已删除的类型仍保留在选项中
+        if (record.type && !workTypes.includes(record.type)) workTypes.push(record.type);
 
         // 创建编辑表单
         const content = `
@@ -503,9 +1193,10 @@ class TimerManager {
                 <div style="margin-bottom: 10px;">
                     <label style="display: block; margin-bottom: 5px;">选择类型:</label>
                     <select id="edit-record-type" style="width: 100%; padding: 8px;">
-                        ${workTypes.map(type => `<option value="${type}" ${record.type === type ? 'selected' : ''}>${type}</option>`).join('')}
+                        ${workTypes.map(type => `<option value="${this.escapeHtml(type)}" ${record.type === type ? 'selected' : ''}>${this.escapeHtml(type)}</option>`).join('')}
                     </select>
                 </div>
+                ${this.renderLabelFields(settings, record.project || '', record.tags || [])}
                 <div style="margin-bottom: 10px;">
                     <label style="display: block; margin-bottom: 5px;">日期:</label>
                     <input type="date" id="edit-record-date" style="width: 100%; padding: 8px;" value="${record.date}">
@@ -518,6 +1209,7 @@ class TimerManager {
                     <label style="display: block; margin-bottom: 5px;">结束时间:</label>
                     <input type="time" id="edit-record-end" style="width: 100%; padding: 8px;" value="${record.endTime}">
                 </div>
+                ${this.renderRecordHistory(record)}
                 <div style="display: flex; gap: 10px; margin-top: 20px;">
                     <button id="save-edit-record" style="flex: 1; padding: 8px; background: #4285f4; color: white; border: none; border-radius: 5px; cursor: pointer;">保存</button>
                     <button id="cancel-edit-record" style="flex: 1; padding: 8px; background: #e0e0e0; border: none; border-radius: 5px; cursor: pointer;">取消</button>
@@ -539,9 +1231,10 @@ class TimerManager {
         document.body.appendChild(dialog);
 
         // 绑定事件
-        dialog.querySelector('#save-edit-record').addEventListener('click', () => {
+        dialog.querySelector('#save-edit-record').addEventListener('click', async () => {
             const content = dialog.querySelector('#edit-record-content').value;
             const type = dialog.querySelector('#edit-record-type').value;
+            const labels = this.readLabelFields(dialog);
             const date = dialog.querySelector('#edit-record-date').value;
             const startTime = dialog.querySelector('#edit-record-start').value;
             const endTime = dialog.querySelector('#edit-record-end').value;
@@ -551,33 +1244,45 @@ class TimerManager {
                 return;
             }
 
-            // 计算时长
-            const start = new Date(`${date}T${startTime}`);
-            const end = new Date(`${date}T${endTime}`);
-            const duration = Math.round((end - start) / (1000 * 60));
-
-            if (duration <= 0) {
-                alert('结束时间必须晚于开始时间');
+            // 计算时长，结束早于开始视为跨夜并按自然日拆分
+            const built = this.buildManualRecords(date, startTime, endTime, { content, type, ...labels });
+            if (!built) {
+                alert('结束时间不能与开始时间相同');
                 return;
             }
-
-            // 更新记录
-            const updatedRecord = {
-                ...record,
-                date,
-                startTime,
-                endTime,
-                duration,
-                content,
-                type
-            };
-
-            // 保存更新
-            StorageManager.updateRecord(recordId, updatedRecord);
-            this.loadRecords();
-            this.updateStatistics();
-            this.showMessage('记录已更新', 'success');
+            // 计时生成的记录保留已扣除的暂停和空闲时间
+            const records = StorageManager.keepExcludedDuration(record, built, this.getDayStartHour());
+
+            // 更新记录，跨夜时次日部分另存为新记录
+            const [firstDay, ...nextDays] = records;
+            const historyIndex = await StorageManager.updateRecord(recordId, { ...firstDay, id: recordId });
+            const added = await StorageManager.addRecords(nextDays);
+            this.refreshRecords();
             dialog.remove();
+            // 没有任何修改时不提供撤销，避免撤回之前的编辑
+            if (historyIndex === -1 && !added.length) {
+                this.showMessage('记录没有修改', 'success');
+                return;
+            }
+            this.showUndoToast(nextDays.length ? '跨夜记录已按日期拆分保存' : '记录已更新', async () => {
+                if (historyIndex !== -1) await StorageManager.revertRecord(recordId, historyIndex);
+                if (added.length) {
+                    // 撤销拆分出的记录无需进入回收站
+                    const ids = added.map(item => item.id);
+                    await StorageManager.deleteRecords(ids);
+                    await StorageManager.purgeTrash(ids);
+                }
+            });
+        });
+
+        // 恢复到历史版本
+        dialog.querySelectorAll('.revert-history-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                await StorageManager.revertRecord(recordId, parseInt(btn.dataset.index));
+                this.refreshRecords();
+                dialog.remove();
+                this.showUndoToast('已恢复到历史版本', () => StorageManager.revertRecord(recordId));
+            });
         });
 
         dialog.querySelector('#cancel-edit-record').addEventListener('click', () => {
@@ -585,6 +1290,98 @@ class TimerManager {
         });
     }
 
+    /**
+     * 生成记录表单中的项目下拉框和标签复选框
+     * 记录使用的项目或标签已被删除时仍保留在选项中
+     * @param {Object} settings - 用户设置
+     * @param {string} project - 选中的项目
+     * @param {Array<string>} tags - 选中的标签
+     * @returns {string} HTML片段
+     */
+    renderLabelFields(settings, project, tags) {
+        const projects = Projects.getNames(settings.projects);
+        if (project && !projects.includes(project)) projects.push(project);
+        const allTags = (settings.tags || []).concat(tags.filter(tag => !(settings.tags || []).includes(tag)));
+
+        const projectOptions = ['', ...projects]
+            .map(name => `<option value="${this.escapeHtml(name)}" ${name === project ? 'selected' : ''}>${this.escapeHtml(Projects.getLabel(settings.projects, name))}</option>`)
+            .join('');
+        const tagOptions = allTags
+            .map(tag => `<label><input type="checkbox" class="record-tag-option" value="${this.escapeHtml(tag)}" ${tags.includes(tag) ? 'checked' : ''}> ${this.escapeHtml(tag)}</label>`)
+            .join('');
+        return `
+            <div style="margin-bottom: 10px;">
+                <label style="display: block; margin-bottom: 5px;">项目:</label>
+                <select class="record-project" style="width: 100%; padding: 8px;">${projectOptions}</select>
+            </div>
+            ${allTags.length ? `
+                <div style="margin-bottom: 10px;">
+                    <label style="display: block; margin-bottom: 5px;">标签:</label>
+                    <div class="label-checkboxes">${tagOptions}</div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * 读取记录表单中选择的项目和标签
+     * @param {HTMLElement} dialog - 表单弹窗
+     * @returns {{project: string, tags: Array<string>}}
+     */
+    readLabelFields(dialog) {
+        return {
+            project: dialog.querySelector('.record-project').value,
+            tags: Array.from(dialog.querySelectorAll('.record-tag-option:checked')).map(input => input.value)
+        };
+    }
+
+    /**
+     * 生成记录编辑历史列表，最近的版本在前
+     * @param {Object} record - 工作记录
+     * @returns {string} HTML片段，没有历史时为空
+     */
+    renderRecordHistory(record) {
+        const history = record.history || [];
+        if (!history.length) return '';
+        const items = history
+            .map((version, index) => `
+                <li class="record-history-item">
+                    <span>
+                        ${this.formatDate(DateUtils.toDateKey(version.editedAt))} ${this.formatTime(version.editedAt)} 前：
+                        ${this.formatDate(version.date)} ${this.escapeHtml(version.startTime)}-${this.escapeHtml(version.endTime)}
+                        ${this.escapeHtml(version.type)} ${this.escapeHtml(version.project || '')} ${this.escapeHtml(version.content)}
+                    </span>
+                    <button class="revert-history-btn" data-index="${index}">恢复</button>
+                </li>
+            `)
+            .reverse()
+            .join('');
+        return `
+            <div style="margin-top: 10px;">
+                <label style="display: block; margin-bottom: 5px;">编辑历史:</label>
+                <ul class="record-history">${items}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * 根据手动输入的日期和时间生成记录
+     * 早于"一天开始于"的时间属于次日凌晨；结束时间早于开始时间时视为跨夜，并按日拆分
+     * @param {string} date - 开始日期
+     * @param {string} startTime - 开始时间 HH:mm
+     * @param {string} endTime - 结束时间 HH:mm
+     * @param {Object} fields - 记录的其他字段
+     * @returns {Array<Object>|null} 记录数组，起止时间相同时为null
+     */
+    buildManualRecords(date, startTime, endTime, fields) {
+        const dayStartHour = this.getDayStartHour();
+        const start = DateUtils.toTimestamp(date, startTime, dayStartHour);
+        let end = DateUtils.toTimestamp(date, endTime, dayStartHour);
+        if (end === start) return null;
+        if (end < start) end = DateUtils.toTimestamp(DateUtils.addDays(date, 1), endTime, dayStartHour);
+        return TimerEngine.buildRecords([{ start, end }], fields, dayStartHour);
+    }
+
     /**
      * 转义HTML特殊字符
      * @param {string} text - 需要转义的文本
@@ -604,15 +1401,15 @@ class TimerManager {
      * 删除所有记录
      */
     async deleteAllRecords() {
-        if (!confirm('确定要删除所有记录吗？此操作不可恢复！')) {
+        if (!confirm('确定要删除所有记录吗？\n记录将移入回收站，可在设置页恢复。')) {
             return;
         }
 
         try {
-            await StorageManager.saveRecords([]);
-            this.loadRecords();
-            this.updateStatistics();
-            this.showMessage('所有记录已成功删除', 'success');
+            const removed = await StorageManager.deleteAllRecords();
+            this.refreshRecords();
+            this.showUndoToast(`已删除 ${removed.length} 条记录`, () =>
+                StorageManager.restoreFromTrash(removed.map(record => record.id)));
         } catch (error) {
             console.error('删除所有记录失败:', error);
             this.showMessage('删除失败，请重试', 'error');
@@ -620,186 +1417,114 @@ class TimerManager {
     }
 
     /**
-     * 删除记录
+     * 删除记录，记录移入回收站并可撤销
      * @param {string} id - 记录ID
      */
-    deleteRecord(id) {
-        if (confirm('确定要删除这条记录吗？')) {
-            StorageManager.deleteRecord(parseInt(id));
-            this.loadRecords();
-            this.updateStatistics();
+    async deleteRecord(id) {
+        try {
+            const removed = await StorageManager.deleteRecords([parseInt(id)]);
+            this.refreshRecords();
+            this.showUndoToast('记录已删除', () =>
+                StorageManager.restoreFromTrash(removed.map(record => record.id)));
+        } catch (error) {
+            console.error('删除记录失败:', error);
+            this.showMessage('删除失败，请重试', 'error');
         }
     }
 
     /**
-     * 导出到Excel
+     * 重新加载记录列表和统计
      */
-    exportToExcel() {
-        alert('导出Excel功能将在后续版本中实现');
+    refreshRecords() {
+        this.loadRecords();
+        this.updateStatistics();
     }
 
     /**
-     * 生成报告
+     * 显示带撤销按钮的提示，同一时间只保留最新的一条
+     * @param {string} message - 消息内容
+     * @param {Function} undo - 撤销操作，返回Promise
      */
+    showUndoToast(message, undo) {
+        if (this.undoToast) this.undoToast.remove();
+
+        const toast = document.createElement('div');
+        toast.className = 'undo-toast';
+        const text = document.createElement('span');
+        text.textContent = message;
+        const undoBtn = document.createElement('button');
+        undoBtn.textContent = '撤销';
+        toast.append(text, undoBtn);
+        document.body.appendChild(toast);
+        this.undoToast = toast;
+
+        const timeout = setTimeout(() => toast.remove(), 8000);
+        undoBtn.addEventListener('click', async () => {
+            clearTimeout(timeout);
+            toast.remove();
+            try {
+                await undo();
+                this.refreshRecords();
+                this.showMessage('已撤销', 'success');
+            } catch (error) {
+                console.error('撤销失败:', error);
+                this.showMessage('撤销失败，请重试', 'error');
+            }
+        });
+    }
+
     /**
-     * 导出记录为CSV文件
+     * 导出记录为Excel工作簿（记录明细、按日汇总、按类型汇总）
      */
-    exportToExcel() {
-        const records = StorageManager.getRecords();
+    async exportToExcel() {
+        const records = await StorageManager.getRecords();
         if (!records.length) {
             this.showMessage('没有可导出的记录', 'error');
             return;
         }
 
-        // CSV表头
-        const headers = ['ID,日期,开始时间,结束时间,持续时间(分钟),选择类型,具体内容'];
-        // 转换记录为CSV行
-        const rows = records.map(record => {
-            // 处理CSV特殊字符（逗号和双引号）
-            const content = record.content ? `"${record.content.replace(/"/g, '""')}"` : '';
-            return `${record.id},${record.date},${record.startTime},${record.endTime},${record.duration},${record.type},${content}`;
-        });
-
-        // 组合CSV内容
-        const csvContent = headers.concat(rows).join('\n');
-        // 创建Blob对象，添加UTF-8 BOM确保Excel正确识别编码
-        const blob = new Blob(['\ufeff' + csvContent], { type: 'text/csv;charset=utf-8;' });
-        // 创建下载链接
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        // 设置文件名（包含当前日期）
-        const date = new Date().toISOString().slice(0, 10);
-        a.download = `时间记录_${date}.csv`;
-        // 触发下载
-        document.body.appendChild(a);
-        a.click();
-        // 清理
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-
-        this.showMessage('记录已成功导出', 'success');
-    }
-
-    /**
-     * 生成HTML报告
-     */
-    generateReport() {
-        const records = StorageManager.getRecords();
-        if (!records.length) {
-            this.showMessage('没有可生成报告的记录', 'error');
-            return;
+        try {
+            const blob = Exporter.toBlob(records, this.getDayStartHour());
+            // 创建下载链接
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            // 设置文件名（包含当前日期）
+            const date = DateUtils.getToday(this.getDayStartHour());
+            a.download = `时间记录_${date}.xlsx`;
+            // 触发下载
+            document.body.appendChild(a);
+            a.click();
+            // 清理
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.showMessage('记录已成功导出', 'success');
+        } catch (error) {
+            console.error('导出Excel失败:', error);
+            this.showMessage('导出失败，请重试', 'error');
         }
+    }
 
-        // 按日期和类型统计数据
-        const statsByDate = {};
-        const statsByType = {};
-        let totalDuration = 0;
+    /**
+     * 在新标签页打开报告生成页面
+     */
+    openReport() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('html/report.html') });
+    }
 
-        records.forEach(record => {
-            // 日期统计
-            if (!statsByDate[record.date]) {
-                statsByDate[record.date] = 0;
-            }
-            statsByDate[record.date] += record.duration;
+    /**
+     * 在新标签页打开历史记录页面
+     */
+    openHistory() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('html/history.html') });
+    }
 
-            // 类型统计
-            if (!statsByType[record.type]) {
-                statsByType[record.type] = 0;
-            }
-            statsByType[record.type] += record.duration;
-
-            totalDuration += record.duration;
-        });
-
-        // 生成HTML内容
-        const htmlContent = `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>时间记录报告</title>
-    <style>
-        body { font-family: 'Arial', sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f5f5f5; }
-        .report-container { max-width: 1000px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
-        h1 { color: #333; border-bottom: 2px solid #4285f4; padding-bottom: 10px; }
-        h2 { color: #4285f4; margin-top: 25px; }
-        .summary-stats { display: flex; justify-content: space-around; flex-wrap: wrap; margin: 20px 0; }
-        .stat-card { background: #f8f9fa; padding: 15px; border-radius: 5px; text-align: center; min-width: 150px; }
-        .stat-value { font-size: 24px; font-weight: bold; color: #4285f4; }
-        .stat-label { color: #666; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; }
-        th { background-color: #f2f2f2; font-weight: bold; }
-        .charts-container { display: flex; justify-content: space-between; flex-wrap: wrap; gap: 20px; margin: 30px 0; }
-        .chart { flex: 1; min-width: 300px; background: #f8f9fa; padding: 15px; border-radius: 5px; }
-        .chart-title { text-align: center; margin-bottom: 15px; font-weight: bold; }
-        .footer { margin-top: 30px; text-align: center; color: #666; font-size: 14px; }
-    </style>
-</head>
-<body>
-    <div class="report-container">
-        <h1>时间记录报告</h1>
-        <p>生成日期: ${new Date().toLocaleDateString()}</p>
-
-        <div class="summary-stats">
-            <div class="stat-card">
-                <div class="stat-value">${records.length}</div>
-                <div class="stat-label">总记录数</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${totalDuration}分钟</div>
-                <div class="stat-label">总时长</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${Object.keys(statsByDate).length}天</div>
-                <div class="stat-label">记录天数</div>
-            </div>
-        </div>
-
-        <h2>按日期统计</h2>
-        <table>
-            <tr><th>日期</th><th>时长(分钟)</th><th>时长(小时)</th></tr>
-            ${Object.entries(statsByDate).map(([date, minutes]) => `
-            <tr><td>${date}</td><td>${minutes}</td><td>${(minutes/60).toFixed(1)}</td></tr>`).join('')}
-        </table>
-
-        <h2>按类型统计</h2>
-        <table>
-            <tr><th>类型</th><th>时长(分钟)</th><th>占比</th></tr>
-            ${Object.entries(statsByType).map(([type, minutes]) => {
-                const percentage = ((minutes/totalDuration)*100).toFixed(1);
-                return `<tr><td>${type}</td><td>${minutes}</td><td>${percentage}%</td></tr>`;
-            }).join('')}
-        </table>
-
-        <h2>详细记录</h2>
-        <table>
-            <tr><th>日期</th><th>开始时间</th><th>结束时间</th><th>时长(分钟)</th><th>类型</th><th>内容</th></tr>
-            ${records.map(record => `
-            <tr><td>${record.date}</td><td>${record.startTime}</td><td>${record.endTime}</td><td>${record.duration}</td><td>${record.type}</td><td>${record.content}</td></tr>`).join('')}
-        </table>
-
-        <div class="footer">
-            时间管理助手报告 | 生成于 ${new Date().toLocaleString()}
-        </div>
-    </div>
-</body>
-</html>`;
-
-        // 创建HTML文件并下载
-        const blob = new Blob([htmlContent], { type: 'text/html;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        const date = new Date().toISOString().slice(0, 10);
-        a.download = `时间记录报告_${date}.html`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-
-        this.showMessage('报告已成功生成', 'success');
+    /**
+     * 在新标签页打开统计面板
+     */
+    openDashboard() {
+        chrome.tabs.create({ url: chrome.runtime.getURL('html/dashboard.html') });
     }
 
     /**
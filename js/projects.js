@@ -0,0 +1,128 @@
+import Charts from './charts.js';
+
+/**
+ * 项目与标签模块
+ * 项目保存在设置的 projects 中，格式: { id, name, client: 客户, color }
+ * 标签保存在设置的 tags 中，为标签名称数组
+ * 记录中按名称保存项目（project，未指定时为空字符串）和标签（tags，名称数组）
+ */
+const Projects = {
+    // 统计时未指定项目或标签的分组名称
+    NO_PROJECT: '无项目',
+    NO_TAG: '无标签',
+
+    /**
+     * 规范化设置中的项目，去掉空名称和重名项目，无效的颜色改用调色板中的颜色
+     * @param {Array<Object>} projects - 项目
+     * @returns {Array<Object>} 项目对象
+     */
+    normalize(projects) {
+        if (!Array.isArray(projects)) return [];
+
+        const result = [];
+        projects.forEach(item => {
+            const fields = typeof item === 'string' ? { name: item } : item;
+            const name = String((fields && fields.name) || '').trim();
+            if (!name || result.some(project => project.name === name)) return;
+
+            const base = this.create(name, '', result);
+            result.push({
+                id: fields.id || base.id,
+                name,
+                client: String(fields.client || '').trim(),
+                color: Charts.COLOR_PATTERN.test(fields.color) ? fields.color : base.color
+            });
+        });
+        return result;
+    },
+
+    /**
+     * 创建新项目，颜色优先选用调色板中未被占用的颜色
+     * @param {string} name - 项目名称
+     * @param {string} client - 客户
+     * @param {Array<Object>} existing - 已有的项目
+     * @returns {Object} 项目
+     */
+    create(name, client = '', existing = []) {
+        const used = existing.map(project => project.color);
+        return {
+            id: `project_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            client,
+            color: Charts.PALETTE.find(color => !used.includes(color)) || Charts.PALETTE[existing.length % Charts.PALETTE.length]
+        };
+    },
+
+    /**
+     * 获取项目名称列表
+     * @param {Array<Object>} projects - 项目
+     * @returns {Array<string>} 名称
+     */
+    getNames(projects) {
+        return this.normalize(projects).map(project => project.name);
+    },
+
+    /**
+     * 按名称查找项目
+     * @param {Array<Object>} projects - 项目
+     * @param {string} name - 项目名称
+     * @returns {Object|undefined}
+     */
+    find(projects, name) {
+        return this.normalize(projects).find(project => project.name === name);
+    },
+
+    /**
+     * 项目的显示名称，设置了客户时附带客户
+     * @param {Array<Object>} projects - 项目
+     * @param {string} name - 项目名称
+     * @returns {string} 如 "官网改版（某某公司）"，未指定项目时为"无项目"
+     */
+    getLabel(projects, name) {
+        if (!name) return this.NO_PROJECT;
+        const project = this.find(projects, name);
+        return project && project.client ? `${name}（${project.client}）` : name;
+    },
+
+    /**
+     * 将标签统一为去重后的名称数组
+     * @param {Array<string>|string} tags - 标签数组，或以逗号、分号分隔的文本（如导入的表格）
+     * @returns {Array<string>} 标签名称
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags ?? '').split(/[,，;；]/);
+        return list
+            .map(tag => String(tag ?? '').trim())
+            .filter((tag, index, all) => tag && all.indexOf(tag) === index);
+    },
+
+    /**
+     * 将标签显示为文本
+     * @param {Array<string>} tags - 标签
+     * @returns {string} 以逗号分隔的标签
+     */
+    formatTags(tags) {
+        return this.normalizeTags(tags || []).join(', ');
+    },
+
+    /**
+     * 获取项目颜色，设置中没有的项目使用调色板中未被占用的颜色
+     * @param {Array<Object>} projects - 项目
+     * @param {Array<string>} names - 需要颜色的项目名称
+     * @returns {Object} 名称到颜色的映射
+     */
+    getColors(projects, names) {
+        const list = this.normalize(projects);
+        const used = list.map(project => project.color);
+        const spare = Charts.PALETTE.filter(color => !used.includes(color));
+        let index = 0;
+
+        return names.reduce((colors, name) => {
+            const project = list.find(item => item.name === name);
+            colors[name] = project ? project.color : (spare[index++] || Charts.PALETTE[index % Charts.PALETTE.length]);
+            return colors;
+        }, {});
+    }
+};
+
+export default Projects;
@@ -0,0 +1,152 @@
+import StorageManager from './storage.js';
+import TimerEngine from './timer.js';
+
+/**
+ * 提醒模块
+ * 根据计时状态和今日记录判断是否需要发送提醒，由后台定时任务调用
+ * 已提醒过的状态(sent)由调用方保存，避免同一事件重复提醒
+ */
+const Reminders = {
+    // 提醒类型
+    TYPES: {
+        LONG_RUNNING: 'longRunning',
+        IDLE: 'idle',
+        DAILY_GOAL: 'dailyGoal'
+    },
+
+    /**
+     * 获取提醒配置，缺失项使用默认值
+     * @param {Object} settings - 用户设置
+     * @returns {Object} 提醒配置
+     */
+    getConfig(settings) {
+        const defaults = StorageManager.DEFAULT_SETTINGS.reminders;
+        const custom = (settings && settings.reminders) || {};
+        return Object.keys(defaults).reduce((config, key) => {
+            config[key] = { ...defaults[key], ...custom[key] };
+            return config;
+        }, {});
+    },
+
+    /**
+     * 是否有任何提醒需要定时检查
+     * @param {Object} settings - 用户设置
+     * @returns {boolean}
+     */
+    hasEnabled(settings) {
+        if (settings.notifications === false) return false;
+        const config = this.getConfig(settings);
+        return Object.values(config).some(item => item.enabled);
+    },
+
+    /**
+     * 判断时间是否处于工作时段内
+     * @param {Object} idleConfig - 空闲提醒配置
+     * @param {Date} date - 时间
+     * @returns {boolean}
+     */
+    isWithinWorkingHours(idleConfig, date) {
+        if (!idleConfig.workDays.includes(date.getDay())) return false;
+        const current = date.getHours() * 60 + date.getMinutes();
+        return current >= toMinutes(idleConfig.workStart) && current < toMinutes(idleConfig.workEnd);
+    },
+
+    /**
+     * 获取今天工作时段开始的时间戳
+     * @param {Object} idleConfig - 空闲提醒配置
+     * @param {Date} date - 今天的任意时间
+     * @returns {number} 时间戳
+     */
+    getWorkStartTimestamp(idleConfig, date) {
+        const start = new Date(date);
+        const minutes = toMinutes(idleConfig.workStart);
+        start.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        return start.getTime();
+    },
+
+    /**
+     * 计算需要发送的提醒
+     * @param {Object} context - 检查上下文
+     * @param {Object} context.settings - 用户设置
+     * @param {Object} context.state - 计时器状态
+     * @param {number} context.todayMinutes - 今日已记录分钟数（不含进行中的计时）
+     * @param {string} context.today - 今日日期字符串
+     * @param {Object} context.sent - 已提醒状态
+     * @param {number} context.now - 当前时间戳
+     * @returns {{reminders: Array<Object>, sent: Object}} 待发送的提醒和更新后的已提醒状态
+     */
+    evaluate({ settings, state, todayMinutes, today, sent, now }) {
+        const config = this.getConfig(settings);
+        const reminders = [];
+        const nextSent = { ...sent };
+        const active = TimerEngine.isActive(state);
+        const elapsed = active ? TimerEngine.getElapsed(state, now) : 0;
+
+        // 计时持续过久：每满N小时提醒一次，番茄钟自带节奏不提醒
+        if (config.longRunning.enabled && state.status === TimerEngine.STATUS.RUNNING && !state.pomodoro) {
+            const threshold = Math.max(0.5, Number(config.longRunning.hours) || 1) * 60 * 60 * 1000;
+            const count = Math.floor(elapsed / threshold);
+            const last = sent.longRunning && sent.longRunning.startedAt === state.startedAt ? sent.longRunning.count : 0;
+            if (count > last) {
+                const hours = Math.round((elapsed / (60 * 60 * 1000)) * 10) / 10;
+                reminders.push({
+                    type: this.TYPES.LONG_RUNNING,
+                    title: '计时提醒',
+                    message: `"${state.type || '未分类'}"已经计时 ${hours} 小时，记得休息一下`,
+                    actions: ['stop']
+                });
+                nextSent.longRunning = { startedAt: state.startedAt, count };
+            }
+        }
+
+        // 工作时段内长时间没有计时
+        if (active) {
+            nextSent.idleSince = null;
+        } else if (config.idle.enabled) {
+            const date = new Date(now);
+            const idleSince = sent.idleSince || now;
+            nextSent.idleSince = idleSince;
+            if (this.isWithinWorkingHours(config.idle, date)) {
+                const threshold = Math.max(1, Number(config.idle.minutes) || 1) * 60 * 1000;
+                const since = Math.max(idleSince, sent.idleNotifiedAt || 0, this.getWorkStartTimestamp(config.idle, date));
+                if (now - since >= threshold) {
+                    reminders.push({
+                        type: this.TYPES.IDLE,
+                        title: '空闲提醒',
+                        message: `已经 ${Math.round((now - since) / 60000)} 分钟没有计时了`,
+                        actions: ['start']
+                    });
+                    nextSent.idleNotifiedAt = now;
+                }
+            }
+        }
+
+        // 每日目标达成，每天只提醒一次
+        if (config.dailyGoal.enabled && sent.dailyGoalDate !== today) {
+            const totalMinutes = todayMinutes + Math.floor(elapsed / 60000);
+            if (totalMinutes >= config.dailyGoal.minutes) {
+                reminders.push({
+                    type: this.TYPES.DAILY_GOAL,
+                    title: '目标达成',
+                    message: `今日已记录 ${totalMinutes} 分钟，达成 ${config.dailyGoal.minutes} 分钟的目标`,
+                    actions: active ? ['stop'] : []
+                });
+                nextSent.dailyGoalDate = today;
+            }
+        }
+
+        return { reminders, sent: nextSent };
+    }
+};
+
+/**
+ * 将 HH:mm 转换为当天的分钟数
+ * @param {string} time - 时间字符串
+ * @returns {number} 分钟数
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+}
+
+export default Reminders;
@@ -0,0 +1,231 @@
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+import Reporter from './reporter.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
+// 预览刷新的防抖间隔（毫秒）
+const PREVIEW_DEBOUNCE_MS = 300;
+
+/**
+ * 报告生成页面脚本
+ * 选择日期范围、选择类型、项目、标签、分组方式和模板，预览后下载或打印报告
+ */
+class ReportManager {
+    constructor() {
+        // DOM元素
+        this.startDateInput = document.getElementById('start-date');
+        this.endDateInput = document.getElementById('end-date');
+        this.typeFilter = document.getElementById('type-filter');
+        this.projectFilter = document.getElementById('project-filter');
+        this.tagFilter = document.getElementById('tag-filter');
+        this.groupingSelect = document.getElementById('report-grouping');
+        this.templateSelect = document.getElementById('report-template');
+        this.includeChartsCheckbox = document.getElementById('include-charts');
+        this.invoiceOptions = document.getElementById('invoice-options');
+        this.hourlyRateInput = document.getElementById('hourly-rate');
+        this.currencyInput = document.getElementById('currency');
+        this.titleInput = document.getElementById('report-title');
+        this.downloadBtn = document.getElementById('download-report-btn');
+        this.printBtn = document.getElementById('print-report-btn');
+        this.preview = document.getElementById('report-preview');
+
+        this.settings = {};
+        this.html = '';
+        this.previewTimeout = null;
+
+        // 初始化
+        this.init();
+    }
+
+    /**
+     * 初始化报告页面，默认统计本月
+     */
+    async init() {
+        await StorageManager.init();
+        this.settings = await StorageManager.getSettings();
+
+        const today = DateUtils.getToday(parseInt(this.settings.dayStartHour) || 0);
+        this.startDateInput.value = DateUtils.getMonthRange(today).start;
+        this.endDateInput.value = today;
+        this.renderOptions(this.groupingSelect, Reporter.GROUPINGS);
+        this.renderOptions(this.templateSelect, Reporter.TEMPLATES);
+        this.renderFilters();
+        this.bindEvents();
+        this.refreshPreview();
+    }
+
+    /**
+     * 绑定事件处理函数
+     */
+    bindEvents() {
+        [
+            this.startDateInput, this.endDateInput, this.groupingSelect, this.templateSelect,
+            this.includeChartsCheckbox, this.hourlyRateInput, this.currencyInput, this.titleInput
+        ].forEach(input => {
+            input.addEventListener('input', () => this.schedulePreview());
+        });
+        this.downloadBtn.addEventListener('click', () => this.downloadReport());
+        this.printBtn.addEventListener('click', () => this.printReport());
+
+        // 其他页面修改记录或设置后刷新预览
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === 'SETTINGS_UPDATED') {
+                StorageManager.getSettings().then(settings => {
+                    this.settings = settings;
+                    this.renderFilters();
+                    this.schedulePreview();
+                });
+            } else if (message.type === 'RECORDS_UPDATED') {
+                this.schedulePreview();
+            }
+        });
+    }
+
+    /**
+     * 填充下拉框选项
+     * @param {HTMLSelectElement} select - 下拉框
+     * @param {Object} options - 值到名称的映射
+     */
+    renderOptions(select, options) {
+        select.innerHTML = '';
+        Object.entries(options).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * 渲染选择类型、项目和标签筛选复选框
+     */
+    renderFilters() {
+        const types = WorkTypes.getNames(this.settings.workTypes);
+        this.renderCheckboxFilter(this.typeFilter, types.map(type => ({ value: type, label: type })));
+        // 空字符串表示没有项目的记录
+        const projects = ['', ...Projects.getNames(this.settings.projects)];
+        this.renderCheckboxFilter(this.projectFilter, projects.map(name => ({
+            value: name,
+            label: Projects.getLabel(this.settings.projects, name)
+        })));
+        this.renderCheckboxFilter(this.tagFilter, (this.settings.tags || []).map(tag => ({ value: tag, label: tag })));
+    }
+
+    /**
+     * 渲染筛选复选框，保留已勾选的选项
+     * @param {HTMLElement} container - 容器
+     * @param {Array<{value: string, label: string}>} options - 选项
+     */
+    renderCheckboxFilter(container, options) {
+        const checked = this.getChecked(container);
+        container.innerHTML = '';
+
+        options.forEach(({ value, label: text }) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.checked = checked.includes(value);
+            checkbox.addEventListener('change', () => this.schedulePreview());
+            label.append(checkbox, ` ${text}`);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * 获取容器中勾选的值
+     * @param {HTMLElement} container - 筛选复选框容器
+     * @returns {Array<string>} 勾选的值，为空表示全部
+     */
+    getChecked(container) {
+        return Array.from(container.querySelectorAll('input:checked')).map(input => input.value);
+    }
+
+    /**
+     * 获取勾选的选择类型
+     * @returns {Array<string>} 选择类型，为空表示全部
+     */
+    getSelectedTypes() {
+        return this.getChecked(this.typeFilter);
+    }
+
+    /**
+     * 延迟刷新预览，避免连续输入时反复生成
+     */
+    schedulePreview() {
+        clearTimeout(this.previewTimeout);
+        this.previewTimeout = setTimeout(() => this.refreshPreview(), PREVIEW_DEBOUNCE_MS);
+    }
+
+    /**
+     * 按当前选项生成报告并显示预览
+     */
+    async refreshPreview() {
+        try {
+            const template = this.templateSelect.value;
+            const startDate = this.startDateInput.value;
+            const endDate = this.endDateInput.value;
+            const types = this.getSelectedTypes();
+            const projects = this.getChecked(this.projectFilter);
+            const tags = this.getChecked(this.tagFilter);
+            const records = (await StorageManager.getRecordsInRange(startDate, endDate))
+                .filter(record => !types.length || types.includes(record.type))
+                .filter(record => !projects.length || projects.includes(record.project || ''))
+                .filter(record => !tags.length || (record.tags || []).some(tag => tags.includes(tag)));
+
+            this.invoiceOptions.hidden = template !== 'invoice';
+            this.html = Reporter.build({
+                records,
+                startDate,
+                endDate,
+                grouping: this.groupingSelect.value,
+                template,
+                title: this.titleInput.value.trim(),
+                includeCharts: this.includeChartsCheckbox.checked,
+                hourlyRate: parseFloat(this.hourlyRateInput.value) || 0,
+                currency: this.currencyInput.value,
+                // 只统计所选类型的目标
+                goals: (this.settings.goals ?? []).filter(goal => !types.length || types.includes(goal.type)),
+                settings: this.settings
+            });
+            this.preview.srcdoc = this.html;
+        } catch (error) {
+            console.error('生成报告失败:', error);
+        }
+    }
+
+    /**
+     * 下载当前报告
+     */
+    async downloadReport() {
+        clearTimeout(this.previewTimeout);
+        await this.refreshPreview();
+
+        const blob = new Blob([this.html], { type: 'text/html;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const date = DateUtils.getToday(parseInt(this.settings.dayStartHour) || 0);
+        a.download = Reporter.getFileName(this.templateSelect.value, date);
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 打印预览中的报告，可在打印对话框中另存为PDF
+     */
+    async printReport() {
+        clearTimeout(this.previewTimeout);
+        await this.refreshPreview();
+        // 等待新的预览加载完成后再打印
+        this.preview.addEventListener('load', () => this.preview.contentWindow.print(), { once: true });
+    }
+}
+
+// 初始化报告页面
+document.addEventListener('DOMContentLoaded', () => {
+    new ReportManager();
+});
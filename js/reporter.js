@@ -0,0 +1,491 @@
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+import Charts from './charts.js';
+import Goals from './goals.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
+/**
+ * 报告模块
+ * 按日期范围、选择类型、分组方式和模板生成独立的HTML报告
+ * 报告内联样式和SVG图表，不依赖外部资源，可直接打印或另存为PDF
+ */
+const Reporter = {
+    // 分组方式
+    GROUPINGS: {
+        day: '按日',
+        week: '按周',
+        type: '按类型',
+        project: '按项目',
+        tag: '按标签'
+    },
+
+    // 报告模板
+    TEMPLATES: {
+        timesheet: '详细工时表',
+        summary: '汇总',
+        invoice: '账单'
+    },
+
+    /**
+     * 生成报告HTML
+     * @param {Object} options - 报告参数
+     * @param {Array} options.records - 已按日期范围、类型、项目和标签筛选的记录
+     * @param {string} options.startDate - 开始日期，为空表示不限
+     * @param {string} options.endDate - 结束日期，为空表示不限
+     * @param {string} options.grouping - 分组方式，GROUPINGS 的键
+     * @param {string} options.template - 模板，TEMPLATES 的键
+     * @param {string} [options.title] - 报告标题
+     * @param {boolean} [options.includeCharts] - 是否包含图表
+     * @param {number} [options.hourlyRate] - 账单模板使用的小时单价
+     * @param {string} [options.currency] - 账单模板使用的货币符号
+     * @param {Array} [options.goals] - 目标，非账单模板会附上范围内的达成情况
+     * @param {Object} [options.settings] - 用户设置，用于日期和时间格式
+     * @returns {string} 完整的HTML文档
+     */
+    build(options) {
+        const {
+            records,
+            grouping = 'day',
+            template = 'timesheet',
+            includeCharts = true,
+            settings = {}
+        } = options;
+        const title = options.title || this.TEMPLATES[template];
+        // 账单只包含可计费类型的记录
+        const included = template === 'invoice'
+            ? records.filter(record => WorkTypes.isBillable(settings.workTypes, record.type))
+            : records;
+        const dayStartHour = parseInt(settings.dayStartHour) || 0;
+        const sorted = included.slice().sort((a, b) =>
+            StorageManager.getRecordInterval(a, dayStartHour).start - StorageManager.getRecordInterval(b, dayStartHour).start);
+        const context = {
+            ...options,
+            records: sorted,
+            settings,
+            groups: groupRecords(sorted, grouping, settings),
+            totalDuration: sumDuration(sorted)
+        };
+
+        const body = {
+            timesheet: renderTimesheet,
+            summary: renderSummary,
+            invoice: renderInvoice
+        }[template](context);
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <div class="report-container">
+        <h1>${escapeHtml(title)}</h1>
+        <p class="report-meta">
+            统计范围: ${escapeHtml(formatRange(options.startDate, options.endDate, settings))}
+            · 分组: ${escapeHtml(this.GROUPINGS[grouping])}
+            · 生成日期: ${escapeHtml(DateUtils.formatDate(new Date(), settings.dateFormat))}
+        </p>
+        ${template === 'invoice' ? '' : renderSummaryCards(context)}
+        ${includeCharts && sorted.length ? renderCharts(context) : ''}
+        ${body}
+        ${template === 'invoice' ? '' : renderGoals(context)}
+        <div class="footer">时间管理助手报告 | 生成于 ${escapeHtml(new Date().toLocaleString())}</div>
+    </div>
+</body>
+</html>`;
+    },
+
+    /**
+     * 生成报告文件名
+     * @param {string} template - 模板
+     * @param {string} date - 日期键
+     * @returns {string} 文件名
+     */
+    getFileName(template, date) {
+        return `${this.TEMPLATES[template] || '时间记录报告'}_${date}.html`;
+    }
+};
+
+// 报告样式，包含打印样式
+const REPORT_STYLES = `
+        body { font-family: 'Arial', sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f5f5f5; color: #333; }
+        .report-container { max-width: 1000px; margin: 0 auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+        h1 { color: #333; border-bottom: 2px solid #4285f4; padding-bottom: 10px; }
+        h2 { color: #4285f4; margin-top: 25px; }
+        h2 .subtotal { float: right; font-size: 14px; color: #666; font-weight: normal; }
+        .report-meta { color: #666; font-size: 14px; }
+        .summary-stats { display: flex; justify-content: space-around; flex-wrap: wrap; margin: 20px 0; }
+        .stat-card { background: #f8f9fa; padding: 15px; border-radius: 5px; text-align: center; min-width: 150px; }
+        .stat-value { font-size: 24px; font-weight: bold; color: #4285f4; }
+        .stat-label { color: #666; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { padding: 10px; text-align: left; border-bottom: 1px solid #ddd; vertical-align: top; }
+        th { background-color: #f2f2f2; font-weight: bold; }
+        td.number, th.number { text-align: right; white-space: nowrap; }
+        tfoot td { font-weight: bold; border-top: 2px solid #333; }
+        .content { white-space: pre-wrap; word-break: break-word; }
+        .charts-container { display: flex; justify-content: space-between; flex-wrap: wrap; gap: 20px; margin: 30px 0; }
+        .chart { flex: 1; min-width: 300px; background: #f8f9fa; padding: 15px; border-radius: 5px; }
+        .chart-title { text-align: center; margin-bottom: 15px; font-weight: bold; }
+        .chart svg { display: block; max-width: 100%; height: auto; margin: 0 auto; }
+        .chart-legend { text-align: center; font-size: 12px; color: #666; margin-top: 10px; }
+        .chart-legend-item { margin-right: 12px; }
+        .note { color: #666; font-size: 13px; }
+        .footer { margin-top: 30px; text-align: center; color: #666; font-size: 14px; }
+        @media print {
+            @page { margin: 15mm; }
+            body { background: white; padding: 0; font-size: 12px; }
+            .report-container { max-width: none; padding: 0; box-shadow: none; border-radius: 0; }
+            .stat-card, .chart, th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            .charts-container, .chart, tr { break-inside: avoid; }
+            h2 { break-after: avoid; }
+            thead { display: table-header-group; }
+            th, td { padding: 6px; }
+        }`;
+
+/**
+ * 将记录分组
+ * 按项目分组时没有项目的记录归入"无项目"，按标签分组时有多个标签的记录会出现在每个标签下，没有标签的记录归入"无标签"
+ * @param {Array} records - 已排序的记录
+ * @param {string} grouping - 分组方式
+ * @param {Object} settings - 用户设置
+ * @returns {Array<{key: string, label: string, records: Array, duration: number}>} 分组结果
+ */
+function groupRecords(records, grouping, settings) {
+    const getKeys = {
+        day: record => [record.date],
+        week: record => [DateUtils.getWeekStart(record.date)],
+        type: record => [record.type || '未分类'],
+        project: record => [record.project || Projects.NO_PROJECT],
+        tag: record => (Array.isArray(record.tags) && record.tags.length ? record.tags : [Projects.NO_TAG])
+    }[grouping];
+    const getLabel = {
+        day: key => DateUtils.formatDateKey(key, settings.dateFormat),
+        week: key => formatRange(key, DateUtils.addDays(key, 6), settings),
+        type: key => key,
+        // 项目名称附带客户
+        project: key => (key === Projects.NO_PROJECT ? key : Projects.getLabel(settings.projects, key)),
+        tag: key => key
+    }[grouping];
+
+    const groups = new Map();
+    records.forEach(record => {
+        getKeys(record).forEach(key => {
+            if (!groups.has(key)) {
+                groups.set(key, { key, label: getLabel(key), records: [], duration: 0 });
+            }
+            const group = groups.get(key);
+            group.records.push(record);
+            group.duration += parseInt(record.duration || 0);
+        });
+    });
+
+    const result = Array.from(groups.values());
+    // 日期分组按时间顺序，其余按时长从多到少
+    if (grouping === 'day' || grouping === 'week') {
+        return result.sort((a, b) => a.key.localeCompare(b.key));
+    }
+    return result.sort((a, b) => b.duration - a.duration);
+}
+
+/**
+ * 渲染汇总卡片
+ * @param {Object} context - 报告上下文
+ * @returns {string} HTML标记
+ */
+function renderSummaryCards({ records, totalDuration, settings }) {
+    const days = new Set(records.map(record => record.date)).size;
+    const productive = sumDuration(records.filter(record => WorkTypes.isProductive(settings.workTypes, record.type)));
+    return `
+        <div class="summary-stats">
+            <div class="stat-card">
+                <div class="stat-value">${records.length}</div>
+                <div class="stat-label">总记录数</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${formatHours(totalDuration)}小时</div>
+                <div class="stat-label">总时长</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${formatHours(productive)}小时</div>
+                <div class="stat-label">有效用时</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value">${days}天</div>
+                <div class="stat-label">记录天数</div>
+            </div>
+        </div>`;
+}
+
+/**
+ * 渲染每日用时和类型占比图表
+ * @param {Object} context - 报告上下文
+ * @returns {string} HTML标记
+ */
+function renderCharts({ records, settings }) {
+    const byDate = {};
+    const byType = {};
+    records.forEach(record => {
+        const type = record.type || '未分类';
+        const duration = parseInt(record.duration || 0);
+        byDate[record.date] = byDate[record.date] || {};
+        byDate[record.date][type] = (byDate[record.date][type] || 0) + duration;
+        byType[type] = (byType[type] || 0) + duration;
+    });
+
+    const types = Object.keys(byType).sort((a, b) => byType[b] - byType[a]);
+    const colors = WorkTypes.getColors(settings.workTypes, types);
+    const dailyChart = Charts.stackedBar({
+        categories: Object.keys(byDate).sort().map(date => ({
+            label: DateUtils.formatDateKey(date, 'M/d'),
+            title: DateUtils.formatDateKey(date, settings.dateFormat),
+            values: byDate[date]
+        })),
+        series: types,
+        colors,
+        width: 600
+    });
+    const typeChart = Charts.donut({
+        items: types.map(type => ({ label: type, value: byType[type], color: colors[type] }))
+    });
+
+    return `
+        <div class="charts-container">
+            <div class="chart">
+                <div class="chart-title">每日用时</div>
+                ${dailyChart}
+                ${Charts.legend(types, colors)}
+            </div>
+            <div class="chart">
+                <div class="chart-title">类型占比</div>
+                ${typeChart}
+            </div>
+        </div>`;
+}
+
+/**
+ * 详细工时表：每个分组一张记录明细表
+ * @param {Object} context - 报告上下文
+ * @returns {string} HTML标记
+ */
+function renderTimesheet({ groups, grouping, settings }) {
+    if (!groups.length) return '<p class="note">所选范围内没有记录</p>';
+
+    return groups.map(group => `
+        <h2>${escapeHtml(group.label)}<span class="subtotal">${group.records.length} 条 · ${formatHours(group.duration)} 小时</span></h2>
+        <table>
+            <thead>
+                <tr><th>日期</th><th>开始时间</th><th>结束时间</th><th class="number">时长(分钟)</th><th>类型</th><th>项目</th><th>标签</th><th>内容</th></tr>
+            </thead>
+            <tbody>
+                ${group.records.map(record => renderRecordRow(record, settings)).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td colspan="3">小计</td><td class="number">${group.duration}</td><td colspan="4"></td></tr>
+            </tfoot>
+        </table>`).join('') + tagNote(grouping);
+}
+
+/**
+ * 汇总：每个分组一行
+ * @param {Object} context - 报告上下文
+ * @returns {string} HTML标记
+ */
+function renderSummary({ groups, grouping, totalDuration }) {
+    const groupTotal = groups.reduce((total, group) => total + group.duration, 0);
+    return `
+        <h2>${escapeHtml(Reporter.GROUPINGS[grouping])}汇总</h2>
+        <table>
+            <thead>
+                <tr><th>分组</th><th class="number">记录数</th><th class="number">时长(分钟)</th><th class="number">时长(小时)</th><th class="number">占比</th></tr>
+            </thead>
+            <tbody>
+                ${groups.map(group => `
+                <tr>
+                    <td>${escapeHtml(group.label)}</td>
+                    <td class="number">${group.records.length}</td>
+                    <td class="number">${group.duration}</td>
+                    <td class="number">${formatHours(group.duration)}</td>
+                    <td class="number">${formatPercent(group.duration, groupTotal)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr><td>合计</td><td></td><td class="number">${totalDuration}</td><td class="number">${formatHours(totalDuration)}</td><td></td></tr>
+            </tfoot>
+        </table>${tagNote(grouping)}`;
+}
+
+/**
+ * 账单：每个分组按工时和单价计算金额
+ * @param {Object} context - 报告上下文
+ * @returns {string} HTML标记
+ */
+function renderInvoice({ groups, grouping, hourlyRate = 0, currency = '¥' }) {
+    const rate = Number(hourlyRate) || 0;
+    const rows = groups.map(group => {
+        const hours = Math.round(group.duration / 60 * 100) / 100;
+        return { label: group.label, hours, amount: Math.round(hours * rate * 100) / 100 };
+    });
+    const totalHours = rows.reduce((total, row) => total + row.hours, 0);
+    const totalAmount = rows.reduce((total, row) => total + row.amount, 0);
+    // 第一列按分组方式命名，如"按类型"分组时为"类型"
+    const column = (Reporter.GROUPINGS[grouping] || Reporter.GROUPINGS.project).replace(/^按/, '');
+
+    return `
+        <table>
+            <thead>
+                <tr><th>${escapeHtml(column)}</th><th class="number">工时(小时)</th><th class="number">单价</th><th class="number">金额</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr>
+                    <td>${escapeHtml(row.label)}</td>
+                    <td class="number">${row.hours.toFixed(2)}</td>
+                    <td class="number">${escapeHtml(currency)}${rate.toFixed(2)}</td>
+                    <td class="number">${escapeHtml(currency)}${row.amount.toFixed(2)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr>
+                    <td>合计</td>
+                    <td class="number">${totalHours.toFixed(2)}</td>
+                    <td></td>
+                    <td class="number">${escapeHtml(currency)}${totalAmount.toFixed(2)}</td>
+                </tr>
+            </tfoot>
+        </table>
+        <p class="note">仅包含设置中标记为可计费的选择类型。</p>${tagNote(grouping)}`;
+}
+
+/**
+ * 渲染范围内各目标的达成情况
+ * @param {Object} context - 报告上下文
+ * @returns {string} HTML标记
+ */
+function renderGoals({ goals = [], records, startDate, endDate }) {
+    if (!goals.length || !records.length) return '';
+
+    const totals = {};
+    records.forEach(record => {
+        const type = record.type || '未分类';
+        totals[record.date] = totals[record.date] || {};
+        totals[record.date][type] = (totals[record.date][type] || 0) + parseInt(record.duration || 0);
+    });
+    // 未限定范围时按记录的首尾日期统计
+    const dates = Object.keys(totals).sort();
+    const start = startDate || dates[0];
+    const end = endDate || dates[dates.length - 1];
+
+    return `
+        <h2>目标达成</h2>
+        <table>
+            <thead>
+                <tr><th>目标</th><th class="number">达成</th><th class="number">达成率</th></tr>
+            </thead>
+            <tbody>
+                ${goals.map(goal => {
+                    const { met, total } = Goals.summarize(goal, totals, start, end);
+                    const unit = goal.period === 'week' ? '周' : '天';
+                    return `
+                <tr>
+                    <td>${escapeHtml(Goals.describe(goal))}</td>
+                    <td class="number">${met} / ${total} ${unit}</td>
+                    <td class="number">${formatPercent(met, total)}</td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>`;
+}
+
+/**
+ * 渲染一条记录
+ * @param {Object} record - 工作记录
+ * @param {Object} settings - 用户设置
+ * @returns {string} HTML标记
+ */
+function renderRecordRow(record, settings) {
+    const interval = StorageManager.getRecordInterval(record, parseInt(settings.dayStartHour) || 0);
+    const startTime = isNaN(interval.start) ? record.startTime : DateUtils.formatTime(interval.start, settings.timeFormat);
+    const endTime = isNaN(interval.end) ? record.endTime : DateUtils.formatTime(interval.end, settings.timeFormat);
+    return `
+                <tr>
+                    <td>${escapeHtml(DateUtils.formatDateKey(record.date, settings.dateFormat))}</td>
+                    <td>${escapeHtml(startTime)}</td>
+                    <td>${escapeHtml(endTime)}</td>
+                    <td class="number">${parseInt(record.duration || 0)}</td>
+                    <td>${escapeHtml(record.type || '')}</td>
+                    <td>${escapeHtml(record.project || '')}</td>
+                    <td>${escapeHtml(Projects.formatTags(record.tags))}</td>
+                    <td class="content">${escapeHtml(record.content || '')}</td>
+                </tr>`;
+}
+
+/**
+ * 按标签分组时说明重复计算
+ * @param {string} grouping - 分组方式
+ * @returns {string} HTML标记
+ */
+function tagNote(grouping) {
+    return grouping === 'tag' ? '<p class="note">有多个标签的记录会计入每个标签，各分组合计可能大于总时长。</p>' : '';
+}
+
+/**
+ * 显示日期范围
+ * @param {string} startDate - 开始日期
+ * @param {string} endDate - 结束日期
+ * @param {Object} settings - 用户设置
+ * @returns {string} 如 "2024-01-01 ~ 2024-01-07"
+ */
+function formatRange(startDate, endDate, settings) {
+    if (!startDate && !endDate) return '全部记录';
+    const format = date => (date ? DateUtils.formatDateKey(date, settings.dateFormat) : '');
+    return `${format(startDate)} ~ ${format(endDate)}`;
+}
+
+/**
+ * 累加记录时长
+ * @param {Array} records - 记录
+ * @returns {number} 分钟数
+ */
+function sumDuration(records) {
+    return records.reduce((total, record) => total + parseInt(record.duration || 0), 0);
+}
+
+/**
+ * 将分钟数显示为小时，保留一位小数
+ * @param {number} minutes - 分钟数
+ * @returns {string}
+ */
+function formatHours(minutes) {
+    return (minutes / 60).toFixed(1);
+}
+
+/**
+ * 计算占比
+ * @param {number} value - 数值
+ * @param {number} total - 合计
+ * @returns {string} 如 "12.5%"
+ */
+function formatPercent(value, total) {
+    return total ? `${((value / total) * 100).toFixed(1)}%` : '-';
+}
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+export default Reporter;
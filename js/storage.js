@@ -1,65 +1,244 @@
+import DateUtils from './dateUtils.js';
+import WorkTypes from './workTypes.js';
+import Projects from './projects.js';
+
 /**
  * 本地存储管理模块
- * 封装localStorage操作，提供数据持久化功能
+ * 封装chrome.storage.local操作，提供数据持久化功能
+ * 弹窗、设置页和后台服务共享同一份数据，所有方法均返回Promise
  */
 const StorageManager = {
     // 存储键名常量
     STORAGE_KEYS: {
         RECORDS: 'timeTracker_records',
         SETTINGS: 'timeTracker_settings',
-        CURRENT_TIMER: 'timeTracker_currentTimer'
+        CURRENT_TIMER: 'timeTracker_currentTimer',
+        TRASH: 'timeTracker_trash',
+        TASKS: 'timeTracker_tasks'
+    },
+
+    // 每条记录保留的编辑历史版本数
+    HISTORY_LIMIT: 10,
+
+    // 默认设置
+    DEFAULT_SETTINGS: {
+        // 选择类型对象，格式见 workTypes.js
+        workTypes: WorkTypes.DEFAULTS,
+        // 项目对象，格式见 projects.js
+        projects: [],
+        // 标签名称
+        tags: [],
+        dateFormat: 'yyyy-MM-dd',
+        timeFormat: 'HH:mm',
+        // 一天开始的小时，早于该时刻的计时归入前一天
+        dayStartHour: 0,
+        notifications: true,
+        // 回收站中记录的保留天数
+        trashRetentionDays: 30,
+        // 结束计时时没有填写内容则提示输入
+        promptContentOnEnd: false,
+        // 弹窗中记录的显示方式：table 表格，timeline 时间线
+        recordsView: 'table',
+        // 按选择类型设置的每日/每周目标，格式见 goals.js
+        goals: [],
+        // 番茄钟：专注/休息时长（分钟）、长休息前的轮数、是否记录休息及其类型
+        pomodoro: {
+            enabled: false,
+            focusMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            cyclesBeforeLongBreak: 4,
+            recordBreaks: false,
+            breakType: '生活'
+        },
+        // 提醒：计时过久、工作时段空闲、每日目标达成
+        reminders: {
+            longRunning: { enabled: true, hours: 2 },
+            idle: { enabled: false, minutes: 30, workStart: '09:00', workEnd: '18:00', workDays: [1, 2, 3, 4, 5] },
+            dailyGoal: { enabled: false, minutes: 480 }
+        },
+        // 空闲检测：计时中无操作超过阈值（分钟）或锁屏时记录空闲时段
+        idleDetection: {
+            enabled: true,
+            thresholdMinutes: 5
+        }
     },
 
+    // 初始化Promise，保证init只执行一次
+    initPromise: null,
+
+    // 跨页面的写锁名称，弹窗、设置页和后台服务的读改写都在该锁内依次执行
+    WRITE_LOCK: 'timeTracker_write',
+
+    // 不支持Web Locks时的写操作队列，只能避免同一页面内的并发读改写互相覆盖
+    writeQueue: Promise.resolve(),
+
     /**
      * 初始化存储系统
-     * 如果没有初始数据，设置默认值
+     * 迁移旧版localStorage数据，如果没有初始数据，设置默认值
+     * @returns {Promise<void>}
      */
     init() {
-        // 初始化设置
-        if (!localStorage.getItem(this.STORAGE_KEYS.SETTINGS)) {
-            const defaultSettings = {
-                workTypes: ['工作', '生活', '运动', '学习'],
-                dateFormat: 'yyyy-MM-dd',
-                timeFormat: 'HH:mm'
-            };
-            this.saveSettings(defaultSettings);
-        }
+        if (!this.initPromise) {
+            this.initPromise = this.enqueue(async () => {
+                await this.migrateFromLocalStorage();
+
+                const result = await this.read([this.STORAGE_KEYS.SETTINGS, this.STORAGE_KEYS.RECORDS, this.STORAGE_KEYS.TASKS]);
+                const defaults = {};
+
+                // 初始化设置，补齐缺失的默认项
+                const settings = result[this.STORAGE_KEYS.SETTINGS];
+                if (!settings) {
+                    defaults[this.STORAGE_KEYS.SETTINGS] = { ...this.DEFAULT_SETTINGS };
+                } else if (Object.keys(this.DEFAULT_SETTINGS).some(key => !(key in settings)) || WorkTypes.needsMigration(settings.workTypes)) {
+                    // 同时把旧版字符串形式的选择类型迁移为对象
+                    defaults[this.STORAGE_KEYS.SETTINGS] = {
+                        ...this.DEFAULT_SETTINGS,
+                        ...settings,
+                        workTypes: WorkTypes.normalize(settings.workTypes ?? this.DEFAULT_SETTINGS.workTypes)
+                    };
+                }
+
+                // 初始化记录数组
+                if (!Array.isArray(result[this.STORAGE_KEYS.RECORDS])) {
+                    defaults[this.STORAGE_KEYS.RECORDS] = [];
+                }
+
+                // 初始化任务数组
+                if (!Array.isArray(result[this.STORAGE_KEYS.TASKS])) {
+                    defaults[this.STORAGE_KEYS.TASKS] = [];
+                }
 
-        // 初始化记录数组
-        if (!localStorage.getItem(this.STORAGE_KEYS.RECORDS)) {
-            this.saveRecords([]);
+                if (Object.keys(defaults).length) {
+                    await this.write(defaults);
+                }
+            }).then(() => this.purgeExpiredTrash()).catch(error => {
+                console.error('初始化存储失败:', error);
+                this.initPromise = null;
+                throw error;
+            });
         }
+        return this.initPromise;
     },
 
     /**
-     * 保存工作记录
-     * @param {Array} records - 工作记录数组
+     * 将旧版本保存在localStorage中的数据迁移到chrome.storage.local
+     * 仅在页面环境（弹窗、设置页）中可用，迁移完成后删除旧数据
+     * @returns {Promise<void>}
      */
-    saveRecords(records) {
-        return new Promise((resolve, reject) => {
-            if (!chrome || !chrome.storage) {
-                reject('Storage API unavailable');
-                return;
-            }
+    async migrateFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const legacy = {};
+        Object.values(this.STORAGE_KEYS).forEach(key => {
+            const raw = localStorage.getItem(key);
+            if (raw === null) return;
             try {
-                localStorage.setItem(this.STORAGE_KEYS.RECORDS, JSON.stringify(records));
-                resolve(true);
+                legacy[key] = JSON.parse(raw);
             } catch (error) {
-                console.error('保存记录失败:', error);
-                reject(error);
+                console.error(`解析旧数据失败 (${key}):`, error);
             }
         });
+        if (!Object.keys(legacy).length) return;
+
+        const current = await this.read(Object.keys(legacy));
+        const updates = {};
+
+        // 设置：旧数据中用户的自定义项优先于后台写入的默认值
+        const legacySettings = legacy[this.STORAGE_KEYS.SETTINGS];
+        if (legacySettings) {
+            updates[this.STORAGE_KEYS.SETTINGS] = {
+                ...(current[this.STORAGE_KEYS.SETTINGS] || {}),
+                ...legacySettings
+            };
+        }
+
+        // 记录：按ID合并，已存在的记录不重复写入
+        const legacyRecords = legacy[this.STORAGE_KEYS.RECORDS];
+        if (Array.isArray(legacyRecords)) {
+            const records = current[this.STORAGE_KEYS.RECORDS] || [];
+            const existingIds = new Set(records.map(record => record.id));
+            updates[this.STORAGE_KEYS.RECORDS] = records.concat(
+                legacyRecords.filter(record => !existingIds.has(record.id))
+            );
+        }
+
+        // 计时器：仅在后台尚无计时状态时沿用旧状态
+        const legacyTimer = legacy[this.STORAGE_KEYS.CURRENT_TIMER];
+        if (legacyTimer && !current[this.STORAGE_KEYS.CURRENT_TIMER]) {
+            updates[this.STORAGE_KEYS.CURRENT_TIMER] = legacyTimer;
+        }
+
+        await this.write(updates);
+        Object.keys(legacy).forEach(key => localStorage.removeItem(key));
+    },
+
+    /**
+     * 检查存储API是否可用
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.local;
+    },
+
+    /**
+     * 读取存储项
+     * @param {string|Array<string>} keys - 键名
+     * @returns {Promise<Object>} 键值对象
+     */
+    read(keys) {
+        if (!this.isAvailable()) return Promise.reject('Storage API unavailable');
+        return chrome.storage.local.get(keys);
+    },
+
+    /**
+     * 写入存储项
+     * @param {Object} items - 键值对象
+     * @returns {Promise<boolean>}
+     */
+    write(items) {
+        if (!this.isAvailable()) return Promise.reject('Storage API unavailable');
+        return chrome.storage.local.set(items).then(() => true);
+    },
+
+    /**
+     * 将读改写操作排入队列依次执行
+     * 优先使用同源各页面与后台服务共享的Web Locks，避免不同页面同时读改写同一存储项时互相覆盖
+     * 操作内不能再调用其他排队的方法，否则会等待自身释放锁
+     * @param {Function} task - 返回Promise的操作
+     * @returns {Promise<any>} 操作结果
+     */
+    enqueue(task) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(this.WRITE_LOCK, () => task());
+        }
+        const run = this.writeQueue.then(task, task);
+        this.writeQueue = run.catch(() => {});
+        return run;
+    },
+
+    /**
+     * 保存工作记录
+     * @param {Array} records - 工作记录数组
+     * @returns {Promise<boolean>}
+     */
+    async saveRecords(records) {
+        try {
+            return await this.write({ [this.STORAGE_KEYS.RECORDS]: records });
+        } catch (error) {
+            console.error('保存记录失败:', error);
+            throw error;
+        }
     },
 
     /**
      * 获取所有工作记录
-     * @returns {Array} 工作记录数组
+     * @returns {Promise<Array>} 工作记录数组
      */
-    getRecords() {
-        if (!chrome || !chrome.storage) return Promise.reject('Storage API unavailable');
+    async getRecords() {
         try {
-            const records = localStorage.getItem(this.STORAGE_KEYS.RECORDS);
-            return records ? JSON.parse(records) : [];
+            const result = await this.read(this.STORAGE_KEYS.RECORDS);
+            return result[this.STORAGE_KEYS.RECORDS] || [];
         } catch (error) {
             console.error('获取记录失败:', error);
             return [];
@@ -69,116 +248,496 @@ const StorageManager = {
     /**
      * 添加新的工作记录
      * @param {Object} record - 新记录对象
-     * @returns {boolean} 添加是否成功
+     * @returns {Promise<Object>} 添加后的记录（含ID）
      */
     addRecord(record) {
-        const records = this.getRecords();
-        // 为记录添加唯一ID
-        record.id = Date.now();
-        records.push(record);
-        return this.saveRecords(records);
+        return this.addRecords([record]).then(([added]) => added);
     },
 
     /**
-     * 更新工作记录
+     * 批量添加工作记录，一次写入
+     * @param {Array<Object>} newRecords - 新记录数组
+     * @returns {Promise<Array<Object>>} 添加后的记录（含ID）
+     */
+    addRecords(newRecords) {
+        if (!newRecords.length) return Promise.resolve([]);
+        return this.enqueue(async () => {
+            const records = await this.getRecords();
+            const usedIds = new Set(records.map(r => r.id));
+            // 为记录添加唯一ID
+            let id = Date.now();
+            newRecords.forEach(record => {
+                while (usedIds.has(id)) id++;
+                record.id = id;
+                usedIds.add(id);
+                records.push(record);
+            });
+            await this.saveRecords(records);
+            return newRecords;
+        });
+    },
+
+    /**
+     * 更新工作记录，修改前的内容保存到记录的编辑历史中
+     * 内容没有变化时不追加历史，调用方据此判断是否需要撤销
      * @param {number} id - 记录ID
      * @param {Object} updates - 要更新的字段
-     * @returns {boolean} 更新是否成功
+     * @returns {Promise<number>} 新增历史版本的索引，未找到记录或没有变化时为-1
      */
     updateRecord(id, updates) {
-        const records = this.getRecords();
-        const index = records.findIndex(record => record.id === id);
+        return this.enqueue(async () => {
+            const records = await this.getRecords();
+            const index = records.findIndex(record => record.id === id);
+
+            if (index !== -1) {
+                const { history, ...previous } = records[index];
+                const { history: ignored, ...changes } = updates;
+                const updated = { ...previous, ...changes };
+                // 标签等数组字段按内容比较
+                const changed = Object.keys(updated).some(key =>
+                    JSON.stringify(updated[key]) !== JSON.stringify(previous[key]));
+                if (!changed) return -1;
+                records[index] = { ...updated, history: this.appendHistory(history, previous) };
+                await this.saveRecords(records);
+                return records[index].history.length - 1;
+            }
+            return -1;
+        });
+    },
 
-        if (index !== -1) {
-            records[index] = { ...records[index], ...updates };
+    /**
+     * 将记录恢复为编辑历史中的某个版本，当前内容同样保存到历史中
+     * @param {number} id - 记录ID
+     * @param {number} index - 历史版本索引，默认为最近一次编辑前的版本
+     * @returns {Promise<boolean>} 恢复是否成功
+     */
+    revertRecord(id, index) {
+        return this.enqueue(async () => {
+            const records = await this.getRecords();
+            const recordIndex = records.findIndex(record => record.id === id);
+            if (recordIndex === -1) return false;
+
+            const { history = [], ...current } = records[recordIndex];
+            const versionIndex = index === undefined ? history.length - 1 : index;
+            const version = history[versionIndex];
+            if (!version) return false;
+
+            const { editedAt, ...fields } = version;
+            const remaining = history.filter((item, i) => i !== versionIndex);
+            records[recordIndex] = { ...fields, id, history: this.appendHistory(remaining, current) };
             return this.saveRecords(records);
-        }
-        return false;
+        });
     },
 
     /**
-     * 删除工作记录
+     * 追加编辑历史，超过上限时丢弃最早的版本
+     * @param {Array<Object>} history - 原有历史
+     * @param {Object} version - 修改前的记录（不含历史）
+     * @returns {Array<Object>} 新的历史数组，按时间升序
+     */
+    appendHistory(history, version) {
+        return (history || []).concat({ ...version, editedAt: Date.now() }).slice(-this.HISTORY_LIMIT);
+    },
+
+    /**
+     * 删除工作记录，记录移入回收站
      * @param {number} id - 记录ID
-     * @returns {boolean} 删除是否成功
+     * @returns {Promise<boolean>} 删除是否成功
+     */
+    async deleteRecord(id) {
+        const removed = await this.deleteRecords([id]);
+        return removed.length > 0;
+    },
+
+    /**
+     * 批量删除工作记录，记录移入回收站
+     * @param {Array<number>} ids - 记录ID数组
+     * @returns {Promise<Array<Object>>} 被删除的记录
+     */
+    deleteRecords(ids) {
+        return this.enqueue(async () => {
+            const records = await this.getRecords();
+            const removed = records.filter(record => ids.includes(record.id));
+            if (!removed.length) return [];
+            await this.moveToTrash(removed, records.filter(record => !ids.includes(record.id)));
+            return removed;
+        });
+    },
+
+    /**
+     * 删除所有工作记录，记录移入回收站
+     * @returns {Promise<Array<Object>>} 被删除的记录
      */
-    deleteRecord(id) {
-        const records = this.getRecords();
-        const newRecords = records.filter(record => record.id !== id);
+    deleteAllRecords() {
+        return this.enqueue(async () => {
+            const records = await this.getRecords();
+            await this.moveToTrash(records, []);
+            return records;
+        });
+    },
+
+    /**
+     * 统计使用指定类型的记录数（不含回收站）
+     * @param {string} type - 类型名称
+     * @returns {Promise<number>} 记录数
+     */
+    async countRecordsByType(type) {
+        const records = await this.getRecords();
+        return records.filter(record => record.type === type).length;
+    },
 
-        if (newRecords.length !== records.length) {
-            return this.saveRecords(newRecords);
+    /**
+     * 统计使用指定项目的记录数（不含回收站）
+     * @param {string} project - 项目名称
+     * @returns {Promise<number>} 记录数
+     */
+    async countRecordsByProject(project) {
+        const records = await this.getRecords();
+        return records.filter(record => record.project === project).length;
+    },
+
+    /**
+     * 统计带有指定标签的记录数（不含回收站）
+     * @param {string} tag - 标签
+     * @returns {Promise<number>} 记录数
+     */
+    async countRecordsByTag(tag) {
+        const records = await this.getRecords();
+        return records.filter(record => (record.tags || []).includes(tag)).length;
+    },
+
+    /**
+     * 将使用指定类型的记录改为另一个类型，用于重命名、合并和删除类型
+     * @param {Array<string>} fromTypes - 原类型名称
+     * @param {string} toType - 新类型名称
+     * @returns {Promise<number>} 修改的记录数（不含回收站）
+     */
+    reassignRecordType(fromTypes, toType) {
+        return this.remapRecords(record => {
+            if (!fromTypes.includes(record.type)) return record;
+            return { ...record, type: toType };
+        });
+    },
+
+    /**
+     * 将使用指定项目的记录改为另一个项目，用于重命名和删除项目
+     * @param {string} fromProject - 原项目名称
+     * @param {string} toProject - 新项目名称，删除项目时为空字符串
+     * @returns {Promise<number>} 修改的记录数（不含回收站）
+     */
+    reassignRecordProject(fromProject, toProject) {
+        return this.remapRecords(record => {
+            if (record.project !== fromProject) return record;
+            return { ...record, project: toProject };
+        });
+    },
+
+    /**
+     * 修改记录中的标签，用于重命名和删除标签
+     * @param {string} fromTag - 原标签
+     * @param {string} toTag - 新标签，删除标签时为空字符串
+     * @returns {Promise<number>} 修改的记录数（不含回收站）
+     */
+    renameRecordTag(fromTag, toTag) {
+        return this.remapRecords(record => {
+            if (!(record.tags || []).includes(fromTag)) return record;
+            return { ...record, tags: Projects.normalizeTags(record.tags.map(tag => (tag === fromTag ? toTag : tag))) };
+        });
+    },
+
+    /**
+     * 批量修改记录，回收站中的记录一并修改，恢复后与设置一致；批量修改不写入编辑历史
+     * @param {Function} transform - 接收记录，返回修改后的新记录，无需修改时返回原记录
+     * @returns {Promise<number>} 修改的记录数（不含回收站）
+     */
+    remapRecords(transform) {
+        return this.enqueue(async () => {
+            const [records, trash] = await Promise.all([this.getRecords(), this.getTrash()]);
+            let count = 0;
+            const updatedRecords = records.map(record => {
+                const updated = transform(record);
+                if (updated !== record) count++;
+                return updated;
+            });
+            await this.write({
+                [this.STORAGE_KEYS.RECORDS]: updatedRecords,
+                [this.STORAGE_KEYS.TRASH]: trash.map(transform)
+            });
+            return count;
+        });
+    },
+
+    /**
+     * 将记录移入回收站，与剩余记录一次写入
+     * @param {Array<Object>} removed - 被删除的记录
+     * @param {Array<Object>} remaining - 剩余记录
+     * @returns {Promise<boolean>}
+     */
+    async moveToTrash(removed, remaining) {
+        const trash = await this.getTrash();
+        const deletedAt = Date.now();
+        return this.write({
+            [this.STORAGE_KEYS.RECORDS]: remaining,
+            [this.STORAGE_KEYS.TRASH]: trash.concat(removed.map(record => ({ ...record, deletedAt })))
+        });
+    },
+
+    /**
+     * 获取回收站中的记录
+     * @returns {Promise<Array<Object>>} 记录数组，每条带有 deletedAt 删除时间
+     */
+    async getTrash() {
+        try {
+            const result = await this.read(this.STORAGE_KEYS.TRASH);
+            return result[this.STORAGE_KEYS.TRASH] || [];
+        } catch (error) {
+            console.error('获取回收站失败:', error);
+            return [];
         }
-        return false;
+    },
+
+    /**
+     * 从回收站恢复记录，ID已被占用时分配新ID
+     * @param {Array<number>} ids - 记录ID数组
+     * @returns {Promise<Array<Object>>} 恢复的记录
+     */
+    restoreFromTrash(ids) {
+        return this.enqueue(async () => {
+            const [records, trash] = await Promise.all([this.getRecords(), this.getTrash()]);
+            const usedIds = new Set(records.map(record => record.id));
+            let nextId = Date.now();
+            const restored = trash
+                .filter(record => ids.includes(record.id))
+                .map(({ deletedAt, ...record }) => {
+                    if (usedIds.has(record.id)) {
+                        while (usedIds.has(nextId)) nextId++;
+                        record.id = nextId;
+                    }
+                    usedIds.add(record.id);
+                    return record;
+                });
+            if (!restored.length) return [];
+
+            await this.write({
+                [this.STORAGE_KEYS.RECORDS]: records.concat(restored),
+                [this.STORAGE_KEYS.TRASH]: trash.filter(record => !ids.includes(record.id))
+            });
+            return restored;
+        });
+    },
+
+    /**
+     * 从回收站永久删除记录
+     * @param {Array<number>} [ids] - 记录ID数组，省略时清空回收站
+     * @returns {Promise<boolean>}
+     */
+    purgeTrash(ids) {
+        return this.enqueue(async () => {
+            const trash = ids ? (await this.getTrash()).filter(record => !ids.includes(record.id)) : [];
+            return this.write({ [this.STORAGE_KEYS.TRASH]: trash });
+        });
+    },
+
+    /**
+     * 永久删除超过保留天数的回收站记录
+     * @returns {Promise<boolean>} 是否有记录被删除
+     */
+    purgeExpiredTrash() {
+        return this.enqueue(async () => {
+            const settings = await this.getSettings();
+            const days = Number(settings.trashRetentionDays ?? this.DEFAULT_SETTINGS.trashRetentionDays);
+            const threshold = Date.now() - Math.max(1, days || 1) * 24 * 60 * 60 * 1000;
+            const trash = await this.getTrash();
+            const kept = trash.filter(record => record.deletedAt >= threshold);
+            if (kept.length === trash.length) return false;
+            await this.write({ [this.STORAGE_KEYS.TRASH]: kept });
+            return true;
+        });
+    },
+
+    /**
+     * 获取所有任务
+     * @returns {Promise<Array>} 任务数组，格式见 tasks.js
+     */
+    async getTasks() {
+        try {
+            const result = await this.read(this.STORAGE_KEYS.TASKS);
+            return result[this.STORAGE_KEYS.TASKS] || [];
+        } catch (error) {
+            console.error('获取任务失败:', error);
+            return [];
+        }
+    },
+
+    /**
+     * 保存任务
+     * @param {Array} tasks - 任务数组
+     * @returns {Promise<boolean>}
+     */
+    async saveTasks(tasks) {
+        try {
+            return await this.write({ [this.STORAGE_KEYS.TASKS]: tasks });
+        } catch (error) {
+            console.error('保存任务失败:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * 添加任务
+     * @param {Object} task - 任务，由 Tasks.create 创建
+     * @returns {Promise<Object>} 添加的任务
+     */
+    addTask(task) {
+        return this.enqueue(async () => {
+            const tasks = await this.getTasks();
+            tasks.push(task);
+            await this.saveTasks(tasks);
+            return task;
+        });
+    },
+
+    /**
+     * 更新任务
+     * @param {string} id - 任务ID
+     * @param {Object} updates - 要更新的字段
+     * @returns {Promise<boolean>} 更新是否成功
+     */
+    updateTask(id, updates) {
+        return this.enqueue(async () => {
+            const tasks = await this.getTasks();
+            const index = tasks.findIndex(task => task.id === id);
+            if (index === -1) return false;
+            tasks[index] = { ...tasks[index], ...updates, id };
+            return this.saveTasks(tasks);
+        });
+    },
+
+    /**
+     * 删除任务，已关联的记录保留任务ID但不再统计到任务中
+     * @param {string} id - 任务ID
+     * @returns {Promise<boolean>} 删除是否成功
+     */
+    deleteTask(id) {
+        return this.enqueue(async () => {
+            const tasks = await this.getTasks();
+            const remaining = tasks.filter(task => task.id !== id);
+            if (remaining.length === tasks.length) return false;
+            return this.saveTasks(remaining);
+        });
+    },
+
+    /**
+     * 将使用指定类型的任务改为另一个类型，用于重命名、合并和删除类型
+     * @param {Array<string>} fromTypes - 原类型名称
+     * @param {string} toType - 新类型名称
+     * @returns {Promise<boolean>}
+     */
+    reassignTaskType(fromTypes, toType) {
+        return this.enqueue(async () => {
+            const tasks = await this.getTasks();
+            if (!tasks.some(task => fromTypes.includes(task.type))) return true;
+            return this.saveTasks(tasks.map(task => (fromTypes.includes(task.type) ? { ...task, type: toType } : task)));
+        });
+    },
+
+    /**
+     * 汇总各任务关联记录的实际用时（不含回收站）
+     * @returns {Promise<Object>} {任务ID: 分钟数}
+     */
+    async getTaskActualMinutes() {
+        const records = await this.getRecords();
+        return records.reduce((totals, record) => {
+            if (record.taskId) {
+                totals[record.taskId] = (totals[record.taskId] || 0) + (Number(record.duration) || 0);
+            }
+            return totals;
+        }, {});
     },
 
     /**
      * 保存用户设置
      * @param {Object} settings - 设置对象
+     * @returns {Promise<boolean>}
      */
-    saveSettings(settings) {
-        return new Promise((resolve, reject) => {
-            if (!chrome || !chrome.storage) {
-                reject('Storage API unavailable');
-                return;
-            }
-            try {
-                localStorage.setItem(this.STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-                resolve(true);
-            } catch (error) {
-                console.error('保存设置失败:', error);
-                reject(error);
-            }
-        });
+    async saveSettings(settings) {
+        try {
+            return await this.write({ [this.STORAGE_KEYS.SETTINGS]: settings });
+        } catch (error) {
+            console.error('保存设置失败:', error);
+            throw error;
+        }
     },
 
     /**
      * 获取用户设置
-     * @returns {Object} 设置对象
+     * @returns {Promise<Object>} 设置对象
      */
-    getSettings() {
-        if (!chrome || !chrome.storage) return Promise.reject('Storage API unavailable');
+    async getSettings() {
         try {
-            const settings = localStorage.getItem(this.STORAGE_KEYS.SETTINGS);
-            return settings ? JSON.parse(settings) : {};
+            const result = await this.read(this.STORAGE_KEYS.SETTINGS);
+            const settings = result[this.STORAGE_KEYS.SETTINGS] || {};
+            // 恢复的旧备份等来源可能仍是字符串形式的选择类型，或带有无效的颜色和图标
+            if (Array.isArray(settings.workTypes)) {
+                settings.workTypes = WorkTypes.normalize(settings.workTypes);
+            }
+            if (Array.isArray(settings.projects)) {
+                settings.projects = Projects.normalize(settings.projects);
+            }
+            return settings;
         } catch (error) {
             console.error('获取设置失败:', error);
             return {};
         }
     },
 
+    /**
+     * 合并更新设置：在写入队列中重新读取已保存的设置，只覆盖传入的顶层字段
+     * 避免页面用打开时读取的旧设置覆盖弹窗或后台之后修改过的字段
+     * @param {Object} patch - 要更新的字段
+     * @returns {Promise<Object>} 合并后的设置
+     */
+    updateSettings(patch) {
+        return this.enqueue(async () => {
+            const settings = { ...await this.getSettings(), ...patch };
+            await this.saveSettings(settings);
+            return settings;
+        });
+    },
+
     /**
      * 更新特定设置项
      * @param {string} path - 设置路径，如 'features.timer'
      * @param {any} value - 新值
-     * @returns {boolean} 更新是否成功
+     * @returns {Promise<boolean>} 更新是否成功
      */
     updateSetting(path, value) {
-        const settings = this.getSettings();
-        const pathParts = path.split('.');
-        let current = settings;
-
-        // 遍历路径设置值
-        for (let i = 0; i < pathParts.length - 1; i++) {
-            if (!current[pathParts[i]]) {
-                current[pathParts[i]] = {};
+        return this.enqueue(async () => {
+            const settings = await this.getSettings();
+            const pathParts = path.split('.');
+            let current = settings;
+
+            // 遍历路径设置值
+            for (let i = 0; i < pathParts.length - 1; i++) {
+                if (!current[pathParts[i]]) {
+                    current[pathParts[i]] = {};
+                }
+                current = current[pathParts[i]];
             }
-            current = current[pathParts[i]];
-        }
 
-        current[pathParts[pathParts.length - 1]] = value;
-        return this.saveSettings(settings);
+            current[pathParts[pathParts.length - 1]] = value;
+            return this.saveSettings(settings);
+        });
     },
 
     /**
      * 保存当前计时器状态
      * @param {Object} timerState - 计时器状态对象
-     * 包含: isRunning, startTime, elapsedTime
+     * @returns {Promise<boolean>}
      */
-    saveCurrentTimer(timerState) {
-        if (!chrome || !chrome.storage) return Promise.reject('Storage API unavailable');
+    async saveCurrentTimer(timerState) {
         try {
-            localStorage.setItem(this.STORAGE_KEYS.CURRENT_TIMER, JSON.stringify(timerState));
-            return true;
+            return await this.write({ [this.STORAGE_KEYS.CURRENT_TIMER]: timerState });
         } catch (error) {
             console.error('保存计时器状态失败:', error);
             return false;
@@ -187,13 +746,12 @@ const StorageManager = {
 
     /**
      * 获取当前计时器状态
-     * @returns {Object|null} 计时器状态对象或null
+     * @returns {Promise<Object|null>} 计时器状态对象或null
      */
-    getCurrentTimer() {
-        if (!chrome || !chrome.storage) return Promise.reject('Storage API unavailable');
+    async getCurrentTimer() {
         try {
-            const timerState = localStorage.getItem(this.STORAGE_KEYS.CURRENT_TIMER);
-            return timerState ? JSON.parse(timerState) : null;
+            const result = await this.read(this.STORAGE_KEYS.CURRENT_TIMER);
+            return result[this.STORAGE_KEYS.CURRENT_TIMER] || null;
         } catch (error) {
             console.error('获取计时器状态失败:', error);
             return null;
@@ -202,79 +760,306 @@ const StorageManager = {
 
     /**
      * 清除当前计时器状态
+     * @returns {Promise<boolean>}
      */
-    clearCurrentTimer() {
-        return new Promise((resolve, reject) => {
-            if (!chrome || !chrome.storage) {
-                reject('Storage API unavailable');
-                return;
-            }
-            try {
-                localStorage.removeItem(this.STORAGE_KEYS.CURRENT_TIMER);
-                resolve(true);
-            } catch (error) {
-                console.error('清除计时器状态失败:', error);
-                reject(error);
-            }
+    async clearCurrentTimer() {
+        if (!this.isAvailable()) throw 'Storage API unavailable';
+        try {
+            await chrome.storage.local.remove(this.STORAGE_KEYS.CURRENT_TIMER);
+            return true;
+        } catch (error) {
+            console.error('清除计时器状态失败:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * 获取记录的起止时间戳
+     * 新记录直接保存 start/end；旧记录由日期和 HH:mm 推算，早于"一天开始于"的时间属于次日凌晨，结束早于开始视为跨夜
+     * @param {Object} record - 工作记录
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {{start: number, end: number}} 时间戳，无法解析时为NaN
+     */
+    getRecordInterval(record, dayStartHour = 0) {
+        if (record.start && record.end) {
+            return { start: record.start, end: record.end };
+        }
+        const start = DateUtils.toTimestamp(record.date, record.startTime, dayStartHour);
+        let end = DateUtils.toTimestamp(record.date, record.endTime, dayStartHour);
+        if (end <= start) {
+            end = DateUtils.toTimestamp(DateUtils.addDays(record.date, 1), record.endTime, dayStartHour);
+        }
+        return { start, end };
+    },
+
+    /**
+     * 编辑记录的起止时间后，保留原记录中已扣除的暂停和空闲时间
+     * 计时生成的记录 start/end 覆盖首尾片段，duration 只统计实际计时，直接按新起止计算会把暂停时间加回时长；
+     * 起止未变时沿用原有的时间戳和时长；改变时记录中没有暂停的具体位置，按原起止时间均匀分摊已扣除的时间，
+     * 每条新记录只扣除与原时段重叠部分对应的份额，缩短到原时段的一小段时不会扣成负数
+     * @param {Object} record - 编辑前的记录
+     * @param {Array<Object>} records - 按表单中的日期和时间生成的记录，跨夜时为多条
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Array<Object>} 调整时长后的记录
+     */
+    keepExcludedDuration(record, records, dayStartHour = 0) {
+        const [first, ...rest] = records;
+        const unchanged = !rest.length && first.date === record.date
+            && first.startTime === record.startTime && first.endTime === record.endTime;
+        const duration = parseInt(record.duration) || 0;
+        if (unchanged) {
+            return [{ ...first, start: record.start ?? first.start, end: record.end ?? first.end, duration }];
+        }
+
+        const { start, end } = this.getRecordInterval(record, dayStartHour);
+        if (isNaN(start) || isNaN(end) || end <= start) return records;
+        const excluded = Math.max(0, end - start - duration * 60 * 1000);
+        return records.map(item => {
+            const overlap = Math.max(0, Math.min(item.end, end) - Math.max(item.start, start));
+            const minutes = Math.round(excluded * overlap / (end - start) / (60 * 1000));
+            return { ...item, duration: Math.max(1, item.duration - minutes) };
         });
     },
 
     /**
-     * 按日期获取记录
+     * 计算记录落在指定日期内的分钟数
+     * 跨越一天开始时刻的记录按落在当天的时间比例分摊时长
+     * @param {Object} record - 工作记录
      * @param {string} date - 日期字符串
-     * @returns {Array} 该日期的记录数组
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {number} 分钟数
      */
-    getRecordsByDate(date) {
-        const records = this.getRecords();
-        return records.filter(record => record.date === date);
+    getMinutesOnDate(record, date, dayStartHour = 0) {
+        const duration = parseInt(record.duration || 0);
+        const { start, end } = this.getRecordInterval(record, dayStartHour);
+        if (isNaN(start) || isNaN(end) || end <= start) {
+            return record.date === date ? duration : 0;
+        }
+
+        const day = DateUtils.getDayRange(date, dayStartHour);
+        const overlap = Math.min(end, day.end) - Math.max(start, day.start);
+        if (overlap <= 0) return 0;
+        return Math.round(duration * overlap / (end - start));
+    },
+
+    /**
+     * 获取"一天开始于"设置
+     * @returns {Promise<number>} 小时
+     */
+    async getDayStartHour() {
+        const settings = await this.getSettings();
+        return parseInt(settings.dayStartHour) || 0;
+    },
+
+    /**
+     * 按日期获取记录，包含跨夜延续到该日期的记录
+     * @param {string} date - 日期字符串
+     * @returns {Promise<Array>} 该日期的记录数组
+     */
+    async getRecordsByDate(date) {
+        const [records, dayStartHour] = await Promise.all([this.getRecords(), this.getDayStartHour()]);
+        return records.filter(record => record.date === date || this.getMinutesOnDate(record, date, dayStartHour) > 0);
     },
 
     /**
      * 获取今日记录
-     * @returns {Array} 今日记录数组
+     * @returns {Promise<Array>} 今日记录数组
      */
-    getTodayRecords() {
-        const today = new Date().toISOString().split('T')[0];
-        return this.getRecordsByDate(today);
+    async getTodayRecords() {
+        return this.getRecordsByDate(DateUtils.getToday(await this.getDayStartHour()));
+    },
+
+    /**
+     * 获取日期范围内的记录，按记录所属日期判断
+     * @param {string} [startDate] - 开始日期（含），省略时不限
+     * @param {string} [endDate] - 结束日期（含），省略时不限
+     * @returns {Promise<Array>} 记录数组
+     */
+    async getRecordsInRange(startDate, endDate) {
+        const records = await this.getRecords();
+        return records.filter(record =>
+            (!startDate || record.date >= startDate) && (!endDate || record.date <= endDate));
+    },
+
+    /**
+     * 按日期和选择类型汇总日期范围内的分钟数，跨夜记录按实际时长拆分到各天
+     * @param {string} startDate - 开始日期（含）
+     * @param {string} endDate - 结束日期（含）
+     * @returns {Promise<Object>} {日期: {类型: 分钟数}}，范围内每天都有对应项
+     */
+    async getDailyTypeTotals(startDate, endDate) {
+        const [records, dayStartHour] = await Promise.all([
+            // 前一天开始的跨夜记录可能延续到范围内
+            this.getRecordsInRange(DateUtils.addDays(startDate, -1), endDate),
+            this.getDayStartHour()
+        ]);
+        const totals = {};
+        for (let date = startDate; date <= endDate; date = DateUtils.addDays(date, 1)) {
+            totals[date] = {};
+        }
+
+        records.forEach(record => {
+            [record.date, DateUtils.addDays(record.date, 1)].forEach(date => {
+                if (!totals[date]) return;
+                const minutes = this.getMinutesOnDate(record, date, dayStartHour);
+                if (!minutes) return;
+                const type = record.type || '未分类';
+                totals[date][type] = (totals[date][type] || 0) + minutes;
+            });
+        });
+        return totals;
+    },
+
+    /**
+     * 按项目和标签汇总日期范围内的分钟数，跨夜记录只计入范围内的部分
+     * 带多个标签的记录在每个标签下都计入全部时长
+     * @param {string} startDate - 开始日期（含）
+     * @param {string} endDate - 结束日期（含）
+     * @returns {Promise<{projects: Object, tags: Object}>} {项目: 分钟数} 和 {标签: 分钟数}，未指定的计入"无项目"/"无标签"
+     */
+    async getProjectTagTotals(startDate, endDate) {
+        const [records, dayStartHour] = await Promise.all([
+            this.getRecordsInRange(DateUtils.addDays(startDate, -1), endDate),
+            this.getDayStartHour()
+        ]);
+        const projects = {};
+        const tags = {};
+
+        records.forEach(record => {
+            const minutes = [record.date, DateUtils.addDays(record.date, 1)]
+                .filter(date => date >= startDate && date <= endDate)
+                .reduce((total, date) => total + this.getMinutesOnDate(record, date, dayStartHour), 0);
+            if (!minutes) return;
+
+            const project = record.project || Projects.NO_PROJECT;
+            projects[project] = (projects[project] || 0) + minutes;
+            const recordTags = record.tags && record.tags.length ? record.tags : [Projects.NO_TAG];
+            recordTags.forEach(tag => {
+                tags[tag] = (tags[tag] || 0) + minutes;
+            });
+        });
+        return { projects, tags };
+    },
+
+    /**
+     * 获取指定类型最近使用过的记录内容，用于计时内容的自动补全
+     * @param {string} type - 类型名称
+     * @param {Array<string>} exclude - 不作为建议的内容，如计时的默认内容
+     * @param {number} limit - 最多返回的条数
+     * @returns {Promise<Array<string>>} 去重后的内容，最近使用的在前
+     */
+    async getRecentContents(type, exclude = [], limit = 20) {
+        const records = await this.getRecords();
+        const dayStartHour = await this.getDayStartHour();
+        const contents = [];
+        records
+            .filter(record => record.type === type && record.content && !exclude.includes(record.content))
+            .sort((a, b) => this.getRecordInterval(b, dayStartHour).start - this.getRecordInterval(a, dayStartHour).start)
+            .some(record => {
+                if (!contents.includes(record.content)) contents.push(record.content);
+                return contents.length >= limit;
+            });
+        return contents;
+    },
+
+    /**
+     * 按条件查询记录，支持日期范围、类型、内容搜索、排序和分页
+     * @param {Object} query - 查询条件
+     * @param {string} [query.startDate] - 开始日期（含）
+     * @param {string} [query.endDate] - 结束日期（含）
+     * @param {Array<string>} [query.types] - 选择类型，为空时不限
+     * @param {Array<string>} [query.projects] - 项目名称，空字符串表示无项目，为空时不限
+     * @param {Array<string>} [query.tags] - 标签，记录带有其中任一标签即匹配，为空时不限
+     * @param {string} [query.search] - 搜索具体内容的关键字，不区分大小写
+     * @param {string} [query.sortBy] - 排序字段：start、duration、type、project、content
+     * @param {string} [query.sortOrder] - 排序方向：asc、desc
+     * @param {number} [query.page] - 页码（从1开始）
+     * @param {number} [query.pageSize] - 每页条数
+     * @returns {Promise<{records: Array, total: number, totalDuration: number, page: number, pageSize: number, totalPages: number}>} 当前页记录和汇总
+     */
+    async queryRecords(query = {}) {
+        const {
+            startDate, endDate, types = [], projects = [], tags = [], search = '',
+            sortBy = 'start', sortOrder = 'desc', page = 1, pageSize = 20
+        } = query;
+        const keyword = search.trim().toLowerCase();
+        const dayStartHour = await this.getDayStartHour();
+
+        const matched = (await this.getRecordsInRange(startDate, endDate)).filter(record =>
+            (!types.length || types.includes(record.type)) &&
+            (!projects.length || projects.includes(record.project || '')) &&
+            (!tags.length || (record.tags || []).some(tag => tags.includes(tag))) &&
+            (!keyword || String(record.content || '').toLowerCase().includes(keyword)));
+
+        const getValue = {
+            start: record => this.getRecordInterval(record, dayStartHour).start,
+            duration: record => Number(record.duration) || 0,
+            type: record => record.type || '',
+            project: record => record.project || '',
+            content: record => record.content || ''
+        }[sortBy] || (record => this.getRecordInterval(record, dayStartHour).start);
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        matched.sort((a, b) => {
+            const valueA = getValue(a);
+            const valueB = getValue(b);
+            const result = typeof valueA === 'string' ? valueA.localeCompare(valueB, 'zh-CN') : valueA - valueB;
+            return result * direction;
+        });
+
+        const totalPages = Math.max(1, Math.ceil(matched.length / pageSize));
+        const currentPage = Math.min(Math.max(1, page), totalPages);
+        return {
+            records: matched.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+            total: matched.length,
+            totalDuration: matched.reduce((total, record) => total + (Number(record.duration) || 0), 0),
+            page: currentPage,
+            pageSize,
+            totalPages
+        };
     },
 
     /**
      * 统计指定日期的总工作时间
      * @param {string} date - 日期字符串
-     * @returns {number} 总分钟数
+     * @returns {Promise<number>} 总分钟数
      */
-    getTotalTimeByDate(date) {
-        const records = this.getRecordsByDate(date);
-        return records.reduce((total, record) => total + parseInt(record.duration || 0), 0);
+    async getTotalTimeByDate(date) {
+        const [records, dayStartHour] = await Promise.all([this.getRecordsByDate(date), this.getDayStartHour()]);
+        return records.reduce((total, record) => total + this.getMinutesOnDate(record, date, dayStartHour), 0);
     },
 
     /**
-     * 统计指定日期除生活外的总用时
+     * 统计指定日期计入有效用时的类型的总用时
      * @param {string} date - 日期字符串
-     * @returns {number} 总分钟数
+     * @returns {Promise<number>} 总分钟数
      */
-    getWorkTimeExcludingLifeByDate(date) {
-        const records = this.getRecordsByDate(date);
-        return records
-            .filter(record => record.type !== '生活')
-            .reduce((total, record) => total + parseInt(record.duration || 0), 0);
-    }
-};
+    async getProductiveTimeByDate(date) {
+        const { workTypes } = await this.getSettings();
+        return this.getTimeByDateAndType(date, type => WorkTypes.isProductive(workTypes, type));
+    },
 
+    /**
+     * 统计指定日期可计费类型的总用时
+     * @param {string} date - 日期字符串
+     * @returns {Promise<number>} 总分钟数
+     */
+    async getBillableTimeByDate(date) {
+        const { workTypes } = await this.getSettings();
+        return this.getTimeByDateAndType(date, type => WorkTypes.isBillable(workTypes, type));
+    },
 
-// 初始化存储系统
-// 初始化存储系统
-if (typeof window !== 'undefined') {
-    // 仅在浏览器环境且DOM加载完成后初始化
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => StorageManager.init());
-    } else {
-        StorageManager.init();
+    /**
+     * 统计指定日期中符合条件的类型的总用时
+     * @param {string} date - 日期字符串
+     * @param {Function} predicate - 接收类型名称，返回是否统计
+     * @returns {Promise<number>} 总分钟数
+     */
+    async getTimeByDateAndType(date, predicate) {
+        const [records, dayStartHour] = await Promise.all([this.getRecordsByDate(date), this.getDayStartHour()]);
+        return records
+            .filter(record => predicate(record.type))
+            .reduce((total, record) => total + this.getMinutesOnDate(record, date, dayStartHour), 0);
     }
-} else if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onInstalled) {
-    // 在扩展背景环境中初始化
-    chrome.runtime.onInstalled.addListener(() => StorageManager.init());
-}
-  // 修正原代码中存在的语法错误后，导出 StorageManager
-  export default StorageManager;
+};
 
+export default StorageManager;
@@ -0,0 +1,70 @@
+/**
+ * 任务模块
+ * 任务保存在 StorageManager.STORAGE_KEYS.TASKS 中，可直接以任务开始计时，生成的记录通过 taskId 关联到任务
+ * 任务格式: { id, title, type, estimate: 预估分钟数（0为未预估）, dueDate: 截止日期键（空为不限）, done, createdAt, completedAt }
+ */
+const Tasks = {
+    /**
+     * 创建任务
+     * @param {Object} fields - 任务字段
+     * @returns {Object} 任务
+     */
+    create(fields = {}) {
+        return {
+            id: fields.id || `task_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            title: String(fields.title || '').trim(),
+            type: fields.type || '',
+            estimate: Math.max(0, parseInt(fields.estimate) || 0),
+            dueDate: fields.dueDate || '',
+            done: !!fields.done,
+            createdAt: fields.createdAt || Date.now(),
+            completedAt: fields.completedAt || null
+        };
+    },
+
+    /**
+     * 排序：未完成的在前并按截止日期排列（没有截止日期的在后），已完成的按完成时间倒序
+     * @param {Array<Object>} tasks - 任务
+     * @returns {Array<Object>} 排序后的新数组
+     */
+    sort(tasks) {
+        return tasks.slice().sort((a, b) => {
+            if (a.done !== b.done) return a.done ? 1 : -1;
+            if (a.done) return (b.completedAt || 0) - (a.completedAt || 0);
+            if (a.dueDate !== b.dueDate) {
+                if (!a.dueDate) return 1;
+                if (!b.dueDate) return -1;
+                return a.dueDate.localeCompare(b.dueDate);
+            }
+            return a.createdAt - b.createdAt;
+        });
+    },
+
+    /**
+     * 是否已过截止日期仍未完成
+     * @param {Object} task - 任务
+     * @param {string} today - 今天的日期键
+     * @returns {boolean}
+     */
+    isOverdue(task, today) {
+        return !task.done && !!task.dueDate && task.dueDate < today;
+    },
+
+    /**
+     * 计算实际用时相对预估的进度
+     * @param {Object} task - 任务
+     * @param {number} actual - 实际分钟数
+     * @returns {{actual: number, estimate: number, ratio: number, over: boolean}} 没有预估时 ratio 为0
+     */
+    getProgress(task, actual = 0) {
+        const estimate = task.estimate || 0;
+        return {
+            actual,
+            estimate,
+            ratio: estimate ? Math.min(1, actual / estimate) : 0,
+            over: estimate > 0 && actual > estimate
+        };
+    }
+};
+
+export default Tasks;
@@ -0,0 +1,151 @@
+import StorageManager from './storage.js';
+import DateUtils from './dateUtils.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * 时间线模块
+ * 计算一天内记录的纵向布局：重叠记录并排显示，记录之间未记录的空档单独标出
+ * 并根据拖动记录边缘后的时间生成记录的更新字段
+ */
+const Timeline = {
+    // 短于该分钟数的空档不提示
+    MIN_GAP_MINUTES: 5,
+
+    // 拖动调整时间时吸附的间隔（分钟）
+    SNAP_MINUTES: 5,
+
+    // 手动输入的时间只精确到分钟，重叠不超过该分钟数的记录视为首尾相接
+    OVERLAP_TOLERANCE_MINUTES: 1,
+
+    /**
+     * 计算一天的时间线布局
+     * @param {Array<Object>} records - 当天的记录
+     * @param {{start: number, end: number}} range - 当天的起止时间戳
+     * @param {Array<{start: number, end: number}>} busy - 不在记录中但已占用的时段，如进行中的计时
+     * @param {number} dayStartHour - 一天开始的小时，用于推算旧记录的起止时间
+     * @returns {{start: number, end: number, blocks: Array<Object>, gaps: Array<{start: number, end: number}>}|null}
+     *          start/end 为按整点取整的显示范围；记录块格式 { record, start, end, lane, lanes, overlap }，
+     *          lane 为并排显示的列序号，lanes 为所在重叠组的列数；没有任何记录时为null
+     */
+    layout(records, range, busy = [], dayStartHour = 0) {
+        const blocks = records
+            .map(record => ({ record, ...this.clamp(StorageManager.getRecordInterval(record, dayStartHour), range) }))
+            .filter(block => block.end > block.start)
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+        const occupied = busy
+            .map(interval => this.clamp(interval, range))
+            .filter(interval => interval.end > interval.start);
+        if (!blocks.length && !occupied.length) return null;
+
+        this.assignLanes(blocks);
+
+        const covered = [...blocks, ...occupied].sort((a, b) => a.start - b.start);
+        const start = Math.max(range.start, Math.floor(covered[0].start / HOUR) * HOUR);
+        const end = Math.min(range.end, Math.ceil(Math.max(...covered.map(item => item.end)) / HOUR) * HOUR);
+        return { start, end, blocks, gaps: this.findGaps(covered) };
+    },
+
+    /**
+     * 将时段限制在当天范围内
+     * @param {{start: number, end: number}} interval - 时段
+     * @param {{start: number, end: number}} range - 当天的起止时间戳
+     * @returns {{start: number, end: number}} 无法解析的时段起止均为0
+     */
+    clamp(interval, range) {
+        if (isNaN(interval.start) || isNaN(interval.end)) return { start: 0, end: 0 };
+        return { start: Math.max(interval.start, range.start), end: Math.min(interval.end, range.end) };
+    },
+
+    /**
+     * 为按开始时间排序的记录块分配并排显示的列
+     * 互相重叠（含间接重叠）的记录组成一组，组内记录都标记为重叠
+     * @param {Array<Object>} blocks - 记录块，会直接写入 lane、lanes 和 overlap
+     */
+    assignLanes(blocks) {
+        const tolerance = this.OVERLAP_TOLERANCE_MINUTES * MINUTE;
+        let group = [];
+        let laneEnds = [];
+        let groupEnd = -Infinity;
+
+        const closeGroup = () => {
+            group.forEach(block => {
+                block.lanes = laneEnds.length;
+                block.overlap = group.length > 1;
+            });
+            group = [];
+            laneEnds = [];
+        };
+
+        blocks.forEach(block => {
+            if (block.start >= groupEnd - tolerance) closeGroup();
+            let lane = laneEnds.findIndex(laneEnd => laneEnd - tolerance <= block.start);
+            if (lane === -1) lane = laneEnds.length;
+            laneEnds[lane] = block.end;
+            block.lane = lane;
+            group.push(block);
+            groupEnd = group.length === 1 ? block.end : Math.max(groupEnd, block.end);
+        });
+        closeGroup();
+    },
+
+    /**
+     * 找出已占用时段之间未记录的空档，只统计第一段开始到最后一段结束之间
+     * @param {Array<{start: number, end: number}>} covered - 按开始时间排序的已占用时段
+     * @returns {Array<{start: number, end: number}>} 空档
+     */
+    findGaps(covered) {
+        const gaps = [];
+        let coveredEnd = covered[0].end;
+        covered.slice(1).forEach(interval => {
+            if (interval.start - coveredEnd >= this.MIN_GAP_MINUTES * MINUTE) {
+                gaps.push({ start: coveredEnd, end: interval.start });
+            }
+            coveredEnd = Math.max(coveredEnd, interval.end);
+        });
+        return gaps;
+    },
+
+    /**
+     * 计算拖动记录边缘后的时间：吸附到整数间隔，不越过当天范围，且记录至少保留一分钟
+     * @param {Object} block - 记录块
+     * @param {string} edge - 拖动的边缘：start 或 end
+     * @param {number} time - 拖动到的时间戳
+     * @param {{start: number, end: number}} range - 当天的起止时间戳
+     * @returns {number} 新的时间戳
+     */
+    moveEdge(block, edge, time, range) {
+        const snap = this.SNAP_MINUTES * MINUTE;
+        const snapped = Math.round(time / snap) * snap;
+        if (edge === 'start') {
+            return Math.min(Math.max(snapped, range.start), block.end - MINUTE);
+        }
+        return Math.max(Math.min(snapped, range.end), block.start + MINUTE);
+    },
+
+    /**
+     * 生成调整记录起止时间后的更新字段
+     * 时长按起止跨度的变化增减，保留计时中暂停和空闲已扣除的部分；所属日期按新的开始时间重新计算
+     * @param {Object} record - 工作记录
+     * @param {string} edge - 调整的边缘：start 或 end
+     * @param {number} time - 新的时间戳
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Object} 传给 StorageManager.updateRecord 的字段
+     */
+    getUpdates(record, edge, time, dayStartHour = 0) {
+        const previous = StorageManager.getRecordInterval(record, dayStartHour);
+        const interval = { ...previous, [edge]: time };
+        const spanChange = (interval.end - interval.start) - (previous.end - previous.start);
+        return {
+            date: DateUtils.toDateKey(interval.start, dayStartHour),
+            start: interval.start,
+            end: interval.end,
+            startTime: DateUtils.formatTime(interval.start),
+            endTime: DateUtils.formatTime(interval.end),
+            duration: Math.max(1, Math.round(((Number(record.duration) || 0) * MINUTE + spanChange) / MINUTE))
+        };
+    }
+};
+
+export default Timeline;
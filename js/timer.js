@@ -0,0 +1,358 @@
+import DateUtils from './dateUtils.js';
+
+/**
+ * 计时器状态机
+ * 由后台服务独占维护，弹窗只发送命令并渲染快照
+ * 状态流转: idle → running ⇄ paused → stopped
+ * 计时时长由各计时片段(segments)累加得出，不依赖任何页面中的副本
+ */
+const TimerEngine = {
+    // 计时器状态常量
+    STATUS: {
+        IDLE: 'idle',
+        RUNNING: 'running',
+        PAUSED: 'paused',
+        STOPPED: 'stopped'
+    },
+
+    // 计时时没有填写内容的记录使用的默认内容
+    DEFAULT_CONTENT: '计时工作',
+
+    /**
+     * 创建空闲状态
+     * @returns {Object} 计时器状态
+     */
+    createIdleState() {
+        return {
+            status: this.STATUS.IDLE,
+            type: null,
+            // 项目名称，未指定时为空字符串
+            project: '',
+            tags: [],
+            // 以任务开始计时时关联的任务ID
+            taskId: null,
+            // 计时中填写的记录内容，以任务开始时为任务名称
+            content: null,
+            segments: [],
+            startedAt: null,
+            endedAt: null,
+            // 番茄钟阶段信息，普通计时为null
+            pomodoro: null,
+            // 计时中检测到空闲的开始时间，恢复活动前为非null
+            idleStart: null,
+            // 等待用户处理（保留/丢弃/拆分）的空闲时段
+            idlePeriods: []
+        };
+    },
+
+    /**
+     * 规范化存储中的计时器状态，兼容旧版 {isRunning, startTime, elapsedTime} 格式
+     * @param {Object|null} raw - 存储中的状态
+     * @returns {Object} 计时器状态
+     */
+    normalize(raw) {
+        if (!raw) return this.createIdleState();
+        if (raw.status) return { ...this.createIdleState(), ...raw };
+
+        // 旧版格式：startTime 为已扣除暂停时长的虚拟开始时间
+        if (!raw.startTime) return this.createIdleState();
+        if (raw.isRunning) {
+            return {
+                ...this.createIdleState(),
+                status: this.STATUS.RUNNING,
+                segments: [{ start: raw.startTime, end: null }],
+                startedAt: raw.startTime
+            };
+        }
+        return {
+            ...this.createIdleState(),
+            status: this.STATUS.PAUSED,
+            segments: [{ start: raw.startTime, end: raw.startTime + (raw.elapsedTime || 0) }],
+            startedAt: raw.startTime
+        };
+    },
+
+    /**
+     * 开始新的计时
+     * @param {Object} state - 当前状态
+     * @param {Object} data - 计时数据，包含 type、project、tags，以任务开始时包含 taskId 和 content，番茄钟模式下包含 pomodoro 阶段信息
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 新状态
+     */
+    start(state, data, now) {
+        if (state.status === this.STATUS.RUNNING || state.status === this.STATUS.PAUSED) {
+            throw new Error('计时器已在进行中');
+        }
+        return {
+            ...this.createIdleState(),
+            status: this.STATUS.RUNNING,
+            type: (data && data.type) || null,
+            project: (data && data.project) || '',
+            tags: (data && Array.isArray(data.tags)) ? data.tags : [],
+            taskId: (data && data.taskId) || null,
+            content: (data && data.content) || null,
+            segments: [{ start: now, end: null }],
+            startedAt: now,
+            pomodoro: (data && data.pomodoro) || null
+        };
+    },
+
+    /**
+     * 暂停计时，关闭当前片段
+     * @param {Object} state - 当前状态
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 新状态
+     */
+    pause(state, now) {
+        if (state.status !== this.STATUS.RUNNING) {
+            throw new Error('计时器未在运行');
+        }
+        return {
+            ...state,
+            status: this.STATUS.PAUSED,
+            segments: this.closeSegments(state.segments, now)
+        };
+    },
+
+    /**
+     * 继续计时，开启新片段
+     * @param {Object} state - 当前状态
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 新状态
+     */
+    resume(state, now) {
+        if (state.status !== this.STATUS.PAUSED) {
+            throw new Error('计时器未处于暂停状态');
+        }
+        return {
+            ...state,
+            status: this.STATUS.RUNNING,
+            segments: state.segments.concat({ start: now, end: null })
+        };
+    },
+
+    /**
+     * 结束计时
+     * @param {Object} state - 当前状态
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 新状态
+     */
+    stop(state, now) {
+        if (state.status !== this.STATUS.RUNNING && state.status !== this.STATUS.PAUSED) {
+            throw new Error('没有进行中的计时');
+        }
+        return {
+            ...state,
+            status: this.STATUS.STOPPED,
+            segments: this.closeSegments(state.segments, now),
+            endedAt: now
+        };
+    },
+
+    /**
+     * 更新计时附带信息（选择类型、项目、标签、内容）
+     * 项目和内容可更新为空字符串表示清空，未传入的字段保持不变
+     * @param {Object} state - 当前状态
+     * @param {Object} updates - 要更新的字段
+     * @returns {Object} 新状态
+     */
+    update(state, updates) {
+        const next = { ...state };
+        if (updates && updates.type) next.type = updates.type;
+        if (updates && typeof updates.project === 'string') next.project = updates.project;
+        if (updates && Array.isArray(updates.tags)) next.tags = updates.tags;
+        if (updates && typeof updates.content === 'string') next.content = updates.content.trim();
+        return next;
+    },
+
+    /**
+     * 标记计时中开始空闲
+     * @param {Object} state - 当前状态
+     * @param {number} since - 空闲开始时间戳
+     * @returns {Object} 新状态
+     */
+    markIdle(state, since) {
+        if (state.status !== this.STATUS.RUNNING || state.idleStart) return state;
+        return { ...state, idleStart: Math.max(since, state.startedAt) };
+    },
+
+    /**
+     * 标记恢复活动，将空闲时段加入待处理列表
+     * @param {Object} state - 当前状态
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 新状态
+     */
+    markActive(state, now) {
+        if (!state.idleStart) return state;
+        const period = { start: state.idleStart, end: now };
+        const next = { ...state, idleStart: null };
+        // 空闲期间已暂停的部分不计入，空闲时段内没有计时则无需处理
+        if (this.intersect(state.segments, period.start, period.end).length) {
+            next.idlePeriods = (state.idlePeriods || []).concat(period);
+        }
+        return next;
+    },
+
+    /**
+     * 从计时中移除指定时段
+     * @param {Object} state - 当前状态
+     * @param {number} start - 开始时间戳
+     * @param {number} end - 结束时间戳
+     * @returns {{state: Object, removed: Array}} 新状态和被移除的片段
+     */
+    removeInterval(state, start, end) {
+        const segments = [];
+        state.segments.forEach(segment => {
+            const segmentEnd = segment.end === null ? Infinity : segment.end;
+            if (segmentEnd <= start || segment.start >= end) {
+                segments.push(segment);
+                return;
+            }
+            if (segment.start < start) {
+                segments.push({ start: segment.start, end: start });
+            }
+            if (segmentEnd > end) {
+                segments.push({ start: end, end: segment.end });
+            }
+        });
+        return {
+            state: { ...state, segments },
+            removed: this.intersect(state.segments, start, end)
+        };
+    },
+
+    /**
+     * 计算片段与时段的交集
+     * @param {Array} segments - 计时片段
+     * @param {number} start - 开始时间戳
+     * @param {number} end - 结束时间戳
+     * @returns {Array} 交集片段（均已结束）
+     */
+    intersect(segments, start, end) {
+        return segments
+            .map(segment => ({
+                start: Math.max(segment.start, start),
+                end: Math.min(segment.end === null ? end : segment.end, end)
+            }))
+            .filter(segment => segment.end > segment.start);
+    },
+
+    /**
+     * 关闭未结束的片段
+     * @param {Array} segments - 计时片段
+     * @param {number} now - 当前时间戳
+     * @returns {Array} 新的片段数组
+     */
+    closeSegments(segments, now) {
+        return segments.map(segment => (segment.end === null ? { ...segment, end: now } : segment));
+    },
+
+    /**
+     * 计算累计计时毫秒数
+     * @param {Object} state - 当前状态
+     * @param {number} now - 当前时间戳
+     * @returns {number} 毫秒数
+     */
+    getElapsed(state, now) {
+        return (state.segments || []).reduce((total, segment) => {
+            const end = segment.end === null ? now : segment.end;
+            return total + Math.max(0, end - segment.start);
+        }, 0);
+    },
+
+    /**
+     * 是否存在进行中（运行或暂停）的计时
+     * @param {Object} state - 当前状态
+     * @returns {boolean}
+     */
+    isActive(state) {
+        return state.status === this.STATUS.RUNNING || state.status === this.STATUS.PAUSED;
+    },
+
+    /**
+     * 生成供页面渲染的状态快照
+     * @param {Object} state - 当前状态
+     * @param {number} now - 当前时间戳
+     * @returns {Object} 快照
+     */
+    snapshot(state, now) {
+        return {
+            ...state,
+            elapsed: this.getElapsed(state, now),
+            snapshotAt: now
+        };
+    },
+
+    /**
+     * 根据已结束的计时生成工作记录
+     * 使用计时中填写的内容（未填写时为默认内容），以任务开始的计时关联任务；跨越一天开始时刻的计时按日拆分为多条记录
+     * @param {Object} state - 已结束的计时状态
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Array<Object>} 工作记录数组（不含ID）
+     */
+    toRecords(state, dayStartHour = 0) {
+        return this.buildRecords(this.closeSegments(state.segments, state.endedAt), {
+            content: state.content || this.DEFAULT_CONTENT,
+            type: state.type,
+            project: state.project || '',
+            tags: state.tags || [],
+            taskId: state.taskId || null
+        }, dayStartHour);
+    },
+
+    /**
+     * 根据计时片段生成按日拆分的工作记录
+     * 每条记录保存完整的开始/结束时间戳，时长只统计当天实际计时的部分
+     * 不足半分钟、时长取整为0的部分不生成记录，避免计入记录数和平均值
+     * @param {Array} segments - 已结束的计时片段
+     * @param {Object} fields - 记录的其他字段，如 content、type
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Array<Object>} 工作记录数组（不含ID），按日期升序，全部不足半分钟时为空
+     */
+    buildRecords(segments, fields, dayStartHour = 0) {
+        return this.splitByDay(segments, dayStartHour).map(day => {
+            const start = day.segments[0].start;
+            const end = day.segments[day.segments.length - 1].end;
+            const durationMs = day.segments.reduce((total, segment) => total + segment.end - segment.start, 0);
+            return {
+                date: day.date,
+                startTime: DateUtils.formatTime(start),
+                endTime: DateUtils.formatTime(end),
+                start,
+                end,
+                duration: Math.round(durationMs / (1000 * 60)),
+                ...fields
+            };
+        }).filter(record => record.duration > 0);
+    },
+
+    /**
+     * 将计时片段在每天开始的时刻切开并按日分组
+     * @param {Array} segments - 已结束的计时片段
+     * @param {number} dayStartHour - 一天开始的小时
+     * @returns {Array<{date: string, segments: Array}>} 按日期升序的分组
+     */
+    splitByDay(segments, dayStartHour = 0) {
+        const days = [];
+        segments
+            .filter(segment => segment.end > segment.start)
+            .sort((a, b) => a.start - b.start)
+            .forEach(segment => {
+                let start = segment.start;
+                while (start < segment.end) {
+                    const end = Math.min(segment.end, DateUtils.getNextDayStart(start, dayStartHour));
+                    const date = DateUtils.toDateKey(start, dayStartHour);
+                    let day = days[days.length - 1];
+                    if (!day || day.date !== date) {
+                        day = { date, segments: [] };
+                        days.push(day);
+                    }
+                    day.segments.push({ start, end });
+                    start = end;
+                }
+            });
+        return days;
+    }
+};
+
+export default TimerEngine;
@@ -0,0 +1,143 @@
+import Charts from './charts.js';
+
+/**
+ * 选择类型模块
+ * 选择类型保存在设置的 workTypes 中，格式:
+ * { id, name, color, icon, productive: 是否计入有效用时, billable: 是否可计费 }
+ * 记录中仍按名称保存类型，统计时按名称查找对应的标记
+ */
+const WorkTypes = {
+    // 默认选择类型
+    DEFAULTS: [
+        { id: 'work', name: '工作', color: '#4285f4', icon: 'fa-briefcase', productive: true, billable: true },
+        { id: 'life', name: '生活', color: '#fbbc04', icon: 'fa-house', productive: false, billable: false },
+        { id: 'sport', name: '运动', color: '#34a853', icon: 'fa-person-running', productive: true, billable: false },
+        { id: 'study', name: '学习', color: '#9c27b0', icon: 'fa-book', productive: true, billable: false }
+    ],
+
+    // 可选图标（Font Awesome）
+    ICONS: [
+        'fa-briefcase', 'fa-house', 'fa-person-running', 'fa-book', 'fa-code', 'fa-users',
+        'fa-envelope', 'fa-phone', 'fa-pen', 'fa-utensils', 'fa-bed', 'fa-car', 'fa-gamepad', 'fa-music', 'fa-tag'
+    ],
+
+    /**
+     * 将设置中的选择类型统一为对象格式
+     * 旧版本保存的是名称字符串，迁移时沿用默认类型的配置；
+     * 其余类型计入有效用时，与旧版"除生活外"的统计一致；
+     * 颜色和图标会直接写入页面，备份或手动修改的数据中无效的值改用默认配置
+     * @param {Array<string|Object>} workTypes - 选择类型
+     * @returns {Array<Object>} 选择类型对象
+     */
+    normalize(workTypes) {
+        if (!Array.isArray(workTypes)) return this.DEFAULTS.map(type => ({ ...type }));
+
+        const result = [];
+        workTypes.forEach(item => {
+            const fields = typeof item === 'string' ? { name: item } : item;
+            const name = String((fields && fields.name) || '').trim();
+            if (!name || result.some(type => type.name === name)) return;
+
+            const preset = this.DEFAULTS.find(type => type.name === name);
+            const base = preset || this.create(name, result);
+            result.push({
+                id: fields.id || base.id,
+                name,
+                color: Charts.COLOR_PATTERN.test(fields.color) ? fields.color : base.color,
+                icon: this.ICONS.includes(fields.icon) ? fields.icon : base.icon,
+                productive: typeof fields.productive === 'boolean' ? fields.productive : base.productive,
+                billable: typeof fields.billable === 'boolean' ? fields.billable : base.billable
+            });
+        });
+        return result;
+    },
+
+    /**
+     * 是否还有未迁移的字符串类型
+     * @param {Array} workTypes - 选择类型
+     * @returns {boolean}
+     */
+    needsMigration(workTypes) {
+        return Array.isArray(workTypes) && workTypes.some(type => typeof type === 'string');
+    },
+
+    /**
+     * 创建新的选择类型，颜色优先选用调色板中未被占用的颜色
+     * @param {string} name - 类型名称
+     * @param {Array<Object>} existing - 已有的选择类型
+     * @returns {Object} 选择类型
+     */
+    create(name, existing = []) {
+        const used = existing.map(type => type.color);
+        return {
+            id: `type_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            color: Charts.PALETTE.find(color => !used.includes(color)) || Charts.PALETTE[existing.length % Charts.PALETTE.length],
+            icon: 'fa-tag',
+            productive: true,
+            billable: false
+        };
+    },
+
+    /**
+     * 获取类型名称列表
+     * @param {Array<Object>} workTypes - 选择类型
+     * @returns {Array<string>} 名称
+     */
+    getNames(workTypes) {
+        return this.normalize(workTypes).map(type => type.name);
+    },
+
+    /**
+     * 按名称查找选择类型
+     * @param {Array<Object>} workTypes - 选择类型
+     * @param {string} name - 类型名称
+     * @returns {Object|undefined}
+     */
+    find(workTypes, name) {
+        return this.normalize(workTypes).find(type => type.name === name);
+    },
+
+    /**
+     * 类型是否计入有效用时，已删除的类型按计入处理
+     * @param {Array<Object>} workTypes - 选择类型
+     * @param {string} name - 类型名称
+     * @returns {boolean}
+     */
+    isProductive(workTypes, name) {
+        const type = this.find(workTypes, name);
+        return type ? type.productive : true;
+    },
+
+    /**
+     * 类型是否可计费，已删除的类型按不可计费处理
+     * @param {Array<Object>} workTypes - 选择类型
+     * @param {string} name - 类型名称
+     * @returns {boolean}
+     */
+    isBillable(workTypes, name) {
+        const type = this.find(workTypes, name);
+        return type ? type.billable : false;
+    },
+
+    /**
+     * 获取类型颜色，设置中没有的类型使用调色板中未被占用的颜色
+     * @param {Array<Object>} workTypes - 选择类型
+     * @param {Array<string>} names - 需要颜色的类型名称
+     * @returns {Object} 名称到颜色的映射
+     */
+    getColors(workTypes, names) {
+        const types = this.normalize(workTypes);
+        const used = types.map(type => type.color);
+        const spare = Charts.PALETTE.filter(color => !used.includes(color));
+        let index = 0;
+
+        return names.reduce((colors, name) => {
+            const type = types.find(item => item.name === name);
+            colors[name] = type ? type.color : (spare[index++] || Charts.PALETTE[index % Charts.PALETTE.length]);
+            return colors;
+        }, {});
+    }
+};
+
+export default WorkTypes;
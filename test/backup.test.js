@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// backup.js 通过 StorageManager 读写 chrome.storage，这里提供内存中的替代实现
+const data = {};
+globalThis.chrome = {
+    storage: {
+        local: {
+            async get(keys) {
+                const list = Array.isArray(keys) ? keys : [keys];
+                return Object.fromEntries(list.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+            },
+            async set(items) {
+                Object.assign(data, structuredClone(items));
+            }
+        }
+    },
+    runtime: { sendMessage() {} }
+};
+
+const { default: Backup } = await import('../js/backup.js');
+const { default: StorageManager } = await import('../js/storage.js');
+
+const { RECORDS, SETTINGS, TRASH, TASKS } = StorageManager.STORAGE_KEYS;
+
+beforeEach(() => {
+    Object.keys(data).forEach(key => delete data[key]);
+    data[RECORDS] = [{ id: 1, date: '2026-10-18', startTime: '09:00', endTime: '10:00', duration: 60, type: '工作', content: '当前' }];
+    data[SETTINGS] = {
+        ...StorageManager.DEFAULT_SETTINGS,
+        dateFormat: 'yyyy/MM/dd',
+        workTypes: [{ id: 'work', name: '工作', color: '#ea4335', icon: 'fa-code', productive: true, billable: true }]
+    };
+    data[TRASH] = [];
+    data[TASKS] = [];
+});
+
+test('没有标识的存储原始数据按版本0迁移，并按备份中的"一天开始于"补齐时间戳', () => {
+    const backup = Backup.parse(JSON.stringify({
+        [RECORDS]: [{ id: 5, date: '2026-10-19', startTime: '02:00', endTime: '03:00', duration: 60, type: '工作' }],
+        [SETTINGS]: { dayStartHour: 4 },
+        unrelated: true
+    }));
+    assert.equal(backup.version, Backup.VERSION);
+    assert.deepEqual(Object.keys(backup.data).sort(), [RECORDS, SETTINGS].sort());
+    const [record] = backup.data[RECORDS];
+    assert.equal(record.start, new Date(2026, 9, 20, 2, 0).getTime());
+    assert.equal(record.end, new Date(2026, 9, 20, 3, 0).getTime());
+});
+
+test('无法识别或来自更新版本的备份被拒绝', () => {
+    assert.throws(() => Backup.parse('not json'), /不是有效的JSON/);
+    assert.throws(() => Backup.parse(JSON.stringify({ foo: 1 })), /不是有效的备份文件/);
+    assert.throws(() => Backup.parse(JSON.stringify({ format: Backup.FORMAT, version: Backup.VERSION + 1, data: {} })), /更新的版本/);
+});
+
+test('合并恢复时保留已有记录和当前设置，按名称合并选择类型', async () => {
+    const backup = Backup.parse(JSON.stringify({
+        format: Backup.FORMAT,
+        version: Backup.VERSION,
+        data: {
+            [RECORDS]: [
+                { id: 1, date: '2026-10-18', startTime: '09:00', endTime: '10:00', duration: 60, type: '工作', content: '备份' },
+                { date: '2026-10-19', startTime: '14:00', endTime: '15:00', duration: 60, type: '阅读', content: '读书' }
+            ],
+            [SETTINGS]: {
+                dateFormat: 'dd.MM.yyyy',
+                workTypes: [
+                    { id: 'work', name: '工作', color: '#4285f4', icon: 'fa-briefcase' },
+                    { id: 'work', name: '阅读', color: 'red;x', icon: 'fa-book' }
+                ]
+            }
+        }
+    }));
+
+    const result = await Backup.restore(backup, Backup.MODES.MERGE);
+    assert.deepEqual(result, { records: 2, added: 1 });
+
+    const records = data[RECORDS];
+    assert.equal(records[0].content, '当前');
+    assert.notEqual(records[1].id, undefined);
+    assert.notEqual(records[1].id, 1);
+
+    const settings = data[SETTINGS];
+    assert.equal(settings.dateFormat, 'yyyy/MM/dd');
+    assert.deepEqual(settings.workTypes.map(type => [type.name, type.color]), [['工作', '#ea4335'], ['阅读', settings.workTypes[1].color]]);
+    assert.match(settings.workTypes[1].color, /^#[0-9a-f]{6}$/);
+    assert.notEqual(settings.workTypes[1].id, 'work');
+});
+
+test('覆盖恢复时以备份为准', async () => {
+    const backup = Backup.parse(JSON.stringify({
+        format: Backup.FORMAT,
+        version: Backup.VERSION,
+        data: {
+            [RECORDS]: [{ id: 9, date: '2026-10-19', startTime: '14:00', endTime: '15:00', duration: 60, type: '学习' }],
+            [SETTINGS]: { dateFormat: 'dd.MM.yyyy', projects: [{ id: 'site', name: '官网改版', color: 'url(x)' }] }
+        }
+    }));
+
+    const result = await Backup.restore(backup, Backup.MODES.REPLACE);
+    assert.deepEqual(result, { records: 1, added: 1 });
+    assert.deepEqual(data[RECORDS].map(record => record.id), [9]);
+    assert.equal(data[SETTINGS].dateFormat, 'dd.MM.yyyy');
+    assert.deepEqual(data[SETTINGS].workTypes, StorageManager.DEFAULT_SETTINGS.workTypes);
+    assert.match(data[SETTINGS].projects[0].color, /^#[0-9a-f]{6}$/);
+});
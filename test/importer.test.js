@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Importer from '../js/importer.js';
+
+const headers = ['日期', '开始时间', '结束时间', '时长(分钟)', '选择类型', '具体内容'];
+const mapping = Importer.autoMap(headers);
+
+test('按表头自动识别列映射', () => {
+    assert.deepEqual(mapping, { date: 0, startTime: 1, endTime: 2, duration: 3, type: 4, content: 5, project: -1, tags: -1 });
+});
+
+test('与已有记录或文件中前面的行起止时间和类型相同的行标记为重复', () => {
+    const existingRecords = [{ date: '2026-10-19', startTime: '09:00', endTime: '10:00', type: '工作' }];
+    const { items, newTypes } = Importer.buildPreview({
+        rows: [
+            ['2026-10-19', '09:00', '10:00', 60, '工作', '周会'],
+            ['2026/10/19', '10:00', '11:30', '', '阅读', '读书'],
+            ['2026-10-19', '10:00', '11:30', 90, '阅读', '读书'],
+            ['2026-10-19', '10:00', '11:30', 90, '工作', '写文档']
+        ],
+        mapping,
+        existingRecords,
+        workTypes: ['工作']
+    });
+    assert.deepEqual(items.map(item => item.duplicate), [true, false, true, false]);
+    assert.equal(items[1].record.duration, 90);
+    assert.deepEqual(newTypes, ['阅读']);
+});
+
+test('校验失败的行不参与重复检测', () => {
+    const { items } = Importer.buildPreview({
+        rows: [['2026-02-30', '09:00', '10:00', 60, '工作', ''], ['2026-10-19', '23:00', '01:00', '', '', '']],
+        mapping,
+        existingRecords: [],
+        workTypes: ['工作']
+    });
+    assert.deepEqual(items.map(item => item.errors), [['日期无效'], ['缺少选择类型']]);
+    assert.deepEqual(items.map(item => item.duplicate), [false, false]);
+});
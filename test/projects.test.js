@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Projects from '../js/projects.js';
+
+test('无效的项目颜色改用调色板中未被占用的颜色', () => {
+    const [first, second] = Projects.normalize([
+        { id: 'site', name: '官网改版', color: '#4285f4' },
+        { id: 'app', name: '客户端', color: '#fff;" onmouseover="x' }
+    ]);
+    assert.equal(first.color, '#4285f4');
+    assert.match(second.color, /^#[0-9a-f]{6}$/);
+    assert.notEqual(second.color, '#4285f4');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Reporter from '../js/reporter.js';
+import WorkTypes from '../js/workTypes.js';
+
+const settings = {
+    workTypes: WorkTypes.DEFAULTS,
+    projects: [{ id: 'site', name: '官网改版', client: '某某公司', color: '#4285f4' }]
+};
+
+const records = [
+    { id: 1, date: '2026-10-20', startTime: '09:00', endTime: '10:00', duration: 60, type: '工作', project: '官网改版', tags: ['会议', '远程'], content: '周会' },
+    { id: 2, date: '2026-10-19', startTime: '14:00', endTime: '16:00', duration: 120, type: '学习', project: '', tags: [], content: '读书' },
+    { id: 3, date: '2026-10-19', startTime: '09:00', endTime: '09:30', duration: 30, type: '工作', project: '官网改版', tags: ['会议'], content: '写文档' }
+];
+
+/**
+ * 读取汇总表中每个分组的名称、记录数和分钟数
+ * @param {string} html - 报告HTML
+ * @returns {Array<Array>} [名称, 记录数, 分钟数]
+ */
+function summaryRows(html) {
+    const rows = html.split('<tbody>')[1].split('</tbody>')[0];
+    return [...rows.matchAll(/<td>([^<]*)<\/td>\s*<td class="number">(\d+)<\/td>\s*<td class="number">(\d+)<\/td>/g)]
+        .map(match => [match[1], Number(match[2]), Number(match[3])]);
+}
+
+const build = (grouping, template = 'summary') => Reporter.build({ records, grouping, template, includeCharts: false, settings });
+
+test('按日分组时按日期先后排列', () => {
+    assert.deepEqual(summaryRows(build('day')), [['2026-10-19', 2, 150], ['2026-10-20', 1, 60]]);
+});
+
+test('按类型分组时按时长从多到少排列', () => {
+    assert.deepEqual(summaryRows(build('type')), [['学习', 1, 120], ['工作', 2, 90]]);
+});
+
+test('按项目分组时附带客户，没有项目的记录归入"无项目"', () => {
+    assert.deepEqual(summaryRows(build('project')), [['无项目', 1, 120], ['官网改版（某某公司）', 2, 90]]);
+});
+
+test('按标签分组时多标签记录计入每个标签并附上说明', () => {
+    const html = build('tag');
+    assert.deepEqual(summaryRows(html), [['无标签', 1, 120], ['会议', 2, 90], ['远程', 1, 60]]);
+    assert.match(html, /各分组合计可能大于总时长/);
+});
+
+test('账单只包含可计费类型，第一列按分组方式命名', () => {
+    const html = Reporter.build({ records, grouping: 'type', template: 'invoice', includeCharts: false, hourlyRate: 100, settings });
+    assert.match(html, /<th>类型<\/th>/);
+    assert.doesNotMatch(html, /<td>学习<\/td>/);
+    assert.match(html, /<td>工作<\/td>\s*<td class="number">1\.50<\/td>\s*<td class="number">¥100\.00<\/td>\s*<td class="number">¥150\.00<\/td>/);
+});
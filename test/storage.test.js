@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// storage.js 只在调用时访问 chrome.storage，这里提供内存中的替代实现
+const data = {};
+globalThis.chrome = {
+    storage: {
+        local: {
+            async get(keys) {
+                const list = Array.isArray(keys) ? keys : [keys];
+                return Object.fromEntries(list.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+            },
+            async set(items) {
+                Object.assign(data, structuredClone(items));
+            }
+        }
+    },
+    runtime: { sendMessage() {} }
+};
+
+// 浏览器中同源页面和后台服务共享同一组Web Locks，这里用按名称串联的Promise代替
+const locks = {};
+globalThis.navigator = {
+    locks: {
+        request(name, callback) {
+            const run = (locks[name] || Promise.resolve()).then(() => callback());
+            locks[name] = run.catch(() => {});
+            return run;
+        }
+    }
+};
+
+const { default: StorageManager } = await import('../js/storage.js');
+const { default: TimerEngine } = await import('../js/timer.js');
+
+const at = (hours, minutes, seconds = 0) => new Date(2026, 9, 19, hours, minutes, seconds).getTime();
+
+// 09:00:20 开始，09:30 至 09:45 暂停，10:00:40 结束，实际计时45分钟
+const pausedRecord = {
+    id: 1,
+    ...TimerEngine.buildRecords([
+        { start: at(9, 0, 20), end: at(9, 30) },
+        { start: at(9, 45), end: at(10, 0, 40) }
+    ], { content: '写文档', type: '工作' })[0]
+};
+
+test('只修改内容时保留计时记录的时长和时间戳', () => {
+    const built = TimerEngine.buildRecords([{ start: at(9, 0), end: at(10, 0) }], { content: '写周报', type: '工作' });
+    const [record] = StorageManager.keepExcludedDuration(pausedRecord, built);
+    assert.equal(pausedRecord.duration, 45);
+    assert.equal(record.duration, 45);
+    assert.equal(record.start, pausedRecord.start);
+    assert.equal(record.end, pausedRecord.end);
+    assert.equal(record.content, '写周报');
+});
+
+test('修改起止时间时按跨度变化调整时长，不加回暂停时间', () => {
+    const built = TimerEngine.buildRecords([{ start: at(9, 0), end: at(10, 30) }], { content: '写文档', type: '工作' });
+    const [record] = StorageManager.keepExcludedDuration(pausedRecord, built);
+    assert.equal(record.duration, 75);
+});
+
+test('缩短到原时段的一部分时只扣除仍在新时段内的暂停时间', () => {
+    // 09:00 至 12:00 共3小时，其中扣除了60分钟的暂停和空闲
+    const record = { id: 2, date: '2026-10-19', startTime: '09:00', endTime: '12:00', start: at(9, 0), end: at(12, 0), duration: 120 };
+    const built = TimerEngine.buildRecords([{ start: at(9, 0), end: at(9, 30) }], { content: '写文档', type: '工作' });
+    const [shortened] = StorageManager.keepExcludedDuration(record, built);
+    assert.equal(shortened.duration, 20);
+});
+
+test('保存编辑后的暂停计时记录不改变时长', async () => {
+    await StorageManager.saveRecords([pausedRecord]);
+    const built = TimerEngine.buildRecords([{ start: at(9, 0), end: at(10, 0) }], { content: '写文档', type: '生活' });
+    const [firstDay] = StorageManager.keepExcludedDuration(pausedRecord, built);
+    await StorageManager.updateRecord(1, { ...firstDay, id: 1 });
+    const [saved] = await StorageManager.getRecords();
+    assert.equal(saved.duration, 45);
+    assert.equal(saved.type, '生活');
+});
+
+test('合并更新设置时保留其他页面修改过的字段', async () => {
+    await StorageManager.saveSettings({ dateFormat: 'yyyy-MM-dd', lastWorkType: '工作' });
+    await StorageManager.updateSetting('lastWorkType', '学习');
+    const settings = await StorageManager.updateSettings({ dateFormat: 'yyyy/MM/dd' });
+    assert.equal(settings.dateFormat, 'yyyy/MM/dd');
+    assert.equal(settings.lastWorkType, '学习');
+    assert.deepEqual(await StorageManager.getSettings(), settings);
+});
+
+test('不同页面同时读改写设置时不互相覆盖', async () => {
+    // 分别加载的模块实例代表弹窗和设置页，各自的页面内队列互不相知
+    const { default: popup } = await import('../js/storage.js?popup');
+    const { default: options } = await import('../js/storage.js?options');
+    await Promise.all([
+        popup.updateSetting('lastProject', '官网改版'),
+        options.updateSettings({ timeFormat: 'HH:mm:ss' })
+    ]);
+    const settings = await StorageManager.getSettings();
+    assert.equal(settings.lastProject, '官网改版');
+    assert.equal(settings.timeFormat, 'HH:mm:ss');
+});
+
+test('旧记录早于"一天开始于"的时间归入次日凌晨', () => {
+    const legacy = { date: '2026-10-19', startTime: '02:00', endTime: '03:00', duration: 60 };
+    const { start, end } = StorageManager.getRecordInterval(legacy, 4);
+    assert.equal(start, new Date(2026, 9, 20, 2, 0).getTime());
+    assert.equal(end, new Date(2026, 9, 20, 3, 0).getTime());
+    assert.equal(StorageManager.getMinutesOnDate(legacy, '2026-10-19', 4), 60);
+});
+
+test('没有修改时不追加编辑历史，撤销只恢复本次新增的版本', async () => {
+    await StorageManager.saveRecords([{ ...pausedRecord, history: [] }]);
+    const first = await StorageManager.updateRecord(1, { content: '第一次修改' });
+    assert.equal(first, 0);
+    assert.equal(await StorageManager.updateRecord(1, { content: '第一次修改' }), -1);
+    const second = await StorageManager.updateRecord(1, { content: '第二次修改' });
+    assert.equal(second, 1);
+
+    await StorageManager.revertRecord(1, second);
+    const [saved] = await StorageManager.getRecords();
+    assert.equal(saved.content, '第一次修改');
+    assert.deepEqual(saved.history.map(version => version.content), ['写文档', '第二次修改']);
+});
+
+test('读取设置时清理选择类型中无效的颜色和图标', async () => {
+    await StorageManager.updateSettings({ workTypes: [{ id: 'work', name: '工作', color: '"><script>', icon: 'fa-book x' }] });
+    const [type] = (await StorageManager.getSettings()).workTypes;
+    assert.equal(type.color, '#4285f4');
+    assert.equal(type.icon, 'fa-briefcase');
+});
+
+test('读取设置时清理项目中无效的颜色', async () => {
+    await StorageManager.updateSettings({ projects: [{ id: 'site', name: '官网改版', color: 'url(javascript:x)' }] });
+    const [project] = (await StorageManager.getSettings()).projects;
+    assert.match(project.color, /^#[0-9a-f]{6}$/);
+});
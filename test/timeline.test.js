@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = {
+    storage: { local: { async get() { return {}; }, async set() {} } },
+    runtime: { sendMessage() {} }
+};
+
+const { default: Timeline } = await import('../js/timeline.js');
+
+const at = (day, hours, minutes) => new Date(2026, 9, day, hours, minutes).getTime();
+
+test('拖动边缘时保留已扣除的暂停时间', () => {
+    const record = { id: 1, date: '2026-10-19', start: at(19, 9, 0), end: at(19, 10, 0), duration: 45 };
+    const updates = Timeline.getUpdates(record, 'end', at(19, 10, 30));
+    assert.equal(updates.duration, 75);
+    assert.equal(updates.endTime, '10:30');
+});
+
+test('开始时间拖过一天开始的时刻后重新计算所属日期', () => {
+    const record = { id: 1, date: '2026-10-19', start: at(20, 3, 0), end: at(20, 5, 0), duration: 120 };
+    const updates = Timeline.getUpdates(record, 'start', at(20, 4, 30), 4);
+    assert.equal(updates.date, '2026-10-20');
+    assert.equal(Timeline.getUpdates(record, 'end', at(20, 5, 30), 4).date, '2026-10-19');
+});
+
+test('重叠的记录并排显示，间隔较长的空档单独标出', () => {
+    const range = { start: at(19, 0, 0), end: at(20, 0, 0) };
+    const layout = Timeline.layout([
+        { id: 1, start: at(19, 9, 0), end: at(19, 10, 0), duration: 60 },
+        { id: 2, start: at(19, 9, 30), end: at(19, 10, 30), duration: 60 },
+        { id: 3, start: at(19, 11, 0), end: at(19, 12, 0), duration: 60 }
+    ], range);
+    assert.deepEqual(layout.blocks.map(block => [block.lane, block.lanes, block.overlap]), [[0, 2, true], [1, 2, true], [0, 1, false]]);
+    assert.deepEqual(layout.gaps, [{ start: at(19, 10, 30), end: at(19, 11, 0) }]);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TimerEngine from '../js/timer.js';
+
+const at = (day, hours, minutes, seconds = 0) => new Date(2026, 9, day, hours, minutes, seconds).getTime();
+
+test('不足半分钟的计时不生成记录', () => {
+    assert.deepEqual(TimerEngine.buildRecords([{ start: at(19, 9, 0), end: at(19, 9, 0, 20) }], { type: '工作' }), []);
+});
+
+test('跨天计时中不足半分钟的一天被丢弃', () => {
+    const records = TimerEngine.buildRecords([{ start: at(19, 23, 59, 50), end: at(20, 0, 0, 40) }], { type: '工作' });
+    assert.deepEqual(records.map(record => [record.date, record.duration]), [['2026-10-20', 1]]);
+});
+
+test('开始、暂停、继续和结束时按片段累计计时', () => {
+    let state = TimerEngine.start(TimerEngine.createIdleState(), { type: '工作', project: '官网改版', tags: ['会议'] }, at(19, 9, 0));
+    assert.equal(state.status, TimerEngine.STATUS.RUNNING);
+    state = TimerEngine.pause(state, at(19, 9, 20));
+    assert.equal(state.status, TimerEngine.STATUS.PAUSED);
+    assert.equal(TimerEngine.getElapsed(state, at(19, 9, 50)), 20 * 60 * 1000);
+    state = TimerEngine.resume(state, at(19, 9, 30));
+    assert.equal(TimerEngine.getElapsed(state, at(19, 9, 40)), 30 * 60 * 1000);
+    state = TimerEngine.stop(state, at(19, 10, 0));
+    assert.equal(state.status, TimerEngine.STATUS.STOPPED);
+    assert.equal(state.endedAt, at(19, 10, 0));
+
+    const [record] = TimerEngine.toRecords(state);
+    assert.deepEqual(
+        [record.date, record.startTime, record.endTime, record.duration, record.content, record.project, record.tags],
+        ['2026-10-19', '09:00', '10:00', 50, TimerEngine.DEFAULT_CONTENT, '官网改版', ['会议']]
+    );
+});
+
+test('不允许的状态转换抛出错误', () => {
+    const idle = TimerEngine.createIdleState();
+    const running = TimerEngine.start(idle, { type: '工作' }, at(19, 9, 0));
+    assert.throws(() => TimerEngine.start(running, { type: '工作' }, at(19, 9, 5)), /已在进行中/);
+    assert.throws(() => TimerEngine.resume(running, at(19, 9, 5)), /未处于暂停状态/);
+    assert.throws(() => TimerEngine.pause(idle, at(19, 9, 5)), /未在运行/);
+    assert.throws(() => TimerEngine.stop(idle, at(19, 9, 5)), /没有进行中的计时/);
+});
+
+test('旧版计时状态转换为片段格式', () => {
+    const running = TimerEngine.normalize({ isRunning: true, startTime: at(19, 9, 0) });
+    assert.deepEqual(running.segments, [{ start: at(19, 9, 0), end: null }]);
+    const paused = TimerEngine.normalize({ isRunning: false, startTime: at(19, 9, 0), elapsedTime: 10 * 60 * 1000 });
+    assert.equal(paused.status, TimerEngine.STATUS.PAUSED);
+    assert.equal(TimerEngine.getElapsed(paused, at(19, 12, 0)), 10 * 60 * 1000);
+});
+
+test('恢复活动后记录待处理的空闲时段，保留时计时不变', () => {
+    let state = TimerEngine.start(TimerEngine.createIdleState(), { type: '工作' }, at(19, 9, 0));
+    state = TimerEngine.markIdle(state, at(19, 9, 30));
+    assert.equal(TimerEngine.markIdle(state, at(19, 9, 40)), state);
+    state = TimerEngine.markActive(state, at(19, 9, 50));
+    assert.equal(state.idleStart, null);
+    assert.deepEqual(state.idlePeriods, [{ start: at(19, 9, 30), end: at(19, 9, 50) }]);
+    assert.equal(TimerEngine.getElapsed(state, at(19, 10, 0)), 60 * 60 * 1000);
+});
+
+test('暂停期间的空闲不需要处理', () => {
+    let state = TimerEngine.start(TimerEngine.createIdleState(), { type: '工作' }, at(19, 9, 0));
+    state = TimerEngine.markIdle(state, at(19, 9, 30));
+    state = TimerEngine.pause(state, at(19, 9, 30));
+    state = TimerEngine.markActive(state, at(19, 9, 50));
+    assert.deepEqual(state.idlePeriods, []);
+});
+
+test('丢弃空闲时从计时中扣除该时段，进行中的片段拆为两段', () => {
+    const state = TimerEngine.start(TimerEngine.createIdleState(), { type: '工作' }, at(19, 9, 0));
+    const { state: next, removed } = TimerEngine.removeInterval(state, at(19, 9, 30), at(19, 9, 50));
+    assert.deepEqual(next.segments, [{ start: at(19, 9, 0), end: at(19, 9, 30) }, { start: at(19, 9, 50), end: null }]);
+    assert.deepEqual(removed, [{ start: at(19, 9, 30), end: at(19, 9, 50) }]);
+    assert.equal(TimerEngine.getElapsed(next, at(19, 10, 0)), 40 * 60 * 1000);
+});
+
+test('拆分空闲时只把其中实际计时的部分另存为记录', () => {
+    let state = TimerEngine.start(TimerEngine.createIdleState(), { type: '工作' }, at(19, 9, 0));
+    state = TimerEngine.pause(state, at(19, 9, 40));
+    state = TimerEngine.resume(state, at(19, 9, 45));
+    const { removed } = TimerEngine.removeInterval(state, at(19, 9, 30), at(19, 9, 50));
+    const [record] = TimerEngine.buildRecords(removed, { content: '空闲时间', type: '生活' });
+    assert.deepEqual([record.startTime, record.endTime, record.duration, record.type], ['09:30', '09:50', 15, '生活']);
+});
+
+test('计时在"一天开始于"的时刻按日拆分，之前的部分归入前一天', () => {
+    const segments = [{ start: at(19, 23, 0), end: at(20, 5, 0) }];
+    const days = TimerEngine.splitByDay(segments, 4);
+    assert.deepEqual(days, [
+        { date: '2026-10-19', segments: [{ start: at(19, 23, 0), end: at(20, 4, 0) }] },
+        { date: '2026-10-20', segments: [{ start: at(20, 4, 0), end: at(20, 5, 0) }] }
+    ]);
+    assert.deepEqual(TimerEngine.buildRecords(segments, { type: '工作' }, 4).map(record => [record.date, record.duration]),
+        [['2026-10-19', 300], ['2026-10-20', 60]]);
+});
+
+test('不跨越"一天开始于"的凌晨计时不拆分', () => {
+    const days = TimerEngine.splitByDay([{ start: at(19, 23, 0), end: at(20, 1, 0) }, { start: at(20, 2, 0), end: at(20, 3, 0) }], 4);
+    assert.deepEqual(days.map(day => [day.date, day.segments.length]), [['2026-10-19', 2]]);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WorkTypes from '../js/workTypes.js';
+
+test('无效的颜色和图标改用默认配置', () => {
+    const [work, custom] = WorkTypes.normalize([
+        { id: 'work', name: '工作', color: 'red;background:url(x)', icon: 'fa-bed" onclick="x' },
+        { id: 'custom', name: '阅读', color: '#00ACC1', icon: 'fa-book' }
+    ]);
+    assert.equal(work.color, '#4285f4');
+    assert.equal(work.icon, 'fa-briefcase');
+    assert.equal(custom.color, '#00ACC1');
+    assert.equal(custom.icon, 'fa-book');
+});
+
+test('新类型的无效颜色改用调色板中未被占用的颜色', () => {
+    const [, custom] = WorkTypes.normalize([
+        { id: 'work', name: '工作', color: '#4285f4' },
+        { id: 'custom', name: '阅读', color: 'javascript:alert(1)', icon: 'fa-x' }
+    ]);
+    assert.match(custom.color, /^#[0-9a-f]{6}$/);
+    assert.notEqual(custom.color, '#4285f4');
+    assert.equal(custom.icon, 'fa-tag');
+});